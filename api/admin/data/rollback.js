@@ -0,0 +1,59 @@
+const { getContainer } = require("../../../lib/container");
+const { parseJsonBody, sendJson, sendMethodNotAllowed } = require("../../../lib/utils/http");
+const { isAuthorizedAdmin } = require("../../../lib/utils/auth");
+
+function createDataRollbackHandler(containerProvider = getContainer) {
+  return async function dataRollbackHandler(req, res) {
+    if (req.method !== "POST") {
+      return sendMethodNotAllowed(res, ["POST"]);
+    }
+
+    const container = containerProvider();
+    if (!isAuthorizedAdmin(req, container.config)) {
+      return sendJson(res, 401, {
+        error: "unauthorized",
+        message: "Missing or invalid x-admin-key",
+      });
+    }
+
+    let body;
+    try {
+      body = await parseJsonBody(req);
+    } catch (error) {
+      return sendJson(res, 400, {
+        error: "invalid_json",
+        message: error.message,
+      });
+    }
+
+    const versionId = String(body.versionId || "").trim();
+    if (!versionId) {
+      return sendJson(res, 400, {
+        error: "invalid_request",
+        message: "versionId is required",
+      });
+    }
+
+    try {
+      const result = container.dataVersions.rollback(versionId, {
+        actor: String(body.actor || ""),
+      });
+      return sendJson(res, 200, result);
+    } catch (error) {
+      const status = { version_not_found: 404, invalid_snapshot: 422 }[error.code];
+      if (status) {
+        return sendJson(res, status, {
+          error: error.code,
+          message: error.message,
+        });
+      }
+      return sendJson(res, 500, {
+        error: "rollback_failed",
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = createDataRollbackHandler();
+module.exports.createDataRollbackHandler = createDataRollbackHandler;
@@ -0,0 +1,27 @@
+const { getContainer } = require("../../../lib/container");
+const { sendJson, sendMethodNotAllowed } = require("../../../lib/utils/http");
+const { isAuthorizedAdmin } = require("../../../lib/utils/auth");
+
+function createDataVersionsHandler(containerProvider = getContainer) {
+  return async function dataVersionsHandler(req, res) {
+    if (req.method !== "GET") {
+      return sendMethodNotAllowed(res, ["GET"]);
+    }
+
+    const container = containerProvider();
+    if (!isAuthorizedAdmin(req, container.config)) {
+      return sendJson(res, 401, {
+        error: "unauthorized",
+        message: "Missing or invalid x-admin-key",
+      });
+    }
+
+    return sendJson(res, 200, {
+      activeVersion: container.dataVersions.activeVersion(),
+      versions: container.dataVersions.list(),
+    });
+  };
+}
+
+module.exports = createDataVersionsHandler();
+module.exports.createDataVersionsHandler = createDataVersionsHandler;
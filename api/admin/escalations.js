@@ -0,0 +1,91 @@
+const { getContainer } = require("../../lib/container");
+const { parseJsonBody, getQueryParam, sendJson, sendMethodNotAllowed } = require("../../lib/utils/http");
+const { isAuthorizedAdmin } = require("../../lib/utils/auth");
+
+const ERROR_STATUS = {
+  invalid_request: 400,
+  escalation_not_found: 404,
+  invalid_transition: 409,
+};
+
+// POST { queueId, action, ... } where action is assign (owner), note (text),
+// resolve (resolution), close, handoff (ownerUserId, the manager's LINE userId) or release
+function runAction(escalationService, body) {
+  const queueId = String(body.queueId || "").trim();
+  const actor = String(body.actor || "");
+  switch (body.action) {
+    case "assign":
+      return escalationService.assign(queueId, { owner: body.owner, actor });
+    case "note":
+      return escalationService.addNote(queueId, { text: body.text, actor });
+    case "resolve":
+      return escalationService.resolve(queueId, { resolution: body.resolution, actor });
+    case "close":
+      return escalationService.close(queueId, { actor });
+    case "handoff":
+      return escalationService.handoff(queueId, { ownerUserId: body.ownerUserId, actor });
+    case "release":
+      return escalationService.release(queueId, { actor });
+    default: {
+      const error = new Error("action must be one of assign, note, resolve, close, handoff, release");
+      error.code = "invalid_request";
+      throw error;
+    }
+  }
+}
+
+function createEscalationsHandler(containerProvider = getContainer) {
+  return async function escalationsHandler(req, res) {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return sendMethodNotAllowed(res, ["GET", "POST"]);
+    }
+
+    const container = containerProvider();
+    if (!isAuthorizedAdmin(req, container.config)) {
+      return sendJson(res, 401, {
+        error: "unauthorized",
+        message: "Missing or invalid x-admin-key",
+      });
+    }
+
+    if (req.method === "GET") {
+      const escalations = container.escalationService.list({
+        status: getQueryParam(req, "status"),
+        reasonCode: getQueryParam(req, "reason_code"),
+        owner: getQueryParam(req, "owner"),
+        from: getQueryParam(req, "from"),
+        to: getQueryParam(req, "to"),
+      });
+      return sendJson(res, 200, { total: escalations.length, escalations });
+    }
+
+    let body;
+    try {
+      body = await parseJsonBody(req);
+    } catch (error) {
+      return sendJson(res, 400, {
+        error: "invalid_json",
+        message: error.message,
+      });
+    }
+
+    try {
+      const escalation = await runAction(container.escalationService, body);
+      return sendJson(res, 200, { escalation });
+    } catch (error) {
+      if (ERROR_STATUS[error.code]) {
+        return sendJson(res, ERROR_STATUS[error.code], {
+          error: error.code,
+          message: error.message,
+        });
+      }
+      return sendJson(res, 500, {
+        error: "processing_error",
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = createEscalationsHandler();
+module.exports.createEscalationsHandler = createEscalationsHandler;
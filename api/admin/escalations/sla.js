@@ -0,0 +1,35 @@
+const { getContainer } = require("../../../lib/container");
+const { getQueryParam, sendJson, sendMethodNotAllowed } = require("../../../lib/utils/http");
+const { isAuthorizedAdmin } = require("../../../lib/utils/auth");
+
+// GET returns SLA statistics; POST runs the reminder check (for a scheduler to call)
+function createSlaHandler(containerProvider = getContainer) {
+  return async function slaHandler(req, res) {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return sendMethodNotAllowed(res, ["GET", "POST"]);
+    }
+
+    const container = containerProvider();
+    if (!isAuthorizedAdmin(req, container.config)) {
+      return sendJson(res, 401, {
+        error: "unauthorized",
+        message: "Missing or invalid x-admin-key",
+      });
+    }
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, container.slaService.stats({
+        reasonCode: getQueryParam(req, "reason_code"),
+        owner: getQueryParam(req, "owner"),
+        from: getQueryParam(req, "from"),
+        to: getQueryParam(req, "to"),
+      }));
+    }
+
+    const result = await container.slaService.check();
+    return sendJson(res, 200, result);
+  };
+}
+
+module.exports = createSlaHandler();
+module.exports.createSlaHandler = createSlaHandler;
@@ -0,0 +1,69 @@
+const { getContainer } = require("../../lib/container");
+const { parseJsonBody, getQueryParam, sendJson, sendMethodNotAllowed } = require("../../lib/utils/http");
+const { isAuthorizedAdmin } = require("../../lib/utils/auth");
+
+const ERROR_STATUS = {
+  message_not_found: 404,
+  already_delivered: 409,
+  delivery_in_progress: 409,
+};
+
+// GET lists outbox messages (?status=pending|sending|delivered|dead, ?kind=escalation_sink|manager_notify).
+// POST { action: "replay", messageId } redelivers one message; { action: "flush" } retries
+// everything whose backoff has elapsed.
+function createOutboxHandler(containerProvider = getContainer) {
+  return async function outboxHandler(req, res) {
+    if (req.method !== "GET" && req.method !== "POST") {
+      return sendMethodNotAllowed(res, ["GET", "POST"]);
+    }
+
+    const container = containerProvider();
+    if (!isAuthorizedAdmin(req, container.config)) {
+      return sendJson(res, 401, {
+        error: "unauthorized",
+        message: "Missing or invalid x-admin-key",
+      });
+    }
+
+    if (req.method === "GET") {
+      const messages = container.outbox.list({
+        status: getQueryParam(req, "status"),
+        kind: getQueryParam(req, "kind"),
+      });
+      return sendJson(res, 200, { total: messages.length, messages });
+    }
+
+    let body;
+    try {
+      body = await parseJsonBody(req);
+    } catch (error) {
+      return sendJson(res, 400, {
+        error: "invalid_json",
+        message: error.message,
+      });
+    }
+
+    if (body.action === "flush") {
+      return sendJson(res, 200, await container.outbox.flush());
+    }
+    if (body.action !== "replay" || !body.messageId) {
+      return sendJson(res, 400, {
+        error: "invalid_request",
+        message: "Send { action: \"replay\", messageId } or { action: \"flush\" }",
+      });
+    }
+
+    try {
+      const message = await container.outbox.replay(String(body.messageId));
+      return sendJson(res, 200, { message });
+    } catch (error) {
+      return sendJson(res, ERROR_STATUS[error.code] || 500, {
+        error: error.code || "processing_error",
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = createOutboxHandler();
+module.exports.createOutboxHandler = createOutboxHandler;
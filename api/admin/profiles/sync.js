@@ -28,13 +28,23 @@ function createProfileSyncHandler(containerProvider = getContainer) {
 
     const source = body.source === "sheet" ? "sheet" : "csv";
 
+    // { dryRun: true } previews the diff; { planId } applies a previewed diff unchanged
     try {
-      const summary = await container.syncService.sync(source);
+      const summary = body.planId
+        ? await container.syncService.apply(String(body.planId))
+        : await container.syncService.sync(source, { dryRun: body.dryRun === true });
       return sendJson(res, 200, summary);
     } catch (error) {
+      if (error.code === "plan_not_found" || error.code === "plan_stale") {
+        return sendJson(res, error.code === "plan_not_found" ? 404 : 409, {
+          error: error.code,
+          message: error.message,
+        });
+      }
       return sendJson(res, 500, {
         error: "sync_failed",
         message: error.message,
+        errors: error.errors || [],
       });
     }
   };
@@ -4,6 +4,7 @@ const {
     sendMethodNotAllowed,
     parseJsonBody,
 } = require("../../lib/utils/http");
+const { isAuthenticatedQuery } = require("../../lib/utils/auth");
 
 function createQueryHandler(containerProvider = getContainer) {
     return async function queryHandler(req, res) {
@@ -13,6 +14,15 @@ function createQueryHandler(containerProvider = getContainer) {
 
         const container = containerProvider();
 
+        // Without QUERY_API_KEY the API stays open as before, but callers are anonymous
+        const authenticated = isAuthenticatedQuery(req, container.config);
+        if (!authenticated && container.config.query.apiKey) {
+            return sendJson(res, 401, {
+                error: "unauthorized",
+                message: "Bearer token is required",
+            });
+        }
+
         let body;
         try {
             body = req.body && typeof req.body === "object" ? req.body : await parseJsonBody(req);
@@ -23,7 +33,7 @@ function createQueryHandler(containerProvider = getContainer) {
             });
         }
 
-        const { query, userId, brand, category, talentName } = body;
+        const { query, userId, client, brand, category, talentName, startDate, endDate } = body;
 
         if (!query) {
             return sendJson(res, 400, {
@@ -33,63 +43,33 @@ function createQueryHandler(containerProvider = getContainer) {
         }
 
         try {
-            const classification = await container.classifier.classify({
-                message: query,
-                profile: null,
-                recentContext: [],
+            const outcome = await container.intentRouter.route({
+                channel: "api",
+                userId,
+                // A body userId is only a staff identity when the caller authenticated
+                anonymous: !authenticated,
+                text: query,
+                slots: {
+                    talent: talentName,
+                    client,
+                    brand,
+                    category,
+                    period: startDate || endDate
+                        ? { start: startDate || endDate, end: endDate || startDate }
+                        : null,
+                },
             });
 
-            let result = null;
-            let formattedResponse = "";
-
-            switch (classification.intent) {
-                case "talent_ng_check": {
-                    const name = talentName || extractTalentName(query);
-                    result = container.castingService.checkTalentAvailability(name, brand, category);
-                    formattedResponse = container.castingService.formatAvailabilityResponse(result);
-                    break;
-                }
-                case "scandal_risk_check": {
-                    const name = talentName || extractTalentName(query);
-                    result = container.castingService.getScandalRisk(name);
-                    formattedResponse = container.castingService.formatRiskResponse(result);
-                    break;
-                }
-                case "contract_status": {
-                    const name = talentName || extractTalentName(query);
-                    result = container.castingService.getContractStatus(name);
-                    formattedResponse = container.castingService.formatContractStatusResponse(result);
-                    break;
-                }
-                case "expert_finder": {
-                    const specialization = extractSpecialization(query);
-                    const experts = container.castingService.findExpert(specialization);
-                    result = { experts, specialization };
-                    formattedResponse = container.castingService.formatExpertResponse(experts, specialization);
-                    break;
-                }
-                case "conflict_check": {
-                    const name = talentName || extractTalentName(query);
-                    result = container.castingService.checkContractConflicts(name, brand);
-                    formattedResponse = formatConflictResponse(result);
-                    break;
-                }
-                default: {
-                    formattedResponse = await container.generator.generateAnswer({
-                        userText: query,
-                        intent: classification.intent,
-                        language: "ja",
-                    });
-                    break;
-                }
-            }
-
             return sendJson(res, 200, {
                 query,
-                intent: classification.intent,
-                confidence: classification.confidence,
-                result,
-                response: formattedResponse,
+                intent: outcome.intent,
+                action: outcome.action,
+                confidence: outcome.confidence,
+                period: outcome.slots ? outcome.slots.period || null : null,
+                result: outcome.result,
+                response: outcome.response,
+                // Lets callers tell which synced (or rolled back) data answered
+                dataVersion: container.castingDataStore.describe().versionId,
             });
         } catch (error) {
             return sendJson(res, 500, {
@@ -100,49 +80,5 @@ function createQueryHandler(containerProvider = getContainer) {
     };
 }
 
-function extractTalentName(query) {
-    const patterns = [
-        /(.+?)(?:さん)?(?:は|の|を)/,
-        /(.+?)(?:について|のリスク|の契約)/,
-    ];
-    for (const pattern of patterns) {
-        const match = query.match(pattern);
-        if (match && match[1]) {
-            return match[1].trim();
-        }
-    }
-    return query.split(/\s/)[0];
-}
-
-function extractSpecialization(query) {
-    const patterns = [
-        /(.+?)(?:に詳しい|の専門|担当)/,
-        /(.+?)(?:タレント|アーティスト)/,
-    ];
-    for (const pattern of patterns) {
-        const match = query.match(pattern);
-        if (match && match[1]) {
-            return match[1].trim();
-        }
-    }
-    return query;
-}
-
-function formatConflictResponse(result) {
-    if (!result.found) {
-        return `❓ ${result.reason}`;
-    }
-
-    if (!result.hasConflict) {
-        return `✅ ${result.talent}さんには競合抵触はありません\n\n有効契約: ${result.activeContracts.length}件`;
-    }
-
-    const conflictList = result.conflicts
-        .map((c) => `・${c.client_name} (${c.brand}) - ${c.exclusivity_type}`)
-        .join("\n");
-
-    return `⚠️ ${result.talent}さんに競合抵触があります\n\n抵触契約:\n${conflictList}`;
-}
-
 module.exports = createQueryHandler();
 module.exports.createQueryHandler = createQueryHandler;
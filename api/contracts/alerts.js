@@ -62,6 +62,12 @@ function createAlertsHandler(containerProvider = getContainer) {
 
                 const results = [];
                 for (const userId of targetUsers) {
+                    // Staff who unfollowed the bot keep their profile but no longer receive pushes
+                    const profile = container.repository.getProfile(userId);
+                    if (profile && profile.status === "inactive") {
+                        results.push({ userId, status: "skipped", reason: "inactive" });
+                        continue;
+                    }
                     try {
                         await container.lineClient.pushText(userId, formattedMessage);
                         results.push({ userId, status: "sent" });
@@ -1,3 +1,4 @@
+const os = require("os");
 const path = require("path");
 
 function envNumber(env, key, fallback) {
@@ -36,6 +37,43 @@ function loadConfig(env = process.env) {
     },
     retentionSeconds: envNumber(env, "CONVERSATION_RETENTION_SECONDS", 30 * 24 * 60 * 60),
     dedupeTtlSeconds: envNumber(env, "DEDUPE_TTL_SECONDS", 24 * 60 * 60),
+    // Used when Vercel KV is not configured; /tmp is the writable location on Vercel
+    dedupeStorePath: path.resolve(
+      rootDir,
+      env.DEDUPE_STORE_PATH || path.join(os.tmpdir(), "line-talent-assistant", "dedupe.json")
+    ),
+    storage: {
+      // "memory" (default, used by tests) or "sqlite" for data that survives restarts
+      driver: String(env.STORAGE_DRIVER || "memory").trim().toLowerCase(),
+      sqlitePath: path.resolve(rootDir, env.SQLITE_PATH || "data/assistant.sqlite"),
+    },
+    dialogue: {
+      stateTtlSeconds: envNumber(env, "DIALOGUE_STATE_TTL_SECONDS", 10 * 60),
+    },
+    sla: {
+      // Minutes from creation to resolution, per escalation reason_code
+      targetMinutes: {
+        sensitive: envNumber(env, "SLA_SENSITIVE_MINUTES", 30),
+        low_confidence: envNumber(env, "SLA_LOW_CONFIDENCE_MINUTES", 240),
+      },
+      defaultMinutes: envNumber(env, "SLA_DEFAULT_MINUTES", 240),
+      // The owner is reminded this many minutes before the deadline; breaches go to the backup
+      warningMinutes: envNumber(env, "SLA_WARNING_MINUTES", 15),
+      backupManagerUserId: env.LINE_BACKUP_MANAGER_USER_ID || "",
+    },
+    outbox: {
+      maxAttempts: envNumber(env, "OUTBOX_MAX_ATTEMPTS", 5),
+      // Retry n waits base * 2^(n-1) seconds
+      retryBaseSeconds: envNumber(env, "OUTBOX_RETRY_BASE_SECONDS", 30),
+      // How long a claimed message stays reserved for its sender before a flush may retry it
+      leaseSeconds: envNumber(env, "OUTBOX_LEASE_SECONDS", 300),
+      deadLetterPath: path.resolve(rootDir, env.OUTBOX_DEAD_LETTER_PATH || "data/outbox-dead-letter.jsonl"),
+    },
+    handoff: {
+      // How long the bot stays paused for a user if no manager releases the conversation
+      ttlSeconds: envNumber(env, "HANDOFF_TTL_SECONDS", 4 * 60 * 60),
+      onEscalation: envBool(env.HANDOFF_ON_ESCALATION, true),
+    },
     openai: {
       apiKey: env.OPENAI_API_KEY || "",
       baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
@@ -45,19 +83,39 @@ function loadConfig(env = process.env) {
       channelSecret: env.LINE_CHANNEL_SECRET || "",
       channelAccessToken: env.LINE_CHANNEL_ACCESS_TOKEN || "",
       managerUserId: env.LINE_MANAGER_USER_ID || "",
+      flexMessages: envBool(env.LINE_FLEX_MESSAGES, true),
+      // Reply tokens last about a minute; past this age answers are pushed instead
+      replyTokenTtlSeconds: envNumber(env, "LINE_REPLY_TOKEN_TTL_SECONDS", 50),
+      // In groups/rooms the bot only answers @mentions or messages starting with one of these
+      groupPrefixes: String(env.LINE_GROUP_PREFIXES || "/cast,キャスティング")
+        .split(",")
+        .map((prefix) => prefix.trim())
+        .filter(Boolean),
     },
     admin: {
       apiKey: env.ADMIN_API_KEY || "",
     },
+    access: {
+      enforce: envBool(env.ACCESS_CONTROL_ENABLED, true),
+    },
+    query: {
+      // When set, /api/casting/query requires it as a bearer token
+      apiKey: env.QUERY_API_KEY || "",
+    },
     sync: {
       talentsCsvPath: path.resolve(rootDir, env.TALENTS_CSV_PATH || "data/talents.csv"),
       contractsCsvPath: path.resolve(rootDir, env.CONTRACTS_CSV_PATH || "data/contracts.csv"),
       expertsCsvPath: path.resolve(rootDir, env.EXPERTS_CSV_PATH || "data/experts.csv"),
+      brandsCsvPath: path.resolve(rootDir, env.BRANDS_CSV_PATH || "data/brands.csv"),
+      staffCsvPath: path.resolve(rootDir, env.STAFF_CSV_PATH || "data/staff.csv"),
       // Legacy paths for backward compatibility
       profilesCsvPath: path.resolve(rootDir, env.PROFILES_CSV_PATH || "data/profiles.csv"),
       knowledgeCsvPath: path.resolve(rootDir, env.KNOWLEDGE_CSV_PATH || "data/knowledge.csv"),
       profilesSheetCsvUrl: env.SHEETS_PROFILES_CSV_URL || "",
       knowledgeSheetCsvUrl: env.SHEETS_KNOWLEDGE_CSV_URL || "",
+      talentsSheetCsvUrl: env.SHEETS_TALENTS_CSV_URL || "",
+      contractsSheetCsvUrl: env.SHEETS_CONTRACTS_CSV_URL || "",
+      expertsSheetCsvUrl: env.SHEETS_EXPERTS_CSV_URL || "",
     },
     escalation: {
       queueCsvPath: path.resolve(rootDir, env.ESCALATION_QUEUE_CSV_PATH || "data/escalations.csv"),
@@ -1,28 +1,67 @@
 const { loadConfig } = require("./config");
 const { InMemoryRepository } = require("./storage/repository");
+const { SqliteRepository } = require("./storage/sqlite-repository");
+const { CastingDataStore } = require("./storage/casting-data-store");
 const { ConversationMemory } = require("./storage/conversation-memory");
+const { DialogueStateStore } = require("./storage/dialogue-state");
+const { HandoffStore } = require("./storage/handoff-store");
+const { EventDedupeStore } = require("./storage/event-dedupe");
+const { tryLoadKv, FileKv } = require("./storage/kv");
 const { OpenAIClient } = require("./ai/openai-client");
 const { InquiryClassifier } = require("./ai/classifier");
 const { ResponseGenerator } = require("./ai/generator");
-const { LineClient } = require("./line/client");
+const { LineClient, ensureSent } = require("./line/client");
 const { ProfileSyncService } = require("./sync/sync-service");
 const { EscalationSink } = require("./sync/escalation-sink");
+const { DataVersionService } = require("./sync/data-versions");
 const { AssistantService } = require("./services/assistant-service");
 const { ManagerService } = require("./services/manager-service");
+const { EscalationService } = require("./services/escalation-service");
+const { SlaService } = require("./services/sla-service");
+const { OutboxService } = require("./services/outbox-service");
 const { RetentionService } = require("./services/retention-service");
 const { CastingService } = require("./services/casting-service");
+const { BrandRegistry } = require("./services/brand-registry");
+const { ConflictEngine } = require("./services/conflict-engine");
 const { ContractAlertService } = require("./services/contract-alert-service");
+const { IntentRouter } = require("./services/intent-router");
+const { OnboardingService } = require("./services/onboarding-service");
+const { StaffDirectory } = require("./services/staff-directory");
+const { AccessControl } = require("./services/access-control");
+const { LineEventProcessor } = require("./line/event-processor");
+const { WorkQueue, loadWaitUntil } = require("./utils/work-queue");
 
 let singleton = null;
 
+function createRepository(config) {
+  const options = {
+    retentionSeconds: config.retentionSeconds,
+    dedupeTtlSeconds: config.dedupeTtlSeconds,
+  };
+
+  switch (config.storage.driver) {
+    case "memory":
+      return new InMemoryRepository(options);
+    case "sqlite":
+      return new SqliteRepository({ ...options, filePath: config.storage.sqlitePath });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${config.storage.driver} (expected "memory" or "sqlite")`);
+  }
+}
+
+// Scripts run in a process of their own, so they only see what the server stored when the driver
+// keeps data outside the process
+function requireSharedStorage(config, task, endpoint) {
+  if (config.storage.driver === "memory") {
+    throw new Error(
+      `${task} needs STORAGE_DRIVER=sqlite with the server's SQLITE_PATH; the memory driver only holds the server process's own data. Use ${endpoint} on the server instead.`
+    );
+  }
+}
+
 function createContainer(options = {}) {
   const config = options.config || loadConfig(options.env);
-  const repository =
-    options.repository ||
-    new InMemoryRepository({
-      retentionSeconds: config.retentionSeconds,
-      dedupeTtlSeconds: config.dedupeTtlSeconds,
-    });
+  const repository = options.repository || createRepository(config);
 
   const openaiClient =
     options.openaiClient ||
@@ -39,6 +78,18 @@ function createContainer(options = {}) {
       retentionSeconds: config.retentionSeconds,
     });
 
+  const dialogueState =
+    options.dialogueState ||
+    new DialogueStateStore({
+      ttlSeconds: config.dialogue.stateTtlSeconds,
+    });
+
+  const handoffStore =
+    options.handoffStore ||
+    new HandoffStore({
+      ttlSeconds: config.handoff.ttlSeconds,
+    });
+
   const classifier =
     options.classifier ||
     new InquiryClassifier({
@@ -68,25 +119,83 @@ function createContainer(options = {}) {
       fetchImpl: options.fetchImpl,
     });
 
+  let castingDataStore = options.castingDataStore;
+  if (!castingDataStore) {
+    castingDataStore = new CastingDataStore({
+      repository,
+      talentsCsvPath: config.sync.talentsCsvPath,
+      contractsCsvPath: config.sync.contractsCsvPath,
+      expertsCsvPath: config.sync.expertsCsvPath,
+    });
+    // Synced (or rolled back) data outlives the process; the CSVs are only the first-boot seed
+    castingDataStore.restore();
+  }
+
+  const dataVersions =
+    options.dataVersions ||
+    new DataVersionService({
+      repository,
+      castingDataStore,
+    });
+
   const syncService =
     options.syncService ||
     new ProfileSyncService({
       config,
       repository,
+      castingDataStore,
+      dataVersions,
       fetchImpl: options.fetchImpl,
     });
 
+  const brandRegistry =
+    options.brandRegistry ||
+    new BrandRegistry({
+      csvPath: config.sync.brandsCsvPath,
+    });
+
+  const conflictEngine = options.conflictEngine || new ConflictEngine({ brandRegistry });
+
   const castingService =
     options.castingService ||
     new CastingService({
       config,
       generator,
+      brandRegistry,
+      conflictEngine,
+      dataStore: castingDataStore,
     });
 
   const contractAlertService =
     options.contractAlertService ||
     new ContractAlertService({
       config,
+      dataStore: castingDataStore,
+    });
+
+  const outbox =
+    options.outbox ||
+    new OutboxService({
+      repository,
+      maxAttempts: config.outbox.maxAttempts,
+      baseDelaySeconds: config.outbox.retryBaseSeconds,
+      leaseSeconds: config.outbox.leaseSeconds,
+      deadLetterPath: config.outbox.deadLetterPath,
+      handlers: {
+        escalation_sink: ({ item, event }) => escalationSink.record(item, event),
+        manager_notify: async ({ to, text, quickReplies }) =>
+          ensureSent(await lineClient.pushText(to, text, quickReplies || null)),
+      },
+    });
+
+  const slaService =
+    options.slaService ||
+    new SlaService({
+      config,
+      repository,
+      lineClient,
+      handoffStore,
+      outbox,
     });
 
   const assistantService =
@@ -98,7 +207,72 @@ function createContainer(options = {}) {
       lineClient,
       escalationSink,
       conversationMemory,
+      handoffStore,
+      slaService,
+      outbox,
+      config,
+    });
+
+  const onboardingService = options.onboardingService || new OnboardingService({ repository });
+
+  const staffDirectory =
+    options.staffDirectory ||
+    new StaffDirectory({
+      csvPath: config.sync.staffCsvPath,
+    });
+
+  const accessControl =
+    options.accessControl ||
+    new AccessControl({
+      staffDirectory,
+      repository,
+      enforce: config.access.enforce,
+    });
+
+  const escalationService =
+    options.escalationService ||
+    new EscalationService({
+      repository,
+      escalationSink,
+      lineClient,
+      conversationMemory,
+      handoffStore,
+      outbox,
+    });
+
+  const intentRouter =
+    options.intentRouter ||
+    new IntentRouter({
+      castingService,
+      contractAlertService,
+      classifier,
+      generator,
+      dialogueState,
+      conversationMemory,
+      assistantService,
+      onboardingService,
+      accessControl,
+      escalationService,
+      repository,
+    });
+
+  const dedupeStore =
+    options.dedupeStore ||
+    new EventDedupeStore({
+      kv: tryLoadKv() || new FileKv({ filePath: config.dedupeStorePath }),
+      ttlSeconds: config.dedupeTtlSeconds,
+    });
+
+  const eventQueue = options.eventQueue || new WorkQueue({ concurrency: 1, waitUntil: loadWaitUntil() });
+  const lineEventProcessor =
+    options.lineEventProcessor ||
+    new LineEventProcessor({
       config,
+      intentRouter,
+      lineClient,
+      castingService,
+      repository,
+      dedupeStore,
     });
 
   const managerService = options.managerService || new ManagerService({ generator });
@@ -113,16 +287,32 @@ function createContainer(options = {}) {
     config,
     repository,
     conversationMemory,
+    dialogueState,
+    handoffStore,
     openaiClient,
     classifier,
     generator,
     lineClient,
     escalationSink,
+    dataVersions,
     syncService,
+    brandRegistry,
+    castingDataStore,
+    conflictEngine,
     castingService,
     contractAlertService,
     assistantService,
+    onboardingService,
+    staffDirectory,
+    accessControl,
+    intentRouter,
+    dedupeStore,
+    eventQueue,
+    lineEventProcessor,
     managerService,
+    escalationService,
+    slaService,
+    outbox,
     retentionService,
   };
 }
@@ -140,6 +330,8 @@ function resetContainer() {
 
 module.exports = {
   createContainer,
+  createRepository,
   getContainer,
+  requireSharedStorage,
   resetContainer,
 };
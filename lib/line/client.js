@@ -1,3 +1,5 @@
+const { truncateAltText } = require("./flex");
+
 class LineClient {
   constructor(options) {
     this.channelAccessToken = options.channelAccessToken || "";
@@ -37,13 +39,38 @@ class LineClient {
     });
   }
 
-  async pushText(to, text) {
+  async replyFlex(replyToken, altText, contents, quickReplyItems = null) {
+    if (!replyToken) {
+      return { skipped: true, reason: "missing_reply_token" };
+    }
+
+    return this.#sendMessage("reply", {
+      replyToken,
+      messages: [flexMessage(altText, contents, quickReplyItems)],
+    });
+  }
+
+  async pushFlex(to, altText, contents) {
+    if (!to) {
+      return { skipped: true, reason: "missing_recipient" };
+    }
+    return this.#sendMessage("push", {
+      to,
+      messages: [flexMessage(altText, contents)],
+    });
+  }
+
+  async pushText(to, text, quickReplyItems = null) {
     if (!to) {
       return { skipped: true, reason: "missing_manager_user_id" };
     }
+    const message = { type: "text", text };
+    if (quickReplyItems) {
+      message.quickReply = { items: quickReplyItems };
+    }
     return this.#sendMessage("push", {
       to,
-      messages: [{ type: "text", text }],
+      messages: [message],
     });
   }
 
@@ -65,6 +92,7 @@ class LineClient {
       const text = await response.text();
       const error = new Error(`LINE API failed (${response.status}): ${text}`);
       error.status = response.status;
+      error.body = text;
       throw error;
     }
 
@@ -72,6 +100,30 @@ class LineClient {
   }
 }
 
+// Sends resolve with { skipped } when nothing could be sent (no recipient, no access token).
+// Where the message has to reach someone, that is a failure to retry or report, not a success.
+function ensureSent(result) {
+  if (result && result.skipped) {
+    const error = new Error(`LINE message not sent: ${result.reason}`);
+    error.code = "not_sent";
+    throw error;
+  }
+  return result;
+}
+
+function flexMessage(altText, contents, quickReplyItems = null) {
+  const message = {
+    type: "flex",
+    altText: truncateAltText(altText),
+    contents,
+  };
+  if (quickReplyItems) {
+    message.quickReply = { items: quickReplyItems };
+  }
+  return message;
+}
+
 module.exports = {
   LineClient,
+  ensureSent,
 };
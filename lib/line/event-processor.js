@@ -0,0 +1,196 @@
+const { QUICK_REPLIES } = require("../services/intent-router");
+const { renderFlexContents } = require("./flex");
+const { conversationKey, isMultiPersonChat, extractAddressedText } = require("./group");
+const { dedupeKey } = require("../storage/event-dedupe");
+
+const LIFECYCLE_EVENTS = ["follow", "unfollow", "join", "leave"];
+
+function isSupportedEvent(event = {}) {
+  const isPostback = event.type === "postback" && Boolean(event.postback);
+  const isText = event.type === "message" && Boolean(event.message) && event.message.type === "text";
+  return isPostback || isText || LIFECYCLE_EVENTS.includes(event.type);
+}
+
+// LINE answers 400 with "Invalid reply token" when the token expired or was already used
+function isInvalidReplyToken(error) {
+  return error.status === 400 && /invalid reply token/i.test(error.body || error.message || "");
+}
+
+// Pushes go to the chat the event came from, so group answers stay in the group
+function pushTarget(source = {}) {
+  return source.groupId || source.roomId || source.userId || null;
+}
+
+// Routes one webhook event and delivers the answer. Runs off the request path (see WorkQueue),
+// so by the time an answer is ready the reply token may have expired; pushes cover that case.
+class LineEventProcessor {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.intentRouter = options.intentRouter;
+    this.lineClient = options.lineClient;
+    this.castingService = options.castingService;
+    this.repository = options.repository;
+    this.dedupeStore = options.dedupeStore || null;
+    this.now = options.now || (() => Date.now());
+  }
+
+  // `verified` says the webhook checked the LINE signature, so the sender is who LINE says
+  async process(event = {}, options = {}) {
+    const source = event.source || {};
+    const record = {
+      eventId: event.webhookEventId || null,
+      eventType: event.type || null,
+      userId: source.userId || null,
+      conversationId: conversationKey(source),
+      receivedAt: new Date(this.now()).toISOString(),
+      redelivery: Boolean(event.deliveryContext && event.deliveryContext.isRedelivery),
+    };
+
+    // Every event type is claimed before routing, so a redelivered follow or postback is not
+    // replayed either
+    if (!(await this.#claim(event, record))) {
+      return this.#record({ ...record, status: "duplicate", action: null, delivery: "none" });
+    }
+
+    let outcome;
+    try {
+      outcome = await this.#route(event, record, options.verified === true);
+    } catch (error) {
+      return this.#record({ ...record, status: "error", action: null, delivery: "none", message: error.message });
+    }
+
+    const result = {
+      ...record,
+      status: outcome.status,
+      action: outcome.action || null,
+      confidence: outcome.confidence || null,
+      escalated: Boolean(outcome.escalated),
+      delivery: "none",
+    };
+
+    if (outcome.status !== "processed" || !outcome.response) {
+      return this.#record(result);
+    }
+
+    try {
+      result.delivery = await this.#deliver(event, outcome);
+    } catch (error) {
+      result.delivery = "failed";
+      result.message = error.message;
+    }
+    return this.#record(result);
+  }
+
+  async #claim(event, record) {
+    if (!this.dedupeStore) {
+      return true;
+    }
+    try {
+      return await this.dedupeStore.claim(dedupeKey(event));
+    } catch (error) {
+      // A KV outage should not silence the bot; at worst a redelivery is answered twice
+      console.error(JSON.stringify({ tag: "dedupe_error", eventId: record.eventId, message: error.message }));
+      return true;
+    }
+  }
+
+  async #route(event, record, verified) {
+    const { userId, conversationId } = record;
+
+    if (LIFECYCLE_EVENTS.includes(event.type)) {
+      return this.intentRouter.routeLifecycle({ type: event.type, userId, conversationId, event });
+    }
+    if (event.type === "postback") {
+      return this.intentRouter.routePostback({
+        channel: "line",
+        userId,
+        conversationId,
+        data: event.postback.data,
+        event,
+        verified,
+      });
+    }
+
+    // Group chat messages not addressed to the bot are part of the humans' conversation
+    const text = isMultiPersonChat(event.source)
+      ? extractAddressedText(event.message, this.config.line.groupPrefixes)
+      : event.message.text;
+    if (text === null) {
+      return { status: "ignored", action: "group_not_addressed" };
+    }
+
+    return this.intentRouter.route({ channel: "line", userId, conversationId, text, event, verified });
+  }
+
+  // Returns how the answer went out: "reply" while the token is fresh, otherwise "push"
+  async #deliver(event, outcome) {
+    const contents = this.#flexContents(outcome);
+
+    if (event.replyToken && this.#replyTokenFresh(event)) {
+      try {
+        await this.#reply(event.replyToken, outcome, contents);
+        return "reply";
+      } catch (error) {
+        // Only an expired or already-used token is worth a push; any other 400 (a malformed
+        // message, say) would fail the same way again and cost push quota
+        if (!isInvalidReplyToken(error)) {
+          throw error;
+        }
+      }
+    }
+
+    const to = pushTarget(event.source);
+    if (!to) {
+      return "none";
+    }
+    if (contents) {
+      await this.lineClient.pushFlex(to, outcome.response, contents);
+    } else {
+      await this.lineClient.pushText(to, outcome.response);
+    }
+    return "push";
+  }
+
+  #replyTokenFresh(event) {
+    if (!event.timestamp) {
+      return true;
+    }
+    return this.now() - Number(event.timestamp) < this.config.line.replyTokenTtlSeconds * 1000;
+  }
+
+  // Card layouts where the result has one, with the formatted text as altText; plain text otherwise
+  #flexContents(outcome) {
+    if (!this.config.line.flexMessages) {
+      return null;
+    }
+    return renderFlexContents(outcome.action, outcome.result, {
+      findExpertByName: (name) => this.castingService.findExpertByName(name),
+    });
+  }
+
+  #reply(replyToken, outcome, contents) {
+    const quickReplies = outcome.quickReplies || QUICK_REPLIES;
+    if (contents) {
+      return this.lineClient.replyFlex(replyToken, outcome.response, contents, quickReplies);
+    }
+    return this.lineClient.replyWithQuickReplies(replyToken, outcome.response, quickReplies);
+  }
+
+  #record(result) {
+    const stored = { ...result, completedAt: new Date(this.now()).toISOString() };
+    // Keep the original outcome when a redelivery is dropped
+    const keepOriginal = stored.status === "duplicate" && this.repository &&
+      this.repository.getEventOutcome(stored.eventId);
+    if (this.repository && !keepOriginal) {
+      this.repository.recordEventOutcome(stored);
+    }
+    console.log(JSON.stringify({ tag: "line_event_outcome", ...stored }));
+    return stored;
+  }
+}
+
+module.exports = {
+  LineEventProcessor,
+  LIFECYCLE_EVENTS,
+  isSupportedEvent,
+};
@@ -0,0 +1,344 @@
+const { postbackAction } = require("./postback");
+
+// Flex Message layouts for casting results; the plain-text formatters are sent alongside as altText
+
+const ALT_TEXT_LIMIT = 400;
+const CAROUSEL_LIMIT = 10;
+
+const COLORS = {
+  ok: "#1DB446",
+  caution: "#F5A623",
+  danger: "#E53935",
+  info: "#1E5AA8",
+  muted: "#8C8C8C",
+};
+
+const RISK_COLORS = { "高": COLORS.danger, "中": COLORS.caution, "低": COLORS.ok };
+const RISK_LABELS = { "高": "High", "中": "Medium", "低": "Low" };
+const RENEWAL_COLORS = { "継続予定": COLORS.ok, "更新検討中": COLORS.caution, "期限切れ間近": COLORS.danger };
+
+function text(value, options = {}) {
+  return {
+    type: "text",
+    text: String(value === undefined || value === null || value === "" ? "-" : value),
+    wrap: true,
+    size: "sm",
+    ...options,
+  };
+}
+
+function row(label, value) {
+  return {
+    type: "box",
+    layout: "baseline",
+    spacing: "sm",
+    contents: [
+      text(label, { color: COLORS.muted, size: "xs", flex: 2 }),
+      text(value, { flex: 5 }),
+    ],
+  };
+}
+
+function section(title, lines) {
+  return {
+    type: "box",
+    layout: "vertical",
+    spacing: "xs",
+    margin: "lg",
+    contents: [
+      text(title, { weight: "bold", size: "xs", color: COLORS.muted }),
+      ...lines.map((line) => text(`・${line}`)),
+    ],
+  };
+}
+
+function header(title, subtitle, color) {
+  return {
+    type: "box",
+    layout: "vertical",
+    backgroundColor: color,
+    paddingAll: "md",
+    contents: [
+      text(title, { weight: "bold", size: "md", color: "#FFFFFF" }),
+      ...(subtitle ? [text(subtitle, { size: "xs", color: "#FFFFFF" })] : []),
+    ],
+  };
+}
+
+function bubble({ headerBox, body, footer }) {
+  const result = {
+    type: "bubble",
+    header: headerBox,
+    body: { type: "box", layout: "vertical", spacing: "sm", contents: body },
+  };
+  if (footer && footer.length > 0) {
+    result.footer = { type: "box", layout: "vertical", spacing: "sm", contents: footer };
+  }
+  return result;
+}
+
+function carousel(bubbles) {
+  return bubbles.length === 1
+    ? bubbles[0]
+    : { type: "carousel", contents: bubbles.slice(0, CAROUSEL_LIMIT) };
+}
+
+function nameLabel(name, nameEn) {
+  return nameEn ? `${name}（${nameEn}）` : name;
+}
+
+function button(action, style = "secondary") {
+  return {
+    type: "button",
+    style,
+    height: "sm",
+    ...(style === "primary" ? { color: COLORS.info } : {}),
+    action,
+  };
+}
+
+// Expert contacts in the talent sheet are names; known experts open their contact card via postback
+function contactButton(name, context = {}) {
+  if (!name) {
+    return [];
+  }
+  const expert = context.findExpertByName ? context.findExpertByName(name) : null;
+  const action = expert
+    ? postbackAction(`👥 ${name}に相談`, "contact", { expert: expert.expert_id }, `${name}に相談したい`)
+    : { type: "message", label: `👥 ${name}`.slice(0, 20), text: `${name}に相談したい` };
+  return [button(action, "primary")];
+}
+
+function mailButton(expert) {
+  return /@/.test(expert.contact_info || "")
+    ? [button({ type: "uri", label: "📧 メール / Email", uri: `mailto:${expert.contact_info}` }, "primary")]
+    : [];
+}
+
+function contractsButton(talentId) {
+  return talentId ? [button(postbackAction("📄 契約を見る", "contracts", { talent: talentId }))] : [];
+}
+
+function riskButton(talentId) {
+  return talentId ? [button(postbackAction("🔍 リスク確認", "risk", { talent: talentId }))] : [];
+}
+
+function conflictsButton(talentId, proposal, period) {
+  if (!talentId || !proposal || (!proposal.brandText && !proposal.categoryText)) {
+    return [];
+  }
+  return [button(postbackAction("⚖️ 競合チェック", "conflicts", {
+    talent: talentId,
+    brand: proposal.brandText,
+    category: proposal.categoryText,
+    start: period && period.start,
+    end: period && period.end,
+  }))];
+}
+
+function periodRow(period) {
+  return period ? [row("期間 / Period", `${period.start} → ${period.end}`)] : [];
+}
+
+function renderAvailability(result, context) {
+  if (!result || !result.talent) {
+    return null;
+  }
+  const talent = result.talent;
+  const body = [
+    text(nameLabel(talent.name, talent.name_en), { weight: "bold", size: "lg" }),
+    ...periodRow(result.period),
+  ];
+
+  if (result.available) {
+    if (result.cautions && result.cautions.length > 0) {
+      body.push(section("⚠️ 注意事項 / Caution", result.cautions));
+    }
+    return bubble({
+      headerBox: header("✅ 起用可能", "Available for casting", COLORS.ok),
+      body,
+      footer: [
+        ...conflictsButton(talent.talent_id, result.proposal, result.period),
+        ...contractsButton(talent.talent_id),
+        ...contactButton(result.expertContact || talent.expert_contact, context),
+      ],
+    });
+  }
+
+  body.push(section("📋 理由 / Reason", [result.reason]));
+  if (result.availableFrom) {
+    body.push(row("起用可能日 / From", result.availableFrom));
+  }
+  if (result.ngBrands && result.ngBrands.length > 0) {
+    body.push(section("🚫 NGブランド / NG Brands", result.ngBrands));
+  }
+  if (result.ngCategories && result.ngCategories.length > 0) {
+    body.push(section("🚫 NGカテゴリ / NG Categories", result.ngCategories));
+  }
+
+  return bubble({
+    headerBox: header("❌ 起用不可", "Not available", COLORS.danger),
+    body,
+    footer: [
+      ...contractsButton(talent.talent_id),
+      ...contactButton(talent.expert_contact, context),
+    ],
+  });
+}
+
+function renderRisk(result, context) {
+  if (!result || !result.found) {
+    return null;
+  }
+  const color = RISK_COLORS[result.riskLevel] || COLORS.muted;
+  return bubble({
+    headerBox: header(
+      `🔍 リスク: ${result.riskLevel}`,
+      `Risk Assessment: ${RISK_LABELS[result.riskLevel] || result.riskLevel}`,
+      color
+    ),
+    body: [
+      text(nameLabel(result.talent, result.talentEn), { weight: "bold", size: "lg" }),
+      section("📰 過去の問題 / History", [
+        result.scandalHistory === "なし" ? "なし / None" : result.scandalHistory,
+      ]),
+      section("💡 推奨 / Recommendation", [result.recommendation]),
+    ],
+    footer: [
+      ...contractsButton(result.talentId),
+      ...contactButton(result.expertContact, context),
+    ],
+  });
+}
+
+function renderContractStatus(result, context) {
+  if (!result || !result.found || result.contracts.length === 0) {
+    return null;
+  }
+  return carousel(result.contracts.map((c) => bubble({
+    headerBox: header(`📄 ${c.client_name}`, c.brand, RENEWAL_COLORS[c.renewal_status] || COLORS.info),
+    body: [
+      text(nameLabel(result.talent, result.talentEn), { weight: "bold" }),
+      row("期間 / Term", `${c.start_date} → ${c.end_date}`),
+      row("独占 / Type", c.exclusivity_type),
+      row("競合制限 / Limits", c.competitive_restrictions),
+      row("更新 / Renewal", c.renewal_status),
+    ],
+    footer: contactButton(c.assigned_manager || result.expertContact, context),
+  })));
+}
+
+function renderConflict(result) {
+  if (!result || !result.found) {
+    return null;
+  }
+  const body = [
+    text(nameLabel(result.talent, result.talentEn), { weight: "bold", size: "lg" }),
+    ...(result.proposal ? [row("提案 / Proposal", result.proposal)] : []),
+    ...periodRow(result.period),
+  ];
+
+  if (!result.hasConflict) {
+    body.push(row("有効契約 / Active", String(result.activeContracts.length)));
+  } else {
+    body.push(section(
+      "📋 抵触契約 / Conflicts",
+      result.rules.map((r) => `${r.contract.client_name}（${r.contract.brand}）${r.contract.exclusivity_type}: ${r.explanation}`)
+    ));
+    if (result.availableFrom) {
+      body.push(row("起用可能日 / From", result.availableFrom));
+    }
+  }
+  if (result.warnings && result.warnings.length > 0) {
+    body.push(section("⚠️ 要確認 / Check manually", result.warnings.map((w) => w.explanation)));
+  }
+
+  return bubble({
+    headerBox: result.hasConflict
+      ? header("⚠️ 競合抵触あり", "Conflicts found", COLORS.danger)
+      : header("✅ 競合抵触なし", "No conflicts", COLORS.ok),
+    body,
+    footer: contractsButton(result.talentId),
+  });
+}
+
+function renderExperts(experts) {
+  if (!Array.isArray(experts) || experts.length === 0) {
+    return null;
+  }
+  return carousel(experts.map((e) => bubble({
+    headerBox: header(`👤 ${e.name}`, e.name_en, COLORS.info),
+    body: [
+      row("部署 / Dept", e.department),
+      row("専門 / Focus", e.specialization_en ? `${e.specialization} / ${e.specialization_en}` : e.specialization),
+    ],
+    footer: mailButton(e),
+  })));
+}
+
+function renderDashboard(stats) {
+  if (!stats) {
+    return null;
+  }
+  return bubble({
+    headerBox: header("📊 キャスティングダッシュボード", "Casting Dashboard", COLORS.info),
+    body: [
+      row("タレント / Talents", String(stats.totalTalents)),
+      row("🔴 高リスク / High", String(stats.highRisk)),
+      row("🟡 中リスク / Medium", String(stats.mediumRisk)),
+      row("🟢 低リスク / Low", String(stats.lowRisk)),
+      row("✅ 起用可能 / Clean", String(stats.available)),
+      row("📄 契約 / Contracts", String(stats.totalContracts)),
+      row("👥 専門家 / Experts", String(stats.totalExperts)),
+    ],
+  });
+}
+
+function renderRecommendations(talents, context) {
+  if (!Array.isArray(talents) || talents.length === 0) {
+    return null;
+  }
+  return carousel(talents.map((t) => bubble({
+    headerBox: header(`🎯 ${t.name}`, t.name_en, RISK_COLORS[t.risk_level] || COLORS.info),
+    body: [
+      row("リスク / Risk", `${t.risk_level}（${RISK_LABELS[t.risk_level] || "-"}）`),
+      row("履歴 / History", t.scandal_history === "なし" ? "なし / None" : t.scandal_history),
+      row("担当 / Contact", `${t.expert_contact}（${t.expert_department}）`),
+    ],
+    footer: [
+      ...riskButton(t.talent_id),
+      ...contactButton(t.expert_contact, context),
+    ],
+  })));
+}
+
+// Keyed by the intent router's action names
+const RENDERERS = {
+  talent_ng_check: renderAvailability,
+  scandal_risk_check: renderRisk,
+  contract_status: renderContractStatus,
+  conflict_check: renderConflict,
+  expert_finder: (result) => renderExperts(result && result.experts),
+  expert_list: renderExperts,
+  expert_contact: renderExperts,
+  dashboard: renderDashboard,
+  recommend: renderRecommendations,
+};
+
+function truncateAltText(value) {
+  const chars = [...String(value || "")];
+  return chars.length > ALT_TEXT_LIMIT
+    ? `${chars.slice(0, ALT_TEXT_LIMIT - 1).join("")}…`
+    : chars.join("");
+}
+
+// Returns null when the action has no card layout (or the result is empty) so callers fall back to text
+function renderFlexContents(action, result, context = {}) {
+  const renderer = RENDERERS[action];
+  return renderer && result ? renderer(result, context) : null;
+}
+
+module.exports = {
+  renderFlexContents,
+  truncateAltText,
+};
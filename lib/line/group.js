@@ -0,0 +1,42 @@
+// Groups and rooms share one conversation; 1:1 chats are keyed by the user
+function conversationKey(source = {}) {
+  if (source.type === "group" && source.groupId) {
+    return `group:${source.groupId}`;
+  }
+  if (source.type === "room" && source.roomId) {
+    return `room:${source.roomId}`;
+  }
+  return source.userId || null;
+}
+
+function isMultiPersonChat(source = {}) {
+  return source.type === "group" || source.type === "room";
+}
+
+// In group chats the bot only answers when @mentioned or when the text starts with a trigger prefix.
+// Returns the text with the mention/prefix removed, or null when the bot was not addressed.
+function extractAddressedText(message = {}, prefixes = []) {
+  let text = String(message.text || "");
+  const mentionees = (message.mention && message.mention.mentionees) || [];
+  const selfMentions = mentionees
+    .filter((mentionee) => mentionee.isSelf)
+    .sort((a, b) => b.index - a.index);
+
+  if (selfMentions.length > 0) {
+    for (const mentionee of selfMentions) {
+      text = text.slice(0, mentionee.index) + text.slice(mentionee.index + mentionee.length);
+    }
+    return text.trim();
+  }
+
+  const trimmed = text.trim();
+  const lower = trimmed.toLowerCase();
+  const prefix = prefixes.find((candidate) => lower.startsWith(candidate.toLowerCase()));
+  return prefix ? trimmed.slice(prefix.length).replace(/^[\s:：、,]+/, "").trim() : null;
+}
+
+module.exports = {
+  conversationKey,
+  isMultiPersonChat,
+  extractAddressedText,
+};
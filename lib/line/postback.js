@@ -0,0 +1,48 @@
+// Postback payloads are query strings, e.g. "action=risk&talent=T004"
+const POSTBACK_DATA_LIMIT = 300;
+const FILL_IN_TEXT_LIMIT = 300;
+
+function buildPostbackData(action, params = {}) {
+  const search = new URLSearchParams({ action });
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") {
+      search.set(key, String(value));
+    }
+  }
+  return search.toString().slice(0, POSTBACK_DATA_LIMIT);
+}
+
+function parsePostbackData(data) {
+  const params = {};
+  for (const [key, value] of new URLSearchParams(String(data || ""))) {
+    params[key] = value;
+  }
+  return params;
+}
+
+function postbackAction(label, action, params = {}, displayText = label) {
+  return {
+    type: "postback",
+    label: label.slice(0, 20),
+    data: buildPostbackData(action, params),
+    displayText,
+  };
+}
+
+// Opens the keyboard with `fillInText` ready to edit instead of sending a display text
+function editPostbackAction(label, action, params = {}, fillInText = "") {
+  return {
+    type: "postback",
+    label: label.slice(0, 20),
+    data: buildPostbackData(action, params),
+    inputOption: "openKeyboard",
+    fillInText: fillInText.slice(0, FILL_IN_TEXT_LIMIT),
+  };
+}
+
+module.exports = {
+  buildPostbackData,
+  parsePostbackData,
+  postbackAction,
+  editPostbackAction,
+};
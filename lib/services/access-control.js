@@ -0,0 +1,141 @@
+// Who may run what: permission names map to checks against the staff directory entry
+const PERMISSIONS = {
+  public: () => true,
+  staff: (member) => Boolean(member),
+  contracts: (member) => Boolean(member) &&
+    (member.role === "manager" || member.role === "casting" || member.department === "法務部"),
+  risk: (member) => Boolean(member) &&
+    (member.role === "manager" || member.department === "リスク管理部"),
+  manager: (member) => Boolean(member) && member.role === "manager",
+};
+
+// Router actions/intents -> permission; anything not listed needs a staff member
+const COMMAND_PERMISSIONS = {
+  greeting: "public",
+  help: "public",
+  talent_list: "staff",
+  dashboard: "staff",
+  recommend: "staff",
+  expert_list: "staff",
+  expert_contact: "staff",
+  expert_finder: "staff",
+  talent_ng_check: "staff",
+  conflict_check: "staff",
+  scandal_risk_check: "staff",
+  contract_status: "contracts",
+  alerts: "contracts",
+  risk_list: "risk",
+  escalation_reply: "manager",
+  assistant: "staff",
+};
+
+const FIELD_PERMISSIONS = {
+  scandal_history: "risk",
+};
+
+const REDACTED = "🔒 閲覧権限なし / Restricted";
+
+const UNKNOWN_USER_RESPONSE = `🔒 申し訳ございません。このアシスタントは登録済みのキャスティング担当者専用です。
+   Sorry, this assistant is only available to registered casting staff.
+
+ご利用をご希望の場合は、管理者までお問い合わせください。
+Please contact your administrator to request access.`;
+
+const INSUFFICIENT_ROLE_RESPONSE = `🔒 申し訳ございません。この情報を閲覧する権限がありません。
+   Sorry, your role does not have access to this information.
+
+必要な場合は担当マネージャーまたはリスク管理部にご相談ください。
+Please ask your manager or the Risk Management team if you need it.`;
+
+function redactTalent(talent) {
+  if (!talent || !talent.scandal_history || talent.scandal_history === "なし") {
+    return talent;
+  }
+  return { ...talent, scandal_history: REDACTED };
+}
+
+// Copies, never mutates: results often hold the shared CSV rows
+function redactScandalHistory(result) {
+  if (Array.isArray(result)) {
+    return result.map(redactTalent);
+  }
+  if (!result || typeof result !== "object") {
+    return result;
+  }
+
+  const redacted = { ...result };
+  if (redacted.scandalHistory && redacted.scandalHistory !== "なし") {
+    redacted.scandalHistory = REDACTED;
+  }
+  if (Array.isArray(redacted.cautions) && redacted.cautions.length > 0) {
+    redacted.cautions = [REDACTED];
+  }
+  if (redacted.talent && typeof redacted.talent === "object") {
+    redacted.talent = redactTalent(redacted.talent);
+  }
+  return redacted;
+}
+
+class AccessControl {
+  constructor(options = {}) {
+    this.staffDirectory = options.staffDirectory;
+    this.repository = options.repository || null;
+    this.enforce = options.enforce !== false;
+  }
+
+  resolve(lineUserId) {
+    const member = this.staffDirectory ? this.staffDirectory.get(lineUserId) : null;
+    const enforce = this.enforce;
+
+    return {
+      lineUserId: lineUserId || null,
+      member,
+      can(command) {
+        const permission = COMMAND_PERMISSIONS[command] || "staff";
+        return !enforce || PERMISSIONS[permission](member);
+      },
+      canSee(field) {
+        const permission = FIELD_PERMISSIONS[field];
+        return !enforce || !permission || PERMISSIONS[permission](member);
+      },
+      redact(result) {
+        return this.canSee("scandal_history") ? result : redactScandalHistory(result);
+      },
+    };
+  }
+
+  // Returns null when allowed, otherwise the refusal to send back (and records the attempt)
+  deny(access, command, context = {}) {
+    if (access.can(command)) {
+      return null;
+    }
+
+    const reason = access.member ? "insufficient_role" : "unknown_user";
+    const event = {
+      type: "access_denied",
+      line_user_id: access.lineUserId,
+      staff_id: access.member ? access.member.staff_id : "",
+      command,
+      permission: COMMAND_PERMISSIONS[command] || "staff",
+      reason,
+      channel: context.channel || "",
+      text: context.text || "",
+    };
+
+    console.log(JSON.stringify({ tag: "access_denied", ...event }));
+    if (this.repository) {
+      this.repository.addAuditEvent(event);
+    }
+
+    return {
+      reason,
+      response: reason === "unknown_user" ? UNKNOWN_USER_RESPONSE : INSUFFICIENT_ROLE_RESPONSE,
+    };
+  }
+}
+
+module.exports = {
+  AccessControl,
+  COMMAND_PERMISSIONS,
+  redactScandalHistory,
+};
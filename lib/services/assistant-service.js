@@ -1,4 +1,6 @@
 const { computeConfidence, decideAction } = require("./policy");
+const { postbackAction, editPostbackAction } = require("../line/postback");
+const { ensureSent } = require("../line/client");
 
 class AssistantService {
   constructor(options = {}) {
@@ -8,9 +10,17 @@ class AssistantService {
     this.generator = options.generator;
     this.lineClient = options.lineClient;
     this.escalationSink = options.escalationSink;
+    this.handoffStore = options.handoffStore || null;
+    this.slaService = options.slaService || null;
+    this.outbox = options.outbox || null;
     this.config = options.config;
   }
 
+  // The handoff entry while a manager is handling this user, otherwise null
+  async activeHandoff(userId) {
+    return this.handoffStore ? this.handoffStore.get(userId) : null;
+  }
+
   async handleLineMessageEvent(event) {
     const userId = event && event.source ? event.source.userId : "";
     const text = event && event.message ? String(event.message.text || "") : "";
@@ -69,6 +79,11 @@ class AssistantService {
       };
     }
 
+    const handoff = await this.activeHandoff(userId);
+    if (handoff) {
+      return this.#forwardToOwner({ eventId, userId, text, handoff });
+    }
+
     const profile = this.repository.getProfile(userId);
     const recentContext = this.conversationMemory
       ? await this.conversationMemory.getRecent(userId, 5)
@@ -132,14 +147,31 @@ class AssistantService {
             matches,
           });
 
+      const reasonCode = classification.is_sensitive ? "sensitive" : "low_confidence";
+      const createdAt = new Date().toISOString();
       escalation = this.repository.addEscalation({
         line_user_id: userId,
         message_text: text,
-        reason_code: classification.is_sensitive ? "sensitive" : "low_confidence",
+        reason_code: reasonCode,
         suggested_reply: suggestedReply,
+        created_at: createdAt,
+        sla_due_at: this.slaService ? this.slaService.deadlineFor(reasonCode, createdAt) : "",
       });
 
       await this.#recordEscalation(escalation, classification, confidence);
+
+      // Stop answering this user until the manager releases them, so the bot cannot
+      // contradict whoever picks the ticket up. Without a manager to forward to, the user
+      // would just be left unanswered, so there is no handoff.
+      const ownerUserId = this.config.line.managerUserId;
+      if (this.handoffStore && this.config.handoff.onEscalation && ownerUserId) {
+        escalation.handoff = await this.handoffStore.start(userId, {
+          ownerUserId,
+          queueId: escalation.queue_id,
+          ticketId: escalation.ticket_id,
+          reason: "escalation",
+        });
+      }
     }
 
     const logPayload = {
@@ -169,11 +201,69 @@ class AssistantService {
     };
   }
 
-  async #recordEscalation(escalation, classification, confidence) {
+  // No reply goes to the user; the message is pushed to the manager handling them
+  async #forwardToOwner({ eventId, userId, text, handoff }) {
+    const ownerUserId = handoff.owner_user_id || this.config.line.managerUserId;
+    const ticket = handoff.ticket_id ? `#${handoff.ticket_id}` : "";
+    const forwarded = [
+      ticket ? `[Handoff] ${ticket} Message from ${userId}` : `[Handoff] Message from ${userId}`,
+      text,
+      ticket ? `Reply with "${ticket} <answer>", or "${ticket} /release" to hand back to the bot.` : "",
+    ].filter(Boolean).join("\n");
+
+    const forwardError = await this.#deliver("manager_notify", { to: ownerUserId, text: forwarded });
+
+    const logPayload = {
+      line_user_id: userId,
+      user_text: text,
+      assistant_text: "",
+      intent: "handoff",
+      confidence: 1,
+      action: "forwarded",
+      queue_id: handoff.queue_id || "",
+    };
+    const log = this.conversationMemory
+      ? await this.conversationMemory.add(logPayload)
+      : this.repository.addConversation(logPayload);
+
+    return {
+      status: "processed",
+      eventId,
+      action: "handoff",
+      replyText: "",
+      confidence: 1,
+      classification: { intent: "handoff", is_sensitive: false },
+      profile: this.repository.getProfile(userId),
+      matches: [],
+      escalation: null,
+      handoff: { ...handoff, forward_error: forwardError },
+      log,
+    };
+  }
+
+  // Goes through the outbox when there is one, so a failed delivery is retried rather than lost.
+  // Returns the error message while the delivery has not gone out, otherwise null.
+  async #deliver(kind, payload) {
+    if (this.outbox) {
+      const message = await this.outbox.enqueue(kind, payload);
+      return message.status === "delivered" ? null : message.last_error;
+    }
     try {
-      await this.escalationSink.record(escalation);
+      if (kind === "escalation_sink") {
+        await this.escalationSink.record(payload.item, payload.event);
+      } else {
+        ensureSent(await this.lineClient.pushText(payload.to, payload.text, payload.quickReplies || null));
+      }
+      return null;
     } catch (error) {
-      escalation.sink_error = error.message;
+      return error.message;
+    }
+  }
+
+  async #recordEscalation(escalation, classification, confidence) {
+    const sinkError = await this.#deliver("escalation_sink", { item: { ...escalation }, event: "created" });
+    if (sinkError) {
+      escalation.sink_error = sinkError;
     }
 
     const managerUserId = this.config.line.managerUserId;
@@ -183,25 +273,46 @@ class AssistantService {
       confidence,
     });
 
-    try {
-      await this.lineClient.pushText(managerUserId, summary);
-    } catch (error) {
-      escalation.notify_error = error.message;
+    const notifyError = await this.#deliver("manager_notify", {
+      to: managerUserId,
+      text: summary,
+      quickReplies: this.#managerQuickReplies(escalation),
+    });
+    if (notifyError) {
+      escalation.notify_error = notifyError;
     }
   }
 
+  // Approve sends the suggested reply as is; Edit opens the keyboard with it prefilled
+  #managerQuickReplies(escalation) {
+    const ticket = escalation.ticket_id;
+    if (!ticket || !escalation.suggested_reply) {
+      return null;
+    }
+    return [
+      { type: "action", action: postbackAction("✅ Approve", "esc_approve", { ticket }, `#${ticket} approve`) },
+      {
+        type: "action",
+        action: editPostbackAction("✏️ Edit", "esc_edit", { ticket }, `#${ticket} ${escalation.suggested_reply}`),
+      },
+    ];
+  }
+
   #formatManagerNotification(input) {
     const escalation = input.escalation;
     return [
       "[Escalation] Talent inquiry needs review",
+      `Ticket: #${escalation.ticket_id}`,
       `Queue ID: ${escalation.queue_id}`,
       `User: ${escalation.line_user_id}`,
       `Reason: ${escalation.reason_code}`,
       `Intent: ${input.classification.intent}`,
       `Confidence: ${input.confidence.toFixed(2)}`,
       `Message: ${escalation.message_text}`,
+      escalation.sla_due_at ? `Due: ${escalation.sla_due_at}` : "",
       escalation.suggested_reply ? `Suggested reply: ${escalation.suggested_reply}` : "Suggested reply: (none)",
-    ].join("\n");
+      `Reply with "#${escalation.ticket_id} <answer>" to answer the user.`,
+    ].filter(Boolean).join("\n");
   }
 }
 
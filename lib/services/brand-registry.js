@@ -0,0 +1,324 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv, parseTagList } = require("../utils/csv");
+const { normalizeJapanese, isLatin } = require("../utils/japanese");
+
+// Everyday words that map onto nodes of the category hierarchy in brands.csv
+const CATEGORY_ALIASES = {
+  "beer": "ビール",
+  "alcohol": "酒類",
+  "酒": "酒類",
+  "お酒": "酒類",
+  "アルコール": "酒類",
+  "wine": "酒類",
+  "ワイン": "酒類",
+  "whisky": "酒類",
+  "ウイスキー": "酒類",
+  "car": "自動車",
+  "cars": "自動車",
+  "automobile": "自動車",
+  "車": "自動車",
+  "cosmetics": "化粧品",
+  "コスメ": "化粧品",
+  "skincare": "スキンケア",
+  "makeup": "メイクアップ",
+  "fashion": "ファッション",
+  "apparel": "アパレル",
+  "sports": "スポーツ",
+  "drink": "飲料",
+  "drinks": "飲料",
+  "beverage": "飲料",
+  "soft drink": "清涼飲料水",
+  "food": "食品",
+  "snack": "菓子",
+  "お菓子": "菓子",
+  "noodle": "即席麺",
+  "ラーメン": "即席麺",
+  "game": "ゲーム機器",
+  "ゲーム": "ゲーム機器",
+  "smartphone": "スマートフォン",
+  "スマホ": "スマートフォン",
+  "electronics": "電子機器",
+  "telecom": "通信",
+  "toiletries": "日用品",
+};
+
+const NONE_VALUES = new Set(["", "なし", "none", "-"]);
+
+function isNone(value) {
+  return NONE_VALUES.has(String(value || "").trim().toLowerCase());
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Company names are compared loosely so "キリン" covers "キリンビール" and "キリンホールディングス"
+function namesOverlap(a, b) {
+  const left = normalizeJapanese(a);
+  const right = normalizeJapanese(b);
+  if (left.length < 2 || right.length < 2) {
+    return false;
+  }
+  return left.includes(right) || right.includes(left);
+}
+
+function normalizeBrandRow(row) {
+  const categories = String(row.category_path || "")
+    .split(">")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return {
+    brand_id: row.brand_id || "",
+    brand: row.brand || "",
+    brand_en: row.brand_en || "",
+    aliases: parseTagList(row.aliases),
+    client: row.client || "",
+    parent_company: row.parent_company || "",
+    categories,
+    category: categories[categories.length - 1] || "",
+    competitors: parseTagList(row.competitors),
+  };
+}
+
+class BrandRegistry {
+  constructor(options = {}) {
+    this.csvPath = options.csvPath || path.resolve(process.cwd(), "data", "brands.csv");
+    this._entries = options.brands ? options.brands.map(normalizeBrandRow) : null;
+    this._index = null;
+  }
+
+  get entries() {
+    if (!this._entries) {
+      this._entries = this.#load();
+    }
+    return this._entries;
+  }
+
+  reloadData() {
+    this._entries = null;
+    this._index = null;
+  }
+
+  // Parent chain of a category node, leaf first: "ビール" -> ["ビール", "酒類"]
+  categoryLineage(category) {
+    const parents = this.#getIndex().parents;
+    const lineage = [];
+    let current = category;
+    while (current && !lineage.includes(current)) {
+      lineage.push(current);
+      current = parents.get(current) || null;
+    }
+    return lineage;
+  }
+
+  resolve(text) {
+    if (isNone(text)) {
+      return null;
+    }
+    const target = normalizeJapanese(text);
+    const exact = this.#getIndex().terms.find(
+      (term) => term.kind !== "category" && term.normalized === target
+    );
+    if (exact) {
+      return exact.entry;
+    }
+    return this.findInText(text).entry;
+  }
+
+  resolveCategory(text) {
+    if (isNone(text)) {
+      return null;
+    }
+    const target = normalizeJapanese(text);
+    const exact = this.#getIndex().terms.find(
+      (term) => term.kind === "category" && term.normalized === target
+    );
+    if (exact) {
+      return exact.category;
+    }
+    return this.findInText(text).category;
+  }
+
+  // Longest brand/company mention and longest category mention in free text
+  findInText(text) {
+    const raw = String(text || "").normalize("NFKC").toLowerCase();
+    const normalized = normalizeJapanese(text);
+    let entryMatch = null;
+    let categoryMatch = null;
+
+    for (const term of this.#getIndex().terms) {
+      const found = term.latin
+        ? new RegExp(`(^|[^a-z])${escapeRegex(term.raw)}([^a-z]|$)`).test(raw)
+        : normalized.includes(term.normalized);
+      if (!found) {
+        continue;
+      }
+
+      if (term.kind === "category") {
+        if (!categoryMatch || term.normalized.length > categoryMatch.normalized.length) {
+          categoryMatch = term;
+        }
+      } else if (!entryMatch || term.normalized.length > entryMatch.normalized.length) {
+        entryMatch = term;
+      }
+    }
+
+    return {
+      entry: entryMatch ? entryMatch.entry : null,
+      category: categoryMatch ? categoryMatch.category : null,
+    };
+  }
+
+  // Everything the NG and conflict checks need to know about a proposed brand/category
+  describe(brandText, categoryText) {
+    const entry = this.resolve(brandText);
+    const category = this.resolveCategory(categoryText);
+    const categories = new Set();
+
+    if (entry) {
+      for (const node of this.categoryLineage(entry.category)) {
+        categories.add(node);
+      }
+    }
+    if (category) {
+      for (const node of this.categoryLineage(category)) {
+        categories.add(node);
+      }
+    }
+
+    return {
+      label: brandText || categoryText || "",
+      brandText: isNone(brandText) ? "" : String(brandText || ""),
+      categoryText: isNone(categoryText) ? "" : String(categoryText || ""),
+      entry,
+      categories: [...categories],
+      companies: entry
+        ? [entry.brand, entry.brand_en, entry.client, entry.parent_company].filter(Boolean)
+        : [brandText].filter((value) => !isNone(value)),
+    };
+  }
+
+  sameCompany(companiesA, companiesB) {
+    return companiesA.some((a) => companiesB.some((b) => namesOverlap(a, b)));
+  }
+
+  areCompetitors(entryA, entryB) {
+    if (!entryA || !entryB) {
+      return false;
+    }
+    const companiesA = [entryA.client, entryA.parent_company, entryA.brand];
+    const companiesB = [entryB.client, entryB.parent_company, entryB.brand];
+    return (
+      this.sameCompany(entryA.competitors, companiesB) ||
+      this.sameCompany(entryB.competitors, companiesA)
+    );
+  }
+
+  matchesNgBrand(ngTerm, proposal) {
+    if (isNone(ngTerm) || proposal.companies.length === 0) {
+      return false;
+    }
+    const ngEntry = this.resolve(ngTerm);
+    const ngCompanies = ngEntry
+      ? [ngEntry.brand, ngEntry.client, ngEntry.parent_company].filter(Boolean)
+      : [ngTerm];
+    return this.sameCompany(ngCompanies, proposal.companies);
+  }
+
+  // "化粧品競合" style entries only block competitors, never the talent's own clients
+  matchesNgCategory(ngTerm, proposal, ownClients = []) {
+    if (isNone(ngTerm)) {
+      return false;
+    }
+    const competitorOnly = ngTerm.includes("競合");
+    const base = ngTerm.replace(/競合|全般|製品/g, "").trim();
+    if (!base) {
+      return false;
+    }
+
+    const node = this.resolveCategory(base);
+    const inCategory = node
+      ? proposal.categories.includes(node)
+      : proposal.categories.some((category) => namesOverlap(category, base)) ||
+        (proposal.categoryText !== "" && namesOverlap(proposal.categoryText, base));
+    if (!inCategory) {
+      return false;
+    }
+
+    if (!competitorOnly) {
+      return true;
+    }
+    return !this.sameCompany(ownClients.filter((client) => !isNone(client)), proposal.companies);
+  }
+
+  #getIndex() {
+    if (this._index) {
+      return this._index;
+    }
+
+    const parents = new Map();
+    const categoryNames = new Set();
+    const terms = [];
+
+    function addTerm(value, kind, target) {
+      if (isNone(value)) {
+        return;
+      }
+      const normalized = normalizeJapanese(value);
+      if (!normalized) {
+        return;
+      }
+      terms.push({
+        raw: String(value).normalize("NFKC").toLowerCase(),
+        normalized,
+        latin: isLatin(value),
+        kind,
+        ...target,
+      });
+    }
+
+    for (const entry of this.entries) {
+      entry.categories.forEach((category, index) => {
+        categoryNames.add(category);
+        if (index > 0) {
+          parents.set(category, entry.categories[index - 1]);
+        }
+      });
+
+      for (const name of [entry.brand, entry.brand_en, ...entry.aliases]) {
+        addTerm(name, "brand", { entry });
+      }
+      for (const name of [entry.client, entry.parent_company]) {
+        addTerm(name, "company", { entry });
+      }
+    }
+
+    for (const category of categoryNames) {
+      addTerm(category, "category", { category });
+    }
+    for (const [alias, category] of Object.entries(CATEGORY_ALIASES)) {
+      if (categoryNames.has(category)) {
+        addTerm(alias, "category", { category });
+      }
+    }
+
+    this._index = { parents, terms };
+    return this._index;
+  }
+
+  #load() {
+    try {
+      return parseCsv(fs.readFileSync(this.csvPath, "utf8")).map(normalizeBrandRow);
+    } catch (error) {
+      console.error(`Failed to load brand registry: ${this.csvPath}`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  BrandRegistry,
+  isNone,
+};
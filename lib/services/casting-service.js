@@ -1,28 +1,12 @@
-const fs = require("fs");
 const path = require("path");
-
-function parseCSV(content) {
-    const lines = content.trim().split("\n");
-    if (lines.length < 2) return [];
-    const headers = lines[0].split(",");
-    return lines.slice(1).map((line) => {
-        const values = line.split(",");
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h.trim()] = values[i] ? values[i].trim() : "";
-        });
-        return obj;
-    });
-}
-
-function loadCSV(filePath) {
-    try {
-        const content = fs.readFileSync(filePath, "utf-8");
-        return parseCSV(content);
-    } catch (error) {
-        console.error(`Failed to load CSV: ${filePath}`, error.message);
-        return [];
-    }
+const { rankTalents, MATCH_THRESHOLD } = require("./talent-matcher");
+const { addDays, normalizePeriod, periodsOverlap } = require("../utils/date");
+const { BrandRegistry, isNone } = require("./brand-registry");
+const { ConflictEngine } = require("./conflict-engine");
+const { CastingDataStore } = require("../storage/casting-data-store");
+
+function splitList(value) {
+    return String(value || "").split("|").map((v) => v.trim()).filter((v) => !isNone(v));
 }
 
 class CastingService {
@@ -30,70 +14,80 @@ class CastingService {
         this.config = options.config;
         this.generator = options.generator;
         this.dataDir = options.dataDir || path.resolve(process.cwd(), "data");
-        this._talents = null;
-        this._contracts = null;
-        this._experts = null;
+        this.brandRegistry = options.brandRegistry || new BrandRegistry({
+            csvPath: path.join(this.dataDir, "brands.csv"),
+        });
+        this.conflictEngine = options.conflictEngine || new ConflictEngine({
+            brandRegistry: this.brandRegistry,
+        });
+        this.dataStore = options.dataStore || new CastingDataStore({ dataDir: this.dataDir });
     }
 
     get talents() {
-        if (!this._talents) {
-            this._talents = loadCSV(path.join(this.dataDir, "talents.csv"));
-        }
-        return this._talents;
+        return this.dataStore.talents;
     }
 
     get contracts() {
-        if (!this._contracts) {
-            this._contracts = loadCSV(path.join(this.dataDir, "contracts.csv"));
-        }
-        return this._contracts;
+        return this.dataStore.contracts;
     }
 
     get experts() {
-        if (!this._experts) {
-            this._experts = loadCSV(path.join(this.dataDir, "experts.csv"));
-        }
-        return this._experts;
+        return this.dataStore.experts;
     }
 
+    // Shared store: this reloads the data ContractAlertService sees as well
     reloadData() {
-        this._talents = null;
-        this._contracts = null;
-        this._experts = null;
+        this.dataStore.reload();
     }
 
-    // Enhanced bilingual talent search
+    // Fuzzy bilingual talent search (kana readings, romaji, aliases, typos)
     findTalent(talentName) {
-        const normalized = talentName.toLowerCase().trim();
+        const [best] = this.findTalentCandidates(talentName, 1);
+        return best && best.score >= MATCH_THRESHOLD ? best.talent : null;
+    }
 
-        // Try exact match first (Japanese or English name)
-        let talent = this.talents.find((t) =>
-            t.name.toLowerCase() === normalized ||
-            (t.name_en && t.name_en.toLowerCase() === normalized)
-        );
-        if (talent) return talent;
-
-        // Try partial match (Japanese or English name)
-        talent = this.talents.find((t) =>
-            t.name.toLowerCase().includes(normalized) ||
-            (t.name_en && t.name_en.toLowerCase().includes(normalized)) ||
-            normalized.includes(t.name.toLowerCase()) ||
-            (t.name_en && normalized.includes(t.name_en.toLowerCase()))
+    // Ranked "did you mean" candidates for a possibly misspelled talent name
+    findTalentCandidates(talentName, limit = 3) {
+        if (!talentName || !String(talentName).trim()) {
+            return [];
+        }
+        return rankTalents(String(talentName), this.talents, { limit });
+    }
+
+    #notFound(talentName) {
+        return {
+            found: false,
+            reason: "タレントが見つかりませんでした / Talent not found",
+            query: talentName || "",
+            candidates: this.findTalentCandidates(talentName).map((c) => c.talent.name),
+        };
+    }
+
+    formatTalentNotFound(result) {
+        let response = `❓ タレントが見つかりませんでした。\n   Talent not found in database.`;
+        if (result.candidates && result.candidates.length > 0) {
+            response += `\n\n💡 もしかして / Did you mean: ${result.candidates.join(" / ")}`;
+        }
+        return response;
+    }
+
+    // Contracts whose term overlaps the proposed campaign window (defaults to today)
+    getActiveContracts(talent, period) {
+        const window = normalizePeriod(period);
+        return this.contracts.filter((c) =>
+            c.talent_name === talent.name &&
+            periodsOverlap({ start: c.start_date, end: c.end_date }, window)
         );
-        if (talent) return talent;
-
-        // Try matching parts of the name (for "Taro" matching "Taro Tanaka")
-        const nameParts = normalized.split(/\s+/);
-        talent = this.talents.find((t) => {
-            const jpParts = t.name.toLowerCase();
-            const enParts = (t.name_en || "").toLowerCase().split(/\s+/);
-            return nameParts.some(part =>
-                jpParts.includes(part) ||
-                enParts.some(enPart => enPart.includes(part) || part.includes(enPart))
-            );
-        });
+    }
 
-        return talent || null;
+    // First day after every blocking contract has ended
+    #availableFrom(contracts) {
+        const lastEnd = contracts
+            .map((c) => c.end_date)
+            .filter(Boolean)
+            .sort()
+            .pop();
+        return lastEnd ? addDays(lastEnd, 1) : null;
     }
 
     // Get all talents (for listing)
@@ -120,24 +114,26 @@ class CastingService {
     recommendTalents(criteria = {}) {
         const { category, cleanImage = true, excludeBrands = [], limit = 3 } = criteria;
 
+        const registry = this.brandRegistry;
+        const categoryProposal = category ? registry.describe(null, category) : null;
+        const brandProposals = excludeBrands.map((brand) => registry.describe(brand, null));
+
         return this.talents.filter(t => {
             // Exclude high risk if clean image required
             if (cleanImage && t.risk_level === "高") return false;
 
             // Check NG categories
-            if (category) {
-                const ngCats = (t.ng_categories || "").split("|").map(c => c.toLowerCase());
-                if (ngCats.some(ng => category.toLowerCase().includes(ng) || ng.includes(category.toLowerCase()))) {
+            if (categoryProposal) {
+                const ownClients = splitList(t.current_contracts);
+                if (splitList(t.ng_categories).some(ng => registry.matchesNgCategory(ng, categoryProposal, ownClients))) {
                     return false;
                 }
             }
 
             // Check excluded brands
-            const ngBrands = (t.ng_brands || "").split("|").map(b => b.toLowerCase());
-            for (const brand of excludeBrands) {
-                if (ngBrands.some(ng => brand.toLowerCase().includes(ng))) {
-                    return false;
-                }
+            const ngBrands = splitList(t.ng_brands);
+            if (brandProposals.some(proposal => ngBrands.some(ng => registry.matchesNgBrand(ng, proposal)))) {
+                return false;
             }
 
             return true;
@@ -216,72 +212,62 @@ class CastingService {
 ・「おすすめタレント」→ Recommendations`;
     }
 
-    checkTalentAvailability(talentName, brand, category) {
+    checkTalentAvailability(talentName, brand, category, period = null) {
         const talent = this.findTalent(talentName);
         if (!talent) {
             return {
+                ...this.#notFound(talentName),
                 available: null,
                 talent: null,
-                reason: "タレントが見つかりませんでした / Talent not found",
             };
         }
 
-        const ngBrands = talent.ng_brands ? talent.ng_brands.split("|") : [];
-        const ngCategories = talent.ng_categories ? talent.ng_categories.split("|") : [];
-
-        // Check brand NG
-        const brandConflict = ngBrands.some((ng) =>
-            brand && (
-                brand.toLowerCase().includes(ng.toLowerCase()) ||
-                ng.toLowerCase().includes(brand.toLowerCase())
-            )
-        );
+        const registry = this.brandRegistry;
+        const ngBrands = splitList(talent.ng_brands);
+        const ngCategories = splitList(talent.ng_categories);
+        const proposal = registry.describe(brand, category);
 
-        // Check category NG  
-        const categoryConflict = ngCategories.some((ng) =>
-            category && (
-                category.toLowerCase().includes(ng.toLowerCase()) ||
-                ng.toLowerCase().includes(category.toLowerCase())
-            )
+        // NG lists are resolved through the brand registry (company group, category tree, competitors)
+        const brandHits = ngBrands.filter((ng) => registry.matchesNgBrand(ng, proposal));
+        const categoryHits = ngCategories.filter((ng) =>
+            registry.matchesNgCategory(ng, proposal, splitList(talent.current_contracts))
         );
 
-        // Also check for alcohol/beer keywords
-        const alcoholKeywords = ["beer", "ビール", "alcohol", "酒", "wine", "ワイン", "whisky", "ウイスキー"];
-        const isAlcoholQuery = alcoholKeywords.some(kw =>
-            (brand && brand.toLowerCase().includes(kw)) ||
-            (category && category.toLowerCase().includes(kw))
-        );
-        const hasAlcoholNG = ngCategories.some(ng => ng.includes("酒"));
-
-        if (brandConflict || categoryConflict || (isAlcoholQuery && hasAlcoholNG)) {
+        if (brandHits.length > 0 || categoryHits.length > 0) {
             return {
                 available: false,
                 talent,
-                reason: brandConflict
-                    ? `${brand} is an NG brand / ${brand}はNGブランドに該当します`
-                    : `This category is restricted / このカテゴリはNGです`,
+                reason: brandHits.length > 0
+                    ? `${proposal.label} is an NG brand (${brandHits.join("/")}) / ${proposal.label}はNGブランドに該当します`
+                    : `${proposal.label} falls under NG category ${categoryHits.join("/")} / このカテゴリはNGです（${categoryHits.join("・")}）`,
                 ngBrands,
                 ngCategories,
+                brandHits,
+                categoryHits,
+                proposal,
             };
         }
 
-        const activeContracts = this.contracts.filter(
-            (c) => c.talent_name === talent.name
-        );
-        const conflictingContract = activeContracts.find((c) => {
-            const restrictions = c.competitive_restrictions || "";
-            return (
-                restrictions.toLowerCase().includes((category || "").toLowerCase()) ||
-                restrictions.toLowerCase().includes((brand || "").toLowerCase())
-            );
-        });
+        const window = period ? normalizePeriod(period) : null;
+        const activeContracts = this.getActiveContracts(talent, window);
+        const evaluation = this.conflictEngine.evaluate(activeContracts, { brand, category });
 
-        if (conflictingContract) {
+        if (evaluation.conflicts.length > 0) {
+            const conflictingContracts = evaluation.conflicts;
+            const availableFrom = this.#availableFrom(conflictingContracts);
+            const clients = [...new Set(conflictingContracts.map((c) => c.client_name))].join("・");
             return {
                 available: false,
                 talent,
-                reason: `Conflict with existing contract (${conflictingContract.client_name}) / 既存契約との競合抵触があります`,
-                conflictingContract,
+                reason: availableFrom
+                    ? `Available from ${availableFrom} after ${clients} exclusivity ends / ${clients}の独占契約終了後、${availableFrom}から起用可能です`
+                    : `Conflict with existing contract (${clients}) / 既存契約との競合抵触があります`,
+                rules: evaluation.rules,
+                proposal,
+                conflictingContract: conflictingContracts[0],
+                conflictingContracts,
+                availableFrom,
+                period: window,
             };
         }
 
@@ -291,16 +277,16 @@ class CastingService {
             reason: "Available for casting / 起用可能です",
             cautions: talent.scandal_history !== "なし" ? [talent.scandal_history] : [],
             expertContact: talent.expert_contact,
+            proposal,
+            warnings: evaluation.warnings,
+            period: window,
         };
     }
 
     getScandalRisk(talentName) {
         const talent = this.findTalent(talentName);
         if (!talent) {
-            return {
-                found: false,
-                reason: "タレントが見つかりませんでした / Talent not found",
-            };
+            return this.#notFound(talentName);
         }
 
         const riskMap = { "高": "High", "中": "Medium", "低": "Low" };
@@ -308,6 +294,7 @@ class CastingService {
 
         return {
             found: true,
+            talentId: talent.talent_id,
             talent: talent.name,
             talentEn: talent.name_en,
             riskLevel: talent.risk_level,
@@ -324,6 +311,19 @@ class CastingService {
         };
     }
 
+    getTalentById(talentId) {
+        return this.talents.find((t) => t.talent_id === talentId) || null;
+    }
+
+    getExpertById(expertId) {
+        return this.experts.find((e) => e.expert_id === expertId) || null;
+    }
+
+    findExpertByName(name) {
+        const target = String(name || "").trim();
+        return this.experts.find((e) => e.name === target || e.name_en === target) || null;
+    }
+
     // Enhanced bilingual expert search
     findExpert(specialization) {
         const normalized = specialization.toLowerCase().trim();
@@ -366,49 +366,43 @@ class CastingService {
         return matches;
     }
 
-    checkContractConflicts(talentName, proposedClient) {
+    // proposal is { client, brand, category }; a plain string is treated as the brand
+    checkContractConflicts(talentName, proposal, period = null) {
         const talent = this.findTalent(talentName);
         if (!talent) {
-            return {
-                found: false,
-                reason: "タレントが見つかりませんでした / Talent not found",
-            };
+            return this.#notFound(talentName);
         }
 
-        const activeContracts = this.contracts.filter(
-            (c) => c.talent_name === talent.name
-        );
-
-        const conflicts = activeContracts.filter((c) => {
-            if (c.exclusivity_type === "完全独占") {
-                return true;
-            }
-            const restrictions = c.competitive_restrictions || "";
-            return restrictions !== "なし" && proposedClient;
-        });
+        const window = period ? normalizePeriod(period) : null;
+        const activeContracts = this.getActiveContracts(talent, window);
+        const evaluation = this.conflictEngine.evaluate(activeContracts, proposal);
 
         return {
             found: true,
+            talentId: talent.talent_id,
             talent: talent.name,
             talentEn: talent.name_en,
+            proposal: evaluation.proposal.label,
             activeContracts,
-            conflicts,
-            hasConflict: conflicts.length > 0,
+            conflicts: evaluation.conflicts,
+            rules: evaluation.rules,
+            warnings: evaluation.warnings,
+            hasConflict: evaluation.conflicts.length > 0,
+            availableFrom: evaluation.conflicts.length > 0 ? this.#availableFrom(evaluation.conflicts) : null,
+            period: window,
         };
     }
 
     getContractStatus(talentName) {
         const talent = this.findTalent(talentName);
         if (!talent) {
-            return {
-                found: false,
-                reason: "タレントが見つかりませんでした / Talent not found",
-            };
+            return this.#notFound(talentName);
         }
 
         const contracts = this.contracts.filter((c) => c.talent_name === talent.name);
         return {
             found: true,
+            talentId: talent.talent_id,
             talent: talent.name,
             talentEn: talent.name_en,
             contracts,
@@ -418,15 +412,19 @@ class CastingService {
 
     formatAvailabilityResponse(result) {
         if (result.available === null) {
-            return `❓ タレントが見つかりませんでした。\n   Talent not found in database.`;
+            return this.formatTalentNotFound(result);
         }
 
         const nameLabel = result.talent.name_en
             ? `${result.talent.name}（${result.talent.name_en}）`
             : result.talent.name;
 
+        const periodLine = result.period
+            ? `\n📅 期間 / Period: ${result.period.start} → ${result.period.end}`
+            : "";
+
         if (result.available) {
-            let response = `✅ ${nameLabel}\n   起用可能です / Available for casting\n`;
+            let response = `✅ ${nameLabel}\n   起用可能です / Available for casting${periodLine}\n`;
             if (result.cautions && result.cautions.length > 0) {
                 response += `\n⚠️ 注意事項 / Caution:\n${result.cautions.map((c) => `・${c}`).join("\n")}\n`;
             }
@@ -436,7 +434,10 @@ class CastingService {
             return response;
         }
 
-        let response = `❌ ${nameLabel}\n   現在起用できません / Not available\n\n📋 理由 / Reason:\n・${result.reason}`;
+        let response = `❌ ${nameLabel}\n   現在起用できません / Not available${periodLine}\n\n📋 理由 / Reason:\n・${result.reason}`;
+        if (result.availableFrom) {
+            response += `\n\n📅 起用可能日 / Available from: ${result.availableFrom}`;
+        }
         if (result.ngBrands && result.ngBrands.length > 0) {
             response += `\n\n🚫 NGブランド / NG Brands: ${result.ngBrands.join("、")}`;
         }
@@ -448,7 +449,7 @@ class CastingService {
 
     formatRiskResponse(result) {
         if (!result.found) {
-            return `❓ タレントが見つかりませんでした。\n   Talent not found in database.`;
+            return this.formatTalentNotFound(result);
         }
 
         const riskEmoji =
@@ -509,7 +510,7 @@ ${expertList}
 
     formatContractStatusResponse(result) {
         if (!result.found) {
-            return `❓ タレントが見つかりませんでした。\n   Talent not found in database.`;
+            return this.formatTalentNotFound(result);
         }
 
         const nameLabel = result.talentEn
@@ -542,6 +543,36 @@ ${contractList}
 ━━━━━━━━━━━━━━━━━━━━━━
 💡 担当 / Contact: ${result.expertContact}`;
     }
+
+    formatConflictResponse(result) {
+        if (!result.found) {
+            return this.formatTalentNotFound(result);
+        }
+
+        const name = result.talentEn
+            ? `${result.talent} (${result.talentEn})`
+            : result.talent;
+        const proposalLine = result.proposal ? `\n🏷️ 提案 / Proposal: ${result.proposal}` : "";
+        const periodLine = result.period
+            ? `\n📅 期間 / Period: ${result.period.start} → ${result.period.end}`
+            : "";
+        const warningLines = (result.warnings || []).length > 0
+            ? `\n\n⚠️ 要確認 / Check manually:\n${result.warnings.map((w) => `・${w.explanation}`).join("\n")}`
+            : "";
+
+        if (!result.hasConflict) {
+            return `✅ ${name} has no conflicts\n✅ ${result.talent}さんには競合抵触はありません${proposalLine}${periodLine}\n\n📄 Active contracts: ${result.activeContracts.length}${warningLines}`;
+        }
+
+        const ruleList = result.rules
+            .map((r) => `・${r.contract.client_name} (${r.contract.brand}) - ${r.contract.exclusivity_type}\n  ${r.explanation}`)
+            .join("\n");
+        const availableLine = result.availableFrom
+            ? `\n\n📅 Available from / 起用可能日: ${result.availableFrom}`
+            : "";
+
+        return `⚠️ ${name} has conflicts!\n⚠️ ${result.talent}さんに競合抵触があります${proposalLine}${periodLine}\n\n📋 Conflicting contracts:\n${ruleList}${availableLine}${warningLines}`;
+    }
 }
 
 module.exports = {
@@ -0,0 +1,111 @@
+const { isNone } = require("./brand-registry");
+
+const EXCLUSIVITY_RULES = {
+  "完全独占": { rule: "full_exclusivity", label: "Full exclusivity", labelJa: "完全独占契約", scope: "root" },
+  "グローバル独占": { rule: "global_exclusivity", label: "Global exclusivity", labelJa: "グローバル独占契約", scope: "root" },
+  "カテゴリ独占": { rule: "category_exclusivity", label: "Category exclusivity", labelJa: "カテゴリ独占契約", scope: "leaf" },
+};
+
+function normalizeProposal(proposal) {
+  if (!proposal) {
+    return {};
+  }
+  if (typeof proposal === "string") {
+    return { brand: proposal };
+  }
+  return proposal;
+}
+
+class ConflictEngine {
+  constructor(options = {}) {
+    this.brandRegistry = options.brandRegistry;
+  }
+
+  // Evaluates every exclusivity / competitive-restriction rule of the given contracts against a proposal
+  evaluate(contracts, rawProposal) {
+    const registry = this.brandRegistry;
+    const input = normalizeProposal(rawProposal);
+    const proposal = registry.describe(input.brand || input.client, input.category);
+    if (input.client && input.brand) {
+      proposal.companies.push(input.client);
+    }
+
+    const fired = [];
+    const warnings = [];
+
+    for (const contract of contracts) {
+      const contractEntry = registry.resolve(contract.brand) || registry.resolve(contract.client_name);
+      const contractCompanies = [contract.client_name, contract.brand];
+      if (contractEntry) {
+        contractCompanies.push(contractEntry.client, contractEntry.parent_company);
+      }
+
+      // Renewals or extra work for the same client never conflict with its own contract
+      if (registry.sameCompany(contractCompanies, proposal.companies)) {
+        continue;
+      }
+
+      const end = contract.end_date || "-";
+      const party = `${contract.client_name}（${contract.brand}）`;
+      const exclusivity = EXCLUSIVITY_RULES[contract.exclusivity_type];
+
+      if (exclusivity) {
+        const lineage = registry.categoryLineage(
+          (contractEntry && contractEntry.category) || registry.resolveCategory(contract.category) || contract.category
+        );
+        const scope = exclusivity.scope === "root" ? lineage[lineage.length - 1] : lineage[0];
+
+        if (proposal.categories.length === 0) {
+          warnings.push({
+            rule: exclusivity.rule,
+            contract,
+            explanation: `Category of "${proposal.label}" is unknown; check the ${exclusivity.label.toLowerCase()} with ${contract.client_name} manually / 「${proposal.label}」のカテゴリが不明なため、${party}との${exclusivity.labelJa}を個別に確認してください`,
+          });
+        } else if (scope && proposal.categories.includes(scope)) {
+          fired.push({
+            rule: exclusivity.rule,
+            contract,
+            explanation: `${exclusivity.label} with ${contract.client_name} covers ${scope} until ${end} / ${party}との${exclusivity.labelJa}により${end}まで${scope}では起用できません`,
+          });
+        } else if (registry.areCompetitors(contractEntry, proposal.entry)) {
+          fired.push({
+            rule: "competitor_exclusivity",
+            contract,
+            explanation: `${proposal.label} competes with ${contract.client_name} under an exclusive contract until ${end} / ${proposal.label}は${party}の競合にあたります（〜${end}）`,
+          });
+        }
+      }
+
+      const restriction = contract.competitive_restrictions;
+      if (!isNone(restriction) && this.#matchesRestriction(restriction, proposal)) {
+        fired.push({
+          rule: "competitive_restriction",
+          contract,
+          explanation: `Competitive restriction "${restriction}" in the ${contract.client_name} contract applies until ${end} / ${party}契約の競合制限「${restriction}」に該当します（〜${end}）`,
+        });
+      }
+    }
+
+    return {
+      proposal,
+      rules: fired,
+      warnings,
+      conflicts: [...new Set(fired.map((entry) => entry.contract))],
+    };
+  }
+
+  #matchesRestriction(restriction, proposal) {
+    const registry = this.brandRegistry;
+    const base = restriction.replace(/全般|製品/g, "").trim();
+    const node = registry.resolveCategory(base);
+    if (node) {
+      return proposal.categories.includes(node);
+    }
+    const labels = [proposal.brandText, proposal.categoryText, ...proposal.categories].filter(Boolean);
+    return labels.some((label) => registry.sameCompany([label], [base]));
+  }
+}
+
+module.exports = {
+  ConflictEngine,
+};
@@ -1,29 +1,4 @@
-const fs = require("fs");
-const path = require("path");
-
-function parseCSV(content) {
-    const lines = content.trim().split("\n");
-    if (lines.length < 2) return [];
-    const headers = lines[0].split(",");
-    return lines.slice(1).map((line) => {
-        const values = line.split(",");
-        const obj = {};
-        headers.forEach((h, i) => {
-            obj[h.trim()] = values[i] ? values[i].trim() : "";
-        });
-        return obj;
-    });
-}
-
-function loadCSV(filePath) {
-    try {
-        const content = fs.readFileSync(filePath, "utf-8");
-        return parseCSV(content);
-    } catch (error) {
-        console.error(`Failed to load CSV: ${filePath}`, error.message);
-        return [];
-    }
-}
+const { CastingDataStore } = require("../storage/casting-data-store");
 
 function daysBetween(date1, date2) {
     const d1 = new Date(date1);
@@ -35,28 +10,19 @@ function daysBetween(date1, date2) {
 class ContractAlertService {
     constructor(options = {}) {
         this.config = options.config;
-        this.dataDir = options.dataDir || path.resolve(process.cwd(), "data");
-        this._contracts = null;
-        this._talents = null;
+        this.dataStore = options.dataStore || new CastingDataStore({ dataDir: options.dataDir });
     }
 
     get contracts() {
-        if (!this._contracts) {
-            this._contracts = loadCSV(path.join(this.dataDir, "contracts.csv"));
-        }
-        return this._contracts;
+        return this.dataStore.contracts;
     }
 
     get talents() {
-        if (!this._talents) {
-            this._talents = loadCSV(path.join(this.dataDir, "talents.csv"));
-        }
-        return this._talents;
+        return this.dataStore.talents;
     }
 
     reloadData() {
-        this._contracts = null;
-        this._talents = null;
+        this.dataStore.reload();
     }
 
     getExpiringContracts(daysAhead = 30) {
@@ -0,0 +1,217 @@
+const { createId } = require("../utils/id");
+const { ensureSent } = require("../line/client");
+
+// Which statuses each action may start from; closed is final
+const TRANSITIONS = {
+  assign: ["open", "assigned"],
+  note: ["open", "assigned", "resolved"],
+  resolve: ["open", "assigned"],
+  close: ["open", "assigned", "resolved"],
+};
+
+function escalationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Manager-side handling of the escalation queue. Every transition is timestamped, kept in the
+// escalation's `history` and mirrored to the EscalationSink.
+class EscalationService {
+  constructor(options = {}) {
+    this.repository = options.repository;
+    this.escalationSink = options.escalationSink || null;
+    this.lineClient = options.lineClient || null;
+    this.conversationMemory = options.conversationMemory || null;
+    this.handoffStore = options.handoffStore || null;
+    this.outbox = options.outbox || null;
+    this.now = options.now || (() => new Date());
+  }
+
+  list(filters = {}) {
+    return this.repository.listEscalations(filters);
+  }
+
+  get(queueId) {
+    return this.repository.getEscalation(queueId);
+  }
+
+  // Accepts "Q-3F9A1C2E", "q-3f9a1c2e" or "#Q-3F9A1C2E"
+  findByTicket(ticketId) {
+    const normalized = String(ticketId || "").replace(/^#/, "").toUpperCase();
+    return this.repository.listEscalations().find((escalation) => escalation.ticket_id === normalized) || null;
+  }
+
+  // A manager's answer from LINE: pushed to the user who asked, logged as the human answer in
+  // their conversation memory, then the ticket is resolved and closed. Nothing changes if the
+  // push fails or LINE skips it, so the manager can simply send the reply again. While the user is still handed
+  // off, later answers on the closed ticket are delivered as follow-ups.
+  async answer(ticketId, { text, actor } = {}) {
+    const answerText = String(text || "").trim();
+    if (!answerText) {
+      throw escalationError("invalid_request", "answer text is required");
+    }
+    const escalation = this.#requireTicket(ticketId);
+    const open = TRANSITIONS.resolve.includes(escalation.status);
+    const followUp = !open && Boolean(await this.#handoffFor(escalation));
+    if (!open && !followUp) {
+      throw escalationError("invalid_transition", `Ticket ${escalation.ticket_id} is already ${escalation.status}`);
+    }
+
+    ensureSent(await this.lineClient.pushText(escalation.line_user_id, answerText));
+
+    const logPayload = {
+      line_user_id: escalation.line_user_id,
+      user_text: escalation.message_text || "",
+      assistant_text: answerText,
+      intent: "human_answer",
+      confidence: 1,
+      action: "human_answered",
+      queue_id: escalation.queue_id,
+    };
+    if (this.conversationMemory) {
+      await this.conversationMemory.add(logPayload);
+    } else {
+      this.repository.addConversation(logPayload);
+    }
+
+    if (followUp) {
+      return escalation;
+    }
+    await this.resolve(escalation.queue_id, { resolution: answerText, actor });
+    return this.close(escalation.queue_id, { actor });
+  }
+
+  // Pauses the bot for the ticket's user and forwards their messages to `ownerUserId`
+  async handoff(ticketId, { ownerUserId, actor } = {}) {
+    const escalation = this.#requireTicket(ticketId);
+    const owner = String(ownerUserId || actor || "").trim();
+    if (!owner) {
+      throw escalationError("invalid_request", "ownerUserId is required");
+    }
+    const handoff = await this.handoffStore.start(escalation.line_user_id, {
+      ownerUserId: owner,
+      queueId: escalation.queue_id,
+      ticketId: escalation.ticket_id,
+      reason: "manual",
+    });
+    this.repository.addAuditEvent({
+      type: "handoff_started",
+      line_user_id: escalation.line_user_id,
+      queue_id: escalation.queue_id,
+      owner_user_id: owner,
+      actor: actor || "",
+    });
+    return { ...escalation, handoff };
+  }
+
+  // Hands the user back to the bot
+  async release(ticketId, { actor } = {}) {
+    const escalation = this.#requireTicket(ticketId);
+    await this.handoffStore.release(escalation.line_user_id);
+    this.repository.addAuditEvent({
+      type: "handoff_released",
+      line_user_id: escalation.line_user_id,
+      queue_id: escalation.queue_id,
+      actor: actor || "",
+    });
+    return { ...escalation, handoff: null };
+  }
+
+  async assign(queueId, { owner, actor } = {}) {
+    const nextOwner = String(owner || "").trim();
+    if (!nextOwner) {
+      throw escalationError("invalid_request", "owner is required");
+    }
+    return this.#transition(queueId, "assign", actor, (at) => ({
+      status: "assigned",
+      owner: nextOwner,
+      assigned_at: at,
+    }), { owner: nextOwner });
+  }
+
+  async addNote(queueId, { text, actor } = {}) {
+    const noteText = String(text || "").trim();
+    if (!noteText) {
+      throw escalationError("invalid_request", "note text is required");
+    }
+    return this.#transition(queueId, "note", actor, (at, current) => ({
+      notes: [
+        ...(current.notes || []),
+        { note_id: createId("note"), author: actor || "", text: noteText, created_at: at },
+      ],
+    }));
+  }
+
+  async resolve(queueId, { resolution, actor } = {}) {
+    const answer = String(resolution || "").trim();
+    if (!answer) {
+      throw escalationError("invalid_request", "resolution text is required");
+    }
+    return this.#transition(queueId, "resolve", actor, (at) => ({
+      status: "resolved",
+      resolution: answer,
+      resolved_at: at,
+    }));
+  }
+
+  async close(queueId, { actor } = {}) {
+    return this.#transition(queueId, "close", actor, (at) => ({
+      status: "closed",
+      closed_at: at,
+    }));
+  }
+
+  #requireTicket(ticketId) {
+    const escalation = this.findByTicket(ticketId) || this.get(ticketId);
+    if (!escalation) {
+      throw escalationError("escalation_not_found", `Ticket ${ticketId} not found`);
+    }
+    return escalation;
+  }
+
+  async #handoffFor(escalation) {
+    const handoff = this.handoffStore ? await this.handoffStore.get(escalation.line_user_id) : null;
+    return handoff && handoff.queue_id === escalation.queue_id ? handoff : null;
+  }
+
+  async #transition(queueId, action, actor, buildChanges, detail = {}) {
+    const current = this.repository.getEscalation(queueId);
+    if (!current) {
+      throw escalationError("escalation_not_found", `Escalation ${queueId} not found`);
+    }
+    if (!TRANSITIONS[action].includes(current.status)) {
+      throw escalationError("invalid_transition", `Cannot ${action} an escalation that is ${current.status}`);
+    }
+
+    const at = this.now().toISOString();
+    const changes = buildChanges(at, current);
+    const updated = this.repository.updateEscalation(queueId, {
+      ...changes,
+      updated_at: at,
+      history: [
+        ...(current.history || []),
+        { action, from: current.status, to: changes.status || current.status, actor: actor || "", at, ...detail },
+      ],
+    });
+
+    const event = { assign: "assigned", note: "noted", resolve: "resolved", close: "closed" }[action];
+    if (this.outbox) {
+      const message = await this.outbox.enqueue("escalation_sink", { item: updated, event });
+      return message.status === "delivered" ? updated : { ...updated, sink_error: message.last_error };
+    }
+    if (this.escalationSink) {
+      try {
+        await this.escalationSink.record(updated, event);
+      } catch (error) {
+        return { ...updated, sink_error: error.message };
+      }
+    }
+    return updated;
+  }
+}
+
+module.exports = {
+  EscalationService,
+  TRANSITIONS,
+};
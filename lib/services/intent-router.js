@@ -0,0 +1,928 @@
+const { extractCampaignPeriod, invalidPeriod } = require("../utils/date");
+const { parsePostbackData, postbackAction } = require("../line/postback");
+
+const QUICK_REPLIES = [
+  { type: "action", action: postbackAction("📊 ダッシュボード", "dashboard", {}, "ダッシュボード") },
+  { type: "action", action: postbackAction("⚠️ アラート", "alerts", {}, "アラート") },
+  { type: "action", action: postbackAction("🎯 おすすめ", "recommend", {}, "おすすめタレント") },
+  { type: "action", action: postbackAction("👥 専門家", "expert_list", {}, "専門家一覧") },
+];
+
+// Button command keywords
+const BUTTON_COMMANDS = {
+  "タレント検索": "talent_list",
+  "タレント一覧": "talent_list",
+  "リスクチェック": "risk_list",
+  "show high risk talents": "risk_list",
+  "専門家を探す": "expert_list",
+  "専門家一覧": "expert_list",
+  "show all experts": "expert_list",
+  "ダッシュボード": "dashboard",
+  "dashboard": "dashboard",
+  "おすすめタレント": "recommend",
+  "おすすめ": "recommend",
+  "recommend": "recommend",
+};
+
+// Greeting keywords (English and Japanese)
+const GREETING_KEYWORDS = [
+  "hi", "hii", "hello", "hey", "hola", "yo", "sup",
+  "こんにちは", "こんばんは", "おはよう", "はじめまして", "やあ", "ハロー",
+  "start", "help", "menu", "始める", "ヘルプ", "メニュー"
+];
+
+const SLOT_PROMPTS = {
+  talent: `🤔 どのタレントについてお調べしますか？
+   Which talent would you like to check?
+
+例 / Example:「田中太郎」`,
+  brand: `🏷️ どのブランド・カテゴリでの起用をご検討ですか？
+   Which brand or category is this for?
+
+例 / Example:「ビール」「アサヒビール」「化粧品」`,
+};
+
+function invalidPeriodPrompt({ value, reason }) {
+  const problem = reason === "end_before_start"
+    ? `📅 「${value}」は終了日が開始日より前になっています。いつの起用ですか？
+   "${value}" ends before it starts. When is the campaign?`
+    : `📅 「${value}」は日付として読み取れませんでした。いつの起用ですか？
+   Couldn't read "${value}" as a date. When is the campaign?`;
+  return `${problem}
+
+例 / Example:「2026年6月〜8月」「来月」「2026-06-01」`;
+}
+
+// Follow-up references resolved against the last entities discussed with the same user
+const TALENT_REFERENCE_REGEX = /その人|この人|あの人|そのタレント|このタレント|彼女|彼|\b(?:them|their|they|he|him|his|she|her|this talent|that talent)\b/i;
+const BRAND_REFERENCE_REGEX = /そのブランド|このブランド|その商品|同じブランド|\b(?:that brand|this brand|same brand)\b/i;
+const CONTRACT_REFERENCE_REGEX = /その契約|この契約|\b(?:that contract|this contract)\b/i;
+
+const CANCEL_KEYWORDS = ["キャンセル", "やめる", "cancel", "stop"];
+
+const CANCEL_RESPONSE = `👌 確認を中止しました。
+   Cancelled. Ask me anything else anytime.`;
+
+const GREETING_RESPONSE = `👋 博報堂キャスティングアシスタント
+   Hakuhodo Casting Assistant
+
+このボットでできること / What this bot can do:
+• 📊 ダッシュボード / Dashboard → 全体状況 / Overview
+• ⚠️ アラート / Alerts → 契約期限 / Contract Expiry
+• 🎯 おすすめ / Recommend → タレント推薦 / Talent Picks
+• 👥 専門家 / Experts → 担当者検索 / Find Contacts
+
+例文 / Examples:
+• 「田中太郎はビールのCMに使えますか？」
+• 「佐藤健太のリスクを教えてください」
+• 「韓国タレントに詳しい人」
+• 「おすすめタレント」
+
+下のボタンからお試しください / Tap a button below 👇`;
+
+const GROUP_HINT = `👥 グループでは @メンション または「/cast」で始めて話しかけてください。
+   In groups, @mention me or start your message with "/cast".`;
+
+const HELP_RESPONSE = `🤔 よく分かりませんでした。
+   I'm not sure what you're asking about.
+
+以下をお試しください / Try one of these:
+• 「田中太郎はビールに使えますか？」→ NG Check
+• 「佐藤健太のリスク」→ Risk Assessment
+• 「韓国タレントに詳しい人」→ Expert Search
+• 「アラート」→ Contract Alerts
+• 「おすすめタレント」→ Recommendations
+
+タレント名を含めてご質問ください。
+Please include a talent name in your question.`;
+
+const ALERT_COMMANDS = ["アラート", "alerts", "契約アラート"];
+
+const WHOAMI_COMMANDS = ["whoami", "/whoami"];
+
+// Postback actions that drill into a casting intent for a talent id ("action=risk&talent=T004")
+const POSTBACK_INTENTS = {
+  ng: "talent_ng_check",
+  risk: "scandal_risk_check",
+  contracts: "contract_status",
+  conflicts: "conflict_check",
+};
+
+const POSTBACK_COMMANDS = ["talent_list", "risk_list", "expert_list", "dashboard", "recommend"];
+
+// Manager answers to escalation notifications: "#Q-3F9A1C2E 回答テキスト", or "#Q-3F9A1C2E /handoff"
+// and "#Q-3F9A1C2E /release" to pause the bot for that user and hand them back
+const MANAGER_REPLY_REGEX = /^#(Q-[0-9A-F]+)\s+([\s\S]+)$/i;
+
+const HANDOFF_RESPONSES = {
+  handoff: (ticket) => `🙋 #${ticket} のユーザーを引き継ぎました。メッセージはあなたに転送されます。
+   You now handle #${ticket}; the user's messages will be forwarded to you.`,
+  release: (ticket) => `🤖 #${ticket} のユーザーをボットに戻しました。
+   #${ticket} is handed back to the bot.`,
+};
+
+const ESCALATION_EDIT_RESPONSE = `✏️ 返信内容を編集して送信してください。
+   Edit the reply and send it; it keeps the #Q ticket at the start.`;
+
+const ESCALATION_CHANNEL_RESPONSE = `🔒 チケットへの回答は、マネージャー本人との LINE 1:1 トークでのみ受け付けます。
+   Ticket replies are only accepted in the manager's own 1:1 LINE chat.`;
+
+// Why a manager reply was not delivered, keyed by EscalationService error code
+const ESCALATION_REPLY_ERRORS = {
+  invalid_request: "⚠️ 回答内容が空です。\n   The answer text is empty.",
+  escalation_not_found: "⚠️ チケットが見つかりません。\n   That ticket was not found.",
+  invalid_transition: "ℹ️ このチケットは対応済みです。\n   That ticket has already been answered or closed.",
+  delivery_failed: "⚠️ ユーザーへの送信に失敗しました。もう一度お試しください。\n   Could not deliver the answer; please send it again.",
+};
+
+// Used when no access control is configured, and for anonymous query API callers
+const ALLOW_ALL = {
+  lineUserId: null,
+  member: null,
+  can: () => true,
+  canSee: () => true,
+  redact: (result) => result,
+};
+
+const UNKNOWN_POSTBACK_RESPONSE = `🤔 このボタンは現在ご利用いただけません。
+   This button is no longer available. Please try again from the menu.`;
+
+// Casting intents answered from the casting data; requiredSlots are asked for before handle() runs
+// ("brand" means brand or category)
+const CASTING_HANDLERS = {
+  talent_ng_check: {
+    requiredSlots: ["talent", "brand"],
+    handle(castingService, slots, access) {
+      const result = access.redact(
+        castingService.checkTalentAvailability(slots.talent, slots.brand, slots.category, slots.period)
+      );
+      return { result, response: castingService.formatAvailabilityResponse(result) };
+    },
+  },
+  scandal_risk_check: {
+    requiredSlots: ["talent"],
+    handle(castingService, slots, access) {
+      const result = access.redact(castingService.getScandalRisk(slots.talent));
+      return { result, response: castingService.formatRiskResponse(result) };
+    },
+  },
+  contract_status: {
+    requiredSlots: ["talent"],
+    handle(castingService, slots) {
+      const result = castingService.getContractStatus(slots.talent);
+      const referenced = result.found && slots.contractId
+        ? result.contracts.filter((c) => c.contract_id === slots.contractId)
+        : [];
+      if (referenced.length > 0) {
+        result.contracts = referenced;
+      }
+      return { result, response: castingService.formatContractStatusResponse(result) };
+    },
+  },
+  expert_finder: {
+    requiredSlots: [],
+    handle(castingService, slots) {
+      const experts = castingService.findExpert(slots.specialization);
+      return {
+        result: { experts, specialization: slots.specialization },
+        response: castingService.formatExpertResponse(experts, slots.specialization),
+      };
+    },
+  },
+  conflict_check: {
+    requiredSlots: ["talent", "brand"],
+    handle(castingService, slots) {
+      const result = castingService.checkContractConflicts(
+        slots.talent,
+        { client: slots.client, brand: slots.brand, category: slots.category },
+        slots.period
+      );
+      return { result, response: castingService.formatConflictResponse(result) };
+    },
+  },
+};
+
+class IntentRouter {
+  constructor(options = {}) {
+    this.castingService = options.castingService;
+    this.contractAlertService = options.contractAlertService;
+    this.classifier = options.classifier;
+    this.generator = options.generator;
+    this.dialogueState = options.dialogueState;
+    this.conversationMemory = options.conversationMemory;
+    this.assistantService = options.assistantService;
+    this.onboardingService = options.onboardingService || null;
+    this.accessControl = options.accessControl || null;
+    this.escalationService = options.escalationService || null;
+    this.repository = options.repository || null;
+    this.now = options.now || (() => new Date());
+    this.castingHandlers = { ...CASTING_HANDLERS, ...(options.castingHandlers || {}) };
+  }
+
+  register(intent, handler) {
+    this.castingHandlers[intent] = handler;
+  }
+
+  // Routes one text message from any channel. `slots` lets structured callers (the query API)
+  // pin talent/brand/category/period instead of relying on extraction from the text.
+  async route(input = {}) {
+    const outcome = await this.#routeText(input);
+    const userId = input.userId || null;
+
+    // Shared chats are audited per sender, since the conversation itself belongs to the group
+    if (this.repository && input.conversationId && input.conversationId !== userId) {
+      this.repository.addAuditEvent({
+        type: "group_query",
+        conversation_id: input.conversationId,
+        line_user_id: userId,
+        channel: input.channel || "",
+        text: String(input.text || "").trim(),
+        action: outcome.action,
+        status: outcome.status,
+      });
+    }
+    return outcome;
+  }
+
+  async #routeText(input) {
+    const text = String(input.text || "").trim();
+    const textLower = text.toLowerCase();
+    // An anonymous caller's userId is only a claim, so no state, memory, escalation or handoff
+    // is keyed by it
+    const userId = input.anonymous ? null : input.userId || null;
+    // Groups and rooms share dialogue state and context; access and audit stay with the sender
+    const conversationId = input.anonymous ? null : input.conversationId || userId;
+    const personal = Boolean(userId) && conversationId === userId;
+
+    const onboardingStep = personal && this.onboardingService
+      ? this.onboardingService.answer(userId, { text })
+      : null;
+    if (onboardingStep) {
+      return onboardingOutcome(onboardingStep);
+    }
+
+    const managerReply = this.escalationService ? text.match(MANAGER_REPLY_REGEX) : null;
+    if (managerReply) {
+      const replyContext = { channel: input.channel, text };
+      const denied = this.#untrustedManagerChannel(input, replyContext) ||
+        this.#denied(this.#access(userId), "escalation_reply", replyContext);
+      return denied || this.#escalationCommand(managerReply[1], managerReply[2].trim(), userId);
+    }
+
+    // While a manager handles this user the assistant only forwards; casting answers pause too
+    if (personal && await this.assistantService.activeHandoff(userId)) {
+      return this.#fallback(input, text, { intent: "handoff", confidence: 1 });
+    }
+
+    if (!text || GREETING_KEYWORDS.some((kw) => textLower === kw || textLower.includes(kw))) {
+      await this.dialogueState.clear(conversationId);
+      return processed("greeting", GREETING_RESPONSE);
+    }
+
+    const access = this.#access(userId, input.anonymous);
+    const context = { channel: input.channel, text };
+
+    // whoami stays open so unregistered users can look up the userId to add to the staff directory
+    if (WHOAMI_COMMANDS.includes(textLower)) {
+      await this.dialogueState.clear(conversationId);
+      return this.#fallback(input, text, { intent: "utility_whoami", confidence: 1 });
+    }
+
+    const buttonCommand = BUTTON_COMMANDS[textLower] || BUTTON_COMMANDS[text];
+    if (buttonCommand) {
+      await this.dialogueState.clear(conversationId);
+      return this.#denied(access, buttonCommand, context) || this.#buttonOutcome(buttonCommand, access);
+    }
+
+    if (ALERT_COMMANDS.includes(text) || ALERT_COMMANDS.includes(textLower)) {
+      await this.dialogueState.clear(conversationId);
+      return this.#denied(access, "alerts", context) || this.#alerts();
+    }
+
+    // Classify and handle casting-specific intents, continuing any pending slot-filling dialogue
+    const recentContext = conversationId ? await this.conversationMemory.getRecent(conversationId, 5) : [];
+    const classification = await this.classifier.classify({
+      message: text,
+      profile: null,
+      recentContext,
+    });
+
+    const pending = await this.dialogueState.get(conversationId);
+    const lastEntities = conversationId
+      ? await this.conversationMemory.getLastEntities(conversationId)
+      : { talent: null, brand: null, contract_id: null };
+    const castingTurn = await this.#resolveCastingTurn({
+      conversationId,
+      text,
+      classification,
+      pending,
+      lastEntities,
+      overrides: input.slots || {},
+      access,
+      context,
+    });
+
+    if (castingTurn) {
+      return this.#castingOutcome(conversationId, userId, text, castingTurn, classification);
+    }
+
+    if (classification.intent === "general_casting_query" || classification.confidence < 0.5) {
+      return {
+        ...processed("help", HELP_RESPONSE),
+        intent: classification.intent,
+        confidence: classification.confidence,
+      };
+    }
+
+    return this.#denied(access, "assistant", context) || this.#fallback(input, text, classification);
+  }
+
+  // Button taps arrive as postbacks with structured data, so no text has to be re-parsed
+  async routePostback(input = {}) {
+    const userId = input.userId || null;
+    const conversationId = input.conversationId || userId;
+    const params = parsePostbackData(input.data);
+    const castingService = this.castingService;
+    const access = this.#access(userId);
+    const context = { channel: input.channel, text: input.data };
+
+    if (params.action === "alerts") {
+      await this.dialogueState.clear(conversationId);
+      return this.#denied(access, "alerts", context) || this.#alerts();
+    }
+
+    if (params.action === "onboarding" && userId && this.onboardingService) {
+      const onboardingStep = this.onboardingService.answer(userId, params);
+      if (onboardingStep) {
+        return onboardingOutcome(onboardingStep);
+      }
+    }
+
+    if ((params.action === "esc_approve" || params.action === "esc_edit") && this.escalationService) {
+      const denied = this.#untrustedManagerChannel(input, context) || this.#denied(access, "escalation_reply", context);
+      if (denied) {
+        return denied;
+      }
+      if (params.action === "esc_edit") {
+        return processed("escalation_edit", ESCALATION_EDIT_RESPONSE);
+      }
+      const escalation = this.escalationService.findByTicket(params.ticket);
+      return this.#answerEscalation(params.ticket, escalation ? escalation.suggested_reply : "", userId);
+    }
+
+    if (POSTBACK_COMMANDS.includes(params.action)) {
+      await this.dialogueState.clear(conversationId);
+      return this.#denied(access, params.action, context) || this.#buttonOutcome(params.action, access);
+    }
+
+    if (params.action === "contact") {
+      const denied = this.#denied(access, "expert_contact", context);
+      if (denied) {
+        return denied;
+      }
+      const expert = castingService.getExpertById(params.expert) || castingService.findExpertByName(params.name);
+      if (expert) {
+        return {
+          ...processed("expert_contact", castingService.formatExpertResponse([expert], expert.name)),
+          result: [expert],
+        };
+      }
+    }
+
+    const intent = POSTBACK_INTENTS[params.action];
+    const talent = intent ? castingService.getTalentById(params.talent) : null;
+    if (!talent) {
+      return processed("postback_unknown", UNKNOWN_POSTBACK_RESPONSE);
+    }
+
+    await this.dialogueState.clear(conversationId);
+    const turn = await this.#continueCastingIntent(conversationId, intent, {
+      talent: talent.name,
+      talentQuery: talent.name,
+      client: params.client || null,
+      brand: params.brand || null,
+      category: params.category || null,
+      period: params.start ? { start: params.start, end: params.end || params.start } : null,
+      specialization: null,
+      contractId: params.contract || null,
+    }, access, context);
+    const text = input.displayText || `[postback] ${input.data}`;
+    return this.#castingOutcome(conversationId, userId, text, turn, { intent, confidence: 1 });
+  }
+
+  // follow / unfollow / join / leave
+  async routeLifecycle(input = {}) {
+    const userId = input.userId || null;
+
+    switch (input.type) {
+      case "follow":
+        await this.dialogueState.clear(userId);
+        return this.onboardingService && userId
+          ? onboardingOutcome(this.onboardingService.follow(userId))
+          : processed("follow", GREETING_RESPONSE);
+      case "unfollow": {
+        await this.dialogueState.clear(userId);
+        const outcome = this.onboardingService && userId ? this.onboardingService.unfollow(userId) : null;
+        return { ...processed("unfollow", ""), result: outcome };
+      }
+      case "join":
+        return processed("join", `${GREETING_RESPONSE}\n\n${GROUP_HINT}`);
+      case "leave":
+        await this.dialogueState.clear(input.conversationId || null);
+        return processed("leave", "");
+      default:
+        return { ...processed("ignored", ""), status: "ignored" };
+    }
+  }
+
+  async #escalationCommand(ticketId, body, managerUserId) {
+    const command = body.toLowerCase();
+    if (command !== "/handoff" && command !== "/release") {
+      return this.#answerEscalation(ticketId, body, managerUserId);
+    }
+    try {
+      const action = command.slice(1);
+      const escalation = action === "handoff"
+        ? await this.escalationService.handoff(ticketId, { ownerUserId: managerUserId, actor: managerUserId })
+        : await this.escalationService.release(ticketId, { actor: managerUserId });
+      return { ...processed(`escalation_${action}`, HANDOFF_RESPONSES[action](escalation.ticket_id)), result: escalation };
+    } catch (error) {
+      const code = ESCALATION_REPLY_ERRORS[error.code] ? error.code : "delivery_failed";
+      return { ...processed("escalation_reply:failed", ESCALATION_REPLY_ERRORS[code]), error: code };
+    }
+  }
+
+  async #answerEscalation(ticketId, text, managerUserId) {
+    try {
+      const escalation = await this.escalationService.answer(ticketId, { text, actor: managerUserId || "" });
+      return {
+        ...processed("escalation_reply", `✅ #${escalation.ticket_id} の回答を送信しました（チケットはクローズ済み）。
+   Sent the answer to the user; #${escalation.ticket_id} is closed.`),
+        result: escalation,
+      };
+    } catch (error) {
+      const code = ESCALATION_REPLY_ERRORS[error.code] ? error.code : "delivery_failed";
+      return { ...processed("escalation_reply:failed", ESCALATION_REPLY_ERRORS[code]), error: code };
+    }
+  }
+
+  // Anonymous callers have no staff identity to check; they keep the query API's original access
+  #access(userId, anonymous = false) {
+    return this.accessControl && !anonymous ? this.accessControl.resolve(userId) : ALLOW_ALL;
+  }
+
+  // Refusal outcome when the user may not run `command`, otherwise null
+  #denied(access, command, context) {
+    const denial = this.accessControl ? this.accessControl.deny(access, command, context) : null;
+    if (!denial) {
+      return null;
+    }
+    return { ...processed(`${command}:denied`, denial.response), denied: denial.reason };
+  }
+
+  // Ticket replies message users and close tickets, so the sender must be proven: only a
+  // signature-verified LINE event from the manager's own 1:1 chat counts. Elsewhere (the query
+  // API, groups, unsigned webhooks) the userId is just a claim.
+  #untrustedManagerChannel(input, context) {
+    const source = input.event && input.event.source ? input.event.source : {};
+    if (input.channel === "line" && input.verified === true && source.type === "user" &&
+      source.userId && source.userId === input.userId) {
+      return null;
+    }
+
+    const event = {
+      type: "access_denied",
+      line_user_id: input.userId || null,
+      staff_id: "",
+      command: "escalation_reply",
+      permission: "manager",
+      reason: "untrusted_channel",
+      channel: context.channel || "",
+      text: context.text || "",
+    };
+    console.log(JSON.stringify({ tag: "access_denied", ...event }));
+    if (this.repository) {
+      this.repository.addAuditEvent(event);
+    }
+    return { ...processed("escalation_reply:denied", ESCALATION_CHANNEL_RESPONSE), denied: "untrusted_channel" };
+  }
+
+  #buttonOutcome(command, access) {
+    const button = this.#buttonCommand(command, access);
+    return { ...processed(command, button.response), result: button.result };
+  }
+
+  async #castingOutcome(conversationId, senderId, text, castingTurn, classification) {
+    if (conversationId && castingTurn.entities) {
+      await this.conversationMemory.add({
+        line_user_id: conversationId,
+        sender_user_id: senderId || conversationId,
+        user_text: text,
+        assistant_text: castingTurn.response,
+        intent: castingTurn.action,
+        confidence: classification.confidence,
+        action: "answered",
+        entities: castingTurn.entities,
+      });
+    }
+
+    return {
+      ...processed(castingTurn.action, castingTurn.response),
+      intent: classification.intent,
+      confidence: classification.confidence,
+      result: castingTurn.result || null,
+      slots: castingTurn.slots || null,
+      quickReplies: castingTurn.quickReplies || null,
+      ...(castingTurn.denied ? { denied: castingTurn.denied } : {}),
+    };
+  }
+
+  #alerts() {
+    const alerts = this.contractAlertService.generateAlerts();
+    return {
+      ...processed("alerts", this.contractAlertService.formatAlertsResponse(alerts)),
+      result: alerts,
+    };
+  }
+
+  // The assistant service needs a user to log, classify and escalate against; anonymous callers get a plain answer
+  async #fallback(input, text, classification) {
+    if (!input.userId || input.anonymous) {
+      const response = await this.generator.generateAnswer({
+        userText: text,
+        intent: classification.intent,
+        language: "ja",
+      });
+      return {
+        ...processed("answer", response),
+        intent: classification.intent,
+        confidence: classification.confidence,
+      };
+    }
+
+    const event = input.event ? withText(input.event, text) : {
+      type: "message",
+      webhookEventId: `${input.channel || "api"}:${input.userId}:${Date.now()}`,
+      timestamp: Date.now(),
+      source: { type: "user", userId: input.userId },
+      message: { type: "text", text },
+    };
+    const outcome = await this.assistantService.handleLineMessageEvent(event);
+
+    return {
+      status: outcome.status,
+      eventId: outcome.eventId,
+      action: outcome.action || null,
+      intent: outcome.classification ? outcome.classification.intent : classification.intent,
+      confidence: outcome.confidence || null,
+      response: outcome.replyText || "",
+      escalated: outcome.action === "escalate",
+      escalation: outcome.escalation || null,
+      result: null,
+      quickReplies: null,
+    };
+  }
+
+  #buttonCommand(command, access) {
+    const castingService = this.castingService;
+
+    if (command === "talent_list") {
+      const talents = castingService.getAllTalents();
+      const talentList = talents.slice(0, 10).map((t, i) => {
+        const riskEmoji = t.risk_level === "高" ? "🔴" : t.risk_level === "中" ? "🟡" : "🟢";
+        return `${i + 1}. ${riskEmoji} ${t.name}（${t.name_en || "-"}）`;
+      }).join("\n");
+      return {
+        result: null,
+        response: `📋 タレント一覧\n━━━━━━━━━━━━━━━━━━━━━━\n\n${talentList}\n\n━━━━━━━━━━━━━━━━━━━━━━\n💡 タレント名を入力して詳細をお確かめください\n例:「田中太郎はビールに使える？」`,
+      };
+    }
+    if (command === "risk_list") {
+      const highRisk = castingService.getTalentsByRisk("high");
+      const medRisk = castingService.getTalentsByRisk("medium");
+
+      let riskList = "🔴 高リスク:\n";
+      riskList += highRisk.map(t => `・${t.name}（${t.name_en}）\n  ${t.scandal_history}`).join("\n") || "なし";
+      riskList += "\n\n🟡 中リスク:\n";
+      riskList += medRisk.map(t => `・${t.name}（${t.name_en}）\n  ${t.scandal_history}`).join("\n") || "なし";
+
+      return {
+        result: null,
+        response: `⚠️ リスク一覧\n━━━━━━━━━━━━━━━━━━━━━━\n\n${riskList}\n\n━━━━━━━━━━━━━━━━━━━━━━\n💡「○○のリスク」で詳細確認`,
+      };
+    }
+    if (command === "expert_list") {
+      const experts = castingService.experts;
+      const expertList = experts.map(e =>
+        `👤 ${e.name}（${e.name_en || "-"}）\n   📂 ${e.department}\n   🎯 ${e.specialization}\n   📧 ${e.contact_info}`
+      ).join("\n\n");
+      return {
+        result: experts,
+        response: `🎯 専門家一覧\n━━━━━━━━━━━━━━━━━━━━━━\n\n${expertList}\n\n━━━━━━━━━━━━━━━━━━━━━━\n💡「韓国タレントに詳しい人」のように検索可能`,
+      };
+    }
+    if (command === "dashboard") {
+      const stats = castingService.getDashboard();
+      return { result: stats, response: castingService.formatDashboardResponse(stats) };
+    }
+    if (command === "recommend") {
+      const talents = access.redact(castingService.recommendTalents({
+        cleanImage: true,
+        limit: 3
+      }));
+      return { result: talents, response: castingService.formatRecommendationResponse(talents, "クリーンイメージ") };
+    }
+    return { result: null, response: "" };
+  }
+
+  async #resolveCastingTurn(input) {
+    const { conversationId, text, classification, pending, lastEntities, overrides, access, context } = input;
+    const intents = Object.keys(this.castingHandlers);
+
+    if (pending) {
+      if (CANCEL_KEYWORDS.includes(text.toLowerCase())) {
+        await this.dialogueState.clear(conversationId);
+        return { action: "slot_filling_cancelled", response: CANCEL_RESPONSE };
+      }
+
+      const switchedIntent =
+        intents.includes(classification.intent) && classification.intent !== pending.intent;
+      if (!switchedIntent) {
+        const slots = this.#fillPendingSlots(pending, text, lastEntities);
+        if (slots) {
+          return this.#continueCastingIntent(conversationId, pending.intent, slots, access, context);
+        }
+      }
+
+      await this.dialogueState.clear(conversationId);
+    }
+
+    if (!intents.includes(classification.intent)) {
+      return null;
+    }
+
+    const slots = this.#extractSlots(text, lastEntities);
+    for (const [name, value] of Object.entries(overrides)) {
+      if (value) {
+        slots[name] = value;
+      }
+    }
+    return this.#continueCastingIntent(conversationId, classification.intent, slots, access, context);
+  }
+
+  async #continueCastingIntent(conversationId, intent, slots, access, context) {
+    const denied = this.#denied(access, intent, context);
+    if (denied) {
+      await this.dialogueState.clear(conversationId);
+      return denied;
+    }
+
+    // A date that cannot be read is asked again rather than replaced by the default window
+    const periodProblem = invalidPeriod(slots.period);
+    if (periodProblem) {
+      const retry = { ...slots, period: null };
+      await this.dialogueState.set(conversationId, { intent, slots: retry, awaiting: "period" });
+      return { action: `${intent}:invalid_period`, slots: retry, response: invalidPeriodPrompt(periodProblem) };
+    }
+
+    const handler = this.castingHandlers[intent];
+    const missing = findMissingSlot(handler.requiredSlots || [], slots);
+    if (missing) {
+      await this.dialogueState.set(conversationId, { intent, slots, awaiting: missing });
+
+      const candidates = missing === "talent" && slots.talentQuery
+        ? this.castingService.findTalentCandidates(slots.talentQuery).map((c) => c.talent.name)
+        : [];
+      if (candidates.length > 0) {
+        return {
+          action: `${intent}:awaiting_talent`,
+          slots,
+          response: `🤔 「${slots.talentQuery}」は見つかりませんでした。\n   No exact match for "${slots.talentQuery}".\n\n💡 もしかして / Did you mean: ${candidates.join(" / ")}`,
+          quickReplies: candidates.map((name) => ({
+            type: "action",
+            action: { type: "message", label: name.slice(0, 20), text: name },
+          })),
+        };
+      }
+
+      return { action: `${intent}:awaiting_${missing}`, slots, response: SLOT_PROMPTS[missing] };
+    }
+
+    await this.dialogueState.clear(conversationId);
+    const outcome = handler.handle(this.castingService, slots, access);
+    return {
+      action: intent,
+      slots,
+      ...outcome,
+      entities: {
+        talent: slots.talent || null,
+        brand: slots.brand || slots.category || null,
+        contract_id: referencedContractId(outcome.result) || slots.contractId || null,
+      },
+    };
+  }
+
+  #extractSlots(text, lastEntities = {}) {
+    const brandInfo = extractBrandOrCategory(this.castingService.brandRegistry, text);
+    const talentSlot = extractTalentSlot(this.castingService, text, lastEntities);
+    const slots = {
+      talent: talentSlot.talent,
+      talentQuery: talentSlot.query,
+      brand: brandInfo.brand,
+      category: brandInfo.category,
+      period: extractCampaignPeriod(text, this.now()),
+      specialization: extractSpecialization(text),
+      contractId: null,
+    };
+
+    if (!slots.brand && !slots.category && BRAND_REFERENCE_REGEX.test(text) && lastEntities.brand) {
+      slots.brand = lastEntities.brand;
+    }
+
+    if (CONTRACT_REFERENCE_REGEX.test(text) && lastEntities.contract_id) {
+      slots.contractId = lastEntities.contract_id;
+    }
+
+    return slots;
+  }
+
+  #fillPendingSlots(pending, text, lastEntities) {
+    const extracted = this.#extractSlots(text, lastEntities);
+    const slots = { ...pending.slots };
+    let filled = false;
+
+    for (const name of ["talent", "brand", "category", "period"]) {
+      if (extracted[name] && !slots[name]) {
+        slots[name] = extracted[name];
+        filled = true;
+      }
+    }
+    // Another near-miss spelling keeps the "did you mean" prompt going instead of dropping the dialogue
+    if (!filled && pending.awaiting === "talent" && extracted.talentQuery &&
+      this.castingService.findTalentCandidates(extracted.talentQuery).length > 0) {
+      slots.talentQuery = extracted.talentQuery;
+      filled = true;
+    }
+
+    // A bare answer to "which brand?" is usually the brand name itself
+    if (!filled && pending.awaiting === "brand") {
+      const brand = text
+        .replace(/(?:で|に|の)?(?:使える|使えますか|起用).*$/, "")
+        .replace(/[?？。!！]+$/, "")
+        .trim();
+      if (brand && brand.length <= 40) {
+        slots.brand = brand;
+        filled = true;
+      }
+    }
+
+    return filled ? slots : null;
+  }
+}
+
+function processed(action, response) {
+  return {
+    status: "processed",
+    action,
+    intent: null,
+    confidence: null,
+    response,
+    result: null,
+    quickReplies: null,
+  };
+}
+
+// The router sees the addressed text (mention/prefix removed), so the assistant must too
+function withText(event, text) {
+  return event.message ? { ...event, message: { ...event.message, text } } : event;
+}
+
+// The last onboarding answer is followed by the usual greeting and menu
+function onboardingOutcome(step) {
+  if (step.completed) {
+    return processed(step.action, `${step.response}\n\n${GREETING_RESPONSE}`);
+  }
+  return { ...processed(step.action, step.response), quickReplies: step.quickReplies || null };
+}
+
+function findMissingSlot(required, slots) {
+  return required.find((name) => {
+    if (name === "brand") {
+      return !slots.brand && !slots.category && !slots.client;
+    }
+    return !slots[name];
+  }) || null;
+}
+
+function extractTalentSlot(castingService, messageText, lastEntities = {}) {
+  const lowerText = messageText.toLowerCase();
+  const mentioned = castingService.getAllTalents().find((t) =>
+    messageText.includes(t.name) ||
+    (t.name_en && lowerText.includes(t.name_en.toLowerCase()))
+  );
+  if (mentioned) {
+    return { talent: mentioned.name, query: mentioned.name };
+  }
+
+  if (lastEntities.talent && TALENT_REFERENCE_REGEX.test(messageText)) {
+    return { talent: lastEntities.talent, query: null };
+  }
+
+  const candidate = extractTalentName(messageText);
+  const talent = candidate ? castingService.findTalent(candidate) : null;
+  return { talent: talent ? talent.name : null, query: candidate || null };
+}
+
+function referencedContractId(result) {
+  if (!result) {
+    return null;
+  }
+  if (result.conflictingContract) {
+    return result.conflictingContract.contract_id;
+  }
+  const contracts = result.conflicts || result.contracts || [];
+  return contracts.length === 1 ? contracts[0].contract_id : null;
+}
+
+function extractTalentName(query) {
+  // Try Japanese patterns first
+  const jpPatterns = [
+    /(.+?)(?:さん)?(?:は|の|を|が)/,
+    /(.+?)(?:について|のリスク|の契約|使える|使えますか)/,
+  ];
+  for (const pattern of jpPatterns) {
+    const match = query.match(pattern);
+    if (match && match[1] && match[1].length > 1) {
+      return match[1].trim();
+    }
+  }
+
+  // Try English patterns
+  const enPatterns = [
+    /^(?:can|is|does)\s+(.+?)\s+(?:do|available|work|have)/i,
+    /^(.+?)\s+(?:risk|contract|available|scandal|beer|ad|commercial)/i,
+    /^(.+?)\s+(?:for|can)/i,
+  ];
+  for (const pattern of enPatterns) {
+    const match = query.match(pattern);
+    if (match && match[1] && match[1].length > 1) {
+      // Clean up extracted name
+      let name = match[1].trim();
+      // Remove common prefixes
+      name = name.replace(/^(what's|what is|check|show|tell me about)\s*/i, "");
+      if (name.length > 1) return name;
+    }
+  }
+
+  // Fall back to first words (likely a name)
+  const words = query.split(/\s+/);
+  if (words.length >= 2) {
+    // If first two words look like a name (capitalized), use them
+    if (/^[A-Z]/.test(words[0]) && /^[A-Z]/.test(words[1])) {
+      return `${words[0]} ${words[1]}`;
+    }
+  }
+
+  return words[0];
+}
+
+function extractBrandOrCategory(brandRegistry, query) {
+  const found = brandRegistry.findInText(query);
+  return {
+    brand: found.entry ? found.entry.brand : null,
+    category: found.category,
+  };
+}
+
+function extractSpecialization(query) {
+  // Japanese patterns
+  const jpPatterns = [
+    /(.+?)(?:に詳しい|の専門|担当|について)/,
+    /(.+?)(?:タレント|アーティスト|の専門家)/,
+  ];
+  for (const pattern of jpPatterns) {
+    const match = query.match(pattern);
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+  }
+
+  // English patterns
+  const enPatterns = [
+    /(.+?)\s+(?:expert|specialist|team|contact)/i,
+    /(?:who knows|find|expert for|specialist in)\s+(.+)/i,
+  ];
+  for (const pattern of enPatterns) {
+    const match = query.match(pattern);
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+  }
+
+  return query;
+}
+
+module.exports = {
+  IntentRouter,
+  QUICK_REPLIES,
+};
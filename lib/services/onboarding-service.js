@@ -0,0 +1,186 @@
+const { postbackAction } = require("../line/postback");
+
+const LANGUAGES = [
+  { value: "ja", label: "🇯🇵 日本語" },
+  { value: "en", label: "🇬🇧 English" },
+];
+
+const DEPARTMENTS = [
+  "タレント第一部",
+  "タレント第二部",
+  "スポーツ部",
+  "ファッション部",
+  "国際タレント部",
+  "リスク管理部",
+  "法務部",
+];
+
+const ROLES = [
+  { value: "account", label: { ja: "営業", en: "Account" } },
+  { value: "producer", label: { ja: "プロデューサー", en: "Producer" } },
+  { value: "casting", label: { ja: "キャスティング", en: "Casting" } },
+  { value: "manager", label: { ja: "マネージャー", en: "Manager" } },
+];
+
+const STEPS = ["language", "department", "role"];
+
+const PROMPTS = {
+  language: {
+    ja: `👋 友だち追加ありがとうございます！
+   Thanks for adding the casting assistant!
+
+まず表示言語を選んでください。
+Please choose your language.`,
+    en: `👋 Thanks for adding the casting assistant!
+   友だち追加ありがとうございます！
+
+Please choose your language.
+まず表示言語を選んでください。`,
+  },
+  department: {
+    ja: "🏢 所属部署を選択するか、入力してください。",
+    en: "🏢 Which department are you in? Pick one or type it.",
+  },
+  role: {
+    ja: "👤 担当業務を選択してください。",
+    en: "👤 What is your role?",
+  },
+  done: {
+    ja: "✅ 登録が完了しました。",
+    en: "✅ You're all set.",
+  },
+  welcomeBack: {
+    ja: "👋 おかえりなさい！登録情報はそのまま引き継がれています。",
+    en: "👋 Welcome back! Your profile has been kept.",
+  },
+};
+
+function isoNow() {
+  return new Date().toISOString();
+}
+
+// Free-text answers are accepted for department; language and role must match a known option
+function matchAnswer(step, text) {
+  const value = String(text || "").trim();
+  const lower = value.toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  if (step === "language") {
+    if (/^(ja|japanese|日本語)/i.test(lower) || value.includes("日本語")) {
+      return "ja";
+    }
+    if (/^(en|english|英語)/i.test(lower) || value.includes("English")) {
+      return "en";
+    }
+    return null;
+  }
+
+  if (step === "role") {
+    const role = ROLES.find((r) =>
+      r.value === lower || r.label.ja === value || r.label.en.toLowerCase() === lower
+    );
+    return role ? role.value : null;
+  }
+
+  return value.length <= 40 ? value : null;
+}
+
+class OnboardingService {
+  constructor(options = {}) {
+    this.repository = options.repository;
+  }
+
+  follow(lineUserId) {
+    const existing = this.repository.getProfile(lineUserId);
+
+    if (existing && existing.language_pref && existing.department && existing.role) {
+      this.#save(lineUserId, { status: "active", onboarding_step: "", followed_at: isoNow() });
+      return {
+        action: "follow:welcome_back",
+        language: existing.language_pref,
+        completed: true,
+        response: PROMPTS.welcomeBack[existing.language_pref] || PROMPTS.welcomeBack.ja,
+      };
+    }
+
+    this.#save(lineUserId, { status: "onboarding", onboarding_step: "language", followed_at: isoNow() });
+    return this.#prompt("language", (existing && existing.language_pref) || "ja");
+  }
+
+  unfollow(lineUserId) {
+    if (!this.repository.getProfile(lineUserId)) {
+      return { action: "unfollow", updated: false };
+    }
+    this.#save(lineUserId, { status: "inactive", onboarding_step: "", unfollowed_at: isoNow() });
+    return { action: "unfollow", updated: true };
+  }
+
+  // Returns null when the user is not mid-onboarding, so normal routing continues
+  answer(lineUserId, input = {}) {
+    const profile = this.repository.getProfile(lineUserId);
+    if (!profile || profile.status !== "onboarding") {
+      return null;
+    }
+
+    const step = profile.onboarding_step || "language";
+    const language = profile.language_pref || "ja";
+    const value = input.field === step ? input.value : matchAnswer(step, input.text);
+    if (!value) {
+      return { ...this.#prompt(step, language), action: `onboarding:retry_${step}` };
+    }
+
+    const field = step === "language" ? "language_pref" : step;
+    const nextStep = STEPS[STEPS.indexOf(step) + 1] || null;
+    this.#save(lineUserId, {
+      [field]: value,
+      onboarding_step: nextStep || "",
+      status: nextStep ? "onboarding" : "active",
+    });
+
+    const nextLanguage = step === "language" ? value : language;
+    if (nextStep) {
+      return this.#prompt(nextStep, nextLanguage);
+    }
+    return {
+      action: "onboarding:completed",
+      language: nextLanguage,
+      completed: true,
+      response: PROMPTS.done[nextLanguage] || PROMPTS.done.ja,
+    };
+  }
+
+  #prompt(step, language) {
+    return {
+      action: `onboarding:${step}`,
+      language,
+      completed: false,
+      response: PROMPTS[step][language] || PROMPTS[step].ja,
+      quickReplies: this.#options(step, language).map(({ label, value }) => ({
+        type: "action",
+        action: postbackAction(label, "onboarding", { field: step, value }, label),
+      })),
+    };
+  }
+
+  #options(step, language) {
+    if (step === "language") {
+      return LANGUAGES;
+    }
+    if (step === "department") {
+      return DEPARTMENTS.map((department) => ({ label: department, value: department }));
+    }
+    return ROLES.map((role) => ({ label: role.label[language] || role.label.ja, value: role.value }));
+  }
+
+  #save(lineUserId, patch) {
+    const existing = this.repository.getProfile(lineUserId) || { line_user_id: lineUserId };
+    this.repository.upsertProfiles([{ ...existing, ...patch, updated_at: isoNow() }]);
+  }
+}
+
+module.exports = {
+  OnboardingService,
+  ROLES,
+};
@@ -0,0 +1,169 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { createId } = require("../utils/id");
+
+// Deliveries that must not be lost (escalation sink records, manager pushes). Each message is
+// saved before the first attempt; failures are retried with exponential backoff and, after
+// maxAttempts, marked dead and appended to the dead-letter file for inspection and replay.
+// A message is only delivered after claiming it: the repository moves it to "sending" with a
+// lease, so a flush and a replay (or two flushes) never deliver it twice. A sender that dies
+// mid-delivery leaves the lease to expire, and the next flush picks the message up again.
+class OutboxService {
+  constructor(options = {}) {
+    this.repository = options.repository;
+    this.handlers = options.handlers || {};
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelaySeconds = options.baseDelaySeconds || 30;
+    this.leaseSeconds = options.leaseSeconds || 300;
+    this.deadLetterPath = options.deadLetterPath || "";
+    this.now = options.now || (() => new Date());
+  }
+
+  // Saves and tries once right away; the returned message says whether it went out
+  async enqueue(kind, payload) {
+    if (!this.handlers[kind]) {
+      throw new Error(`No outbox handler for ${kind}`);
+    }
+    const createdAt = this.now().toISOString();
+    // Saved already claimed, so a flush running meanwhile leaves it to this attempt
+    const message = this.repository.saveOutboxMessage({
+      message_id: createId("outbox"),
+      kind,
+      payload,
+      status: "sending",
+      attempts: 0,
+      created_at: createdAt,
+      next_attempt_at: createdAt,
+      lease_until: this.#leaseUntil(),
+      last_error: "",
+    });
+    return this.#attempt(message);
+  }
+
+  // Retries every pending message whose backoff has elapsed, and every message whose sender
+  // let its lease run out; run periodically. Messages another sender claims first are skipped.
+  async flush() {
+    const now = this.now().toISOString();
+    const due = [
+      ...this.repository.listOutboxMessages({ status: "pending" }).filter((message) => message.next_attempt_at <= now),
+      ...this.repository.listOutboxMessages({ status: "sending" }).filter((message) => message.lease_until <= now),
+    ];
+    const summary = { attempted: 0, delivered: 0, retrying: 0, dead: 0 };
+
+    for (const message of due) {
+      const claimed = this.#claim(message);
+      if (!claimed) {
+        continue;
+      }
+      summary.attempted += 1;
+      const result = await this.#attempt(claimed);
+      summary[result.status === "pending" ? "retrying" : result.status] += 1;
+    }
+    return summary;
+  }
+
+  list(filters = {}) {
+    return this.repository.listOutboxMessages(filters);
+  }
+
+  // Puts a dead (or stuck) message back to a fresh attempt count and delivers it now
+  async replay(messageId) {
+    const message = this.repository.getOutboxMessage(messageId);
+    if (!message) {
+      const error = new Error(`Outbox message ${messageId} not found`);
+      error.code = "message_not_found";
+      throw error;
+    }
+    if (message.status === "delivered") {
+      const error = new Error(`Outbox message ${messageId} was already delivered`);
+      error.code = "already_delivered";
+      throw error;
+    }
+    const claimed = this.#claim(message);
+    if (!claimed) {
+      const error = new Error(`Outbox message ${messageId} is being delivered right now`);
+      error.code = "delivery_in_progress";
+      throw error;
+    }
+    return this.#attempt({
+      ...claimed,
+      attempts: 0,
+      replayed_at: this.now().toISOString(),
+    });
+  }
+
+  // Null when another sender changed or claimed the message since it was read
+  #claim(message) {
+    return this.repository.claimOutboxMessage(message, {
+      now: this.now().toISOString(),
+      leaseUntil: this.#leaseUntil(),
+    });
+  }
+
+  #leaseUntil() {
+    return new Date(this.now().getTime() + this.leaseSeconds * 1000).toISOString();
+  }
+
+  async #attempt(claimed) {
+    // The lease only matters while the message is "sending"
+    const { lease_until: lease, ...message } = claimed;
+    const attempts = message.attempts + 1;
+    const attemptedAt = this.now();
+
+    try {
+      await this.handlers[message.kind](message.payload);
+      return this.repository.saveOutboxMessage({
+        ...message,
+        status: "delivered",
+        attempts,
+        delivered_at: attemptedAt.toISOString(),
+        last_error: "",
+      });
+    } catch (error) {
+      if (attempts >= this.maxAttempts) {
+        const dead = this.repository.saveOutboxMessage({
+          ...message,
+          status: "dead",
+          attempts,
+          dead_at: attemptedAt.toISOString(),
+          last_error: error.message,
+        });
+        await this.#writeDeadLetter(dead);
+        return dead;
+      }
+
+      // 30s, 60s, 120s, ... with the default base delay
+      const delayMs = this.baseDelaySeconds * 1000 * 2 ** (attempts - 1);
+      return this.repository.saveOutboxMessage({
+        ...message,
+        status: "pending",
+        attempts,
+        next_attempt_at: new Date(attemptedAt.getTime() + delayMs).toISOString(),
+        last_error: error.message,
+      });
+    }
+  }
+
+  async #writeDeadLetter(message) {
+    console.error(JSON.stringify({
+      tag: "outbox_dead_letter",
+      messageId: message.message_id,
+      kind: message.kind,
+      message: message.last_error,
+    }));
+    if (!this.deadLetterPath) {
+      return;
+    }
+    try {
+      await fs.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+      await fs.appendFile(this.deadLetterPath, `${JSON.stringify(message)}\n`, "utf8");
+    } catch (error) {
+      // The message is still kept as dead in the repository, so it can be replayed anyway
+      console.error(JSON.stringify({ tag: "outbox_dead_letter_error", messageId: message.message_id, message: error.message }));
+    }
+  }
+}
+
+module.exports = {
+  OutboxService,
+};
@@ -0,0 +1,194 @@
+const { ensureSent } = require("../line/client");
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses that still need a manager; resolved or closed escalations stop the SLA clock
+const PENDING_STATUSES = ["open", "assigned"];
+
+function minutesBetween(from, to) {
+  return Math.round(((Date.parse(to) - Date.parse(from)) / MINUTE_MS) * 10) / 10;
+}
+
+function percentile(sorted, ratio) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * ratio) - 1)];
+}
+
+// Escalation deadlines by reason_code, reminder pushes before and at a breach, and
+// handling-time statistics for the runbook's daily checks
+class SlaService {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.repository = options.repository;
+    this.lineClient = options.lineClient;
+    this.handoffStore = options.handoffStore || null;
+    this.outbox = options.outbox || null;
+    this.now = options.now || (() => new Date());
+  }
+
+  targetMinutes(reasonCode) {
+    const { targetMinutes, defaultMinutes } = this.config.sla;
+    return targetMinutes[reasonCode] || defaultMinutes;
+  }
+
+  deadlineFor(reasonCode, createdAt) {
+    return new Date(Date.parse(createdAt) + this.targetMinutes(reasonCode) * MINUTE_MS).toISOString();
+  }
+
+  // Older escalations have no stored deadline; it is derived from created_at the same way
+  dueAt(escalation) {
+    return escalation.sla_due_at || this.deadlineFor(escalation.reason_code, escalation.created_at);
+  }
+
+  // Run periodically. Each pending escalation gets at most one reminder to its owner once the
+  // deadline is within warningMinutes, and one breach notice to the backup manager.
+  async check() {
+    const now = this.now();
+    const warningMs = this.config.sla.warningMinutes * MINUTE_MS;
+    const summary = { checked: 0, reminded: 0, breached: 0, failed: 0 };
+
+    for (const escalation of this.repository.listEscalations()) {
+      if (!PENDING_STATUSES.includes(escalation.status)) {
+        continue;
+      }
+      summary.checked += 1;
+
+      const dueAt = this.dueAt(escalation);
+      const remainingMs = Date.parse(dueAt) - now.getTime();
+      let notice = null;
+      if (remainingMs <= 0 && !escalation.sla_breach_notified_at) {
+        notice = { kind: "breach", field: "sla_breach_notified_at" };
+      } else if (remainingMs > 0 && remainingMs <= warningMs && !escalation.sla_reminded_at) {
+        notice = { kind: "reminder", field: "sla_reminded_at" };
+      }
+      if (!notice) {
+        continue;
+      }
+
+      const ownerUserId = await this.#ownerUserId(escalation);
+      const to = notice.kind === "breach"
+        ? this.config.sla.backupManagerUserId || ownerUserId
+        : ownerUserId;
+      const text = this.#formatNotice(notice.kind, escalation, dueAt, remainingMs);
+      // With an outbox a failed push is retried from there, so the notice counts as sent
+      try {
+        if (this.outbox) {
+          await this.outbox.enqueue("manager_notify", { to, text });
+        } else {
+          ensureSent(await this.lineClient.pushText(to, text));
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(JSON.stringify({ tag: "sla_notify_error", queueId: escalation.queue_id, message: error.message }));
+        continue;
+      }
+
+      this.repository.updateEscalation(escalation.queue_id, {
+        sla_due_at: dueAt,
+        [notice.field]: now.toISOString(),
+      });
+      summary[notice.kind === "breach" ? "breached" : "reminded"] += 1;
+    }
+
+    return summary;
+  }
+
+  // Handling time is created_at to resolved_at (closed_at when closed without a resolution)
+  stats(filters = {}) {
+    const now = this.now().toISOString();
+    const byReason = {};
+
+    for (const escalation of this.repository.listEscalations(filters)) {
+      const reason = escalation.reason_code || "unknown";
+      const bucket = byReason[reason] || (byReason[reason] = {
+        targetMinutes: this.targetMinutes(reason),
+        total: 0,
+        pending: 0,
+        handled: 0,
+        onTime: 0,
+        breached: 0,
+        handlingMinutes: [],
+      });
+      const dueAt = this.dueAt(escalation);
+      const handledAt = escalation.resolved_at || escalation.closed_at || "";
+      bucket.total += 1;
+
+      if (PENDING_STATUSES.includes(escalation.status) || !handledAt) {
+        bucket.pending += 1;
+        if (dueAt <= now) {
+          bucket.breached += 1;
+        }
+        continue;
+      }
+      bucket.handled += 1;
+      bucket.handlingMinutes.push(minutesBetween(escalation.created_at, handledAt));
+      if (handledAt <= dueAt) {
+        bucket.onTime += 1;
+      } else {
+        bucket.breached += 1;
+      }
+    }
+
+    const reasons = Object.fromEntries(Object.entries(byReason).map(([reason, bucket]) => {
+      const { handlingMinutes, ...counts } = bucket;
+      return [reason, { ...counts, ...this.#handlingSummary(handlingMinutes, counts) }];
+    }));
+    const all = Object.values(byReason);
+    const totals = {
+      total: all.reduce((sum, bucket) => sum + bucket.total, 0),
+      pending: all.reduce((sum, bucket) => sum + bucket.pending, 0),
+      handled: all.reduce((sum, bucket) => sum + bucket.handled, 0),
+      onTime: all.reduce((sum, bucket) => sum + bucket.onTime, 0),
+      breached: all.reduce((sum, bucket) => sum + bucket.breached, 0),
+    };
+
+    return {
+      generatedAt: now,
+      ...totals,
+      ...this.#handlingSummary(all.flatMap((bucket) => bucket.handlingMinutes), totals),
+      byReason: reasons,
+    };
+  }
+
+  #handlingSummary(minutes, counts) {
+    const sorted = [...minutes].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    return {
+      onTimeRate: counts.handled > 0 ? Math.round((counts.onTime / counts.handled) * 1000) / 1000 : null,
+      averageHandlingMinutes: sorted.length > 0 ? Math.round((total / sorted.length) * 10) / 10 : null,
+      medianHandlingMinutes: percentile(sorted, 0.5),
+      p90HandlingMinutes: percentile(sorted, 0.9),
+    };
+  }
+
+  // The manager a handoff assigned, otherwise the one escalation notices go to
+  async #ownerUserId(escalation) {
+    const handoff = this.handoffStore ? await this.handoffStore.get(escalation.line_user_id) : null;
+    if (handoff && handoff.queue_id === escalation.queue_id && handoff.owner_user_id) {
+      return handoff.owner_user_id;
+    }
+    return this.config.line.managerUserId;
+  }
+
+  #formatNotice(kind, escalation, dueAt, remainingMs) {
+    const ticket = escalation.ticket_id ? `#${escalation.ticket_id}` : escalation.queue_id;
+    const headline = kind === "breach"
+      ? `[SLA breached] ${ticket} is ${Math.round(-remainingMs / MINUTE_MS)} min past its deadline`
+      : `[SLA reminder] ${ticket} is due in ${Math.round(remainingMs / MINUTE_MS)} min`;
+    return [
+      headline,
+      `Reason: ${escalation.reason_code}`,
+      `Status: ${escalation.status}${escalation.owner ? ` (owner: ${escalation.owner})` : ""}`,
+      `Due: ${dueAt}`,
+      `Message: ${escalation.message_text || ""}`,
+      escalation.ticket_id ? `Reply with "${ticket} <answer>" to answer the user.` : "",
+    ].filter(Boolean).join("\n");
+  }
+}
+
+module.exports = {
+  SlaService,
+  PENDING_STATUSES,
+};
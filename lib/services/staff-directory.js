@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("../utils/csv");
+
+function normalizeStaffRow(row) {
+  return {
+    line_user_id: String(row.line_user_id || "").trim(),
+    staff_id: row.staff_id || "",
+    name: row.name || "",
+    name_en: row.name_en || "",
+    department: row.department || "",
+    role: String(row.role || "").trim().toLowerCase(),
+    status: String(row.status || "active").trim().toLowerCase(),
+  };
+}
+
+class StaffDirectory {
+  constructor(options = {}) {
+    this.csvPath = options.csvPath || path.resolve(process.cwd(), "data", "staff.csv");
+    this._staff = options.staff ? options.staff.map(normalizeStaffRow) : null;
+  }
+
+  get staff() {
+    if (!this._staff) {
+      this._staff = this.#load();
+    }
+    return this._staff;
+  }
+
+  reloadData() {
+    this._staff = null;
+  }
+
+  // Only active members count; a LINE userId that is missing or deactivated is treated as unknown
+  get(lineUserId) {
+    const target = String(lineUserId || "").trim();
+    if (!target) {
+      return null;
+    }
+    return this.staff.find((member) => member.line_user_id === target && member.status === "active") || null;
+  }
+
+  #load() {
+    try {
+      return parseCsv(fs.readFileSync(this.csvPath, "utf8"))
+        .map(normalizeStaffRow)
+        .filter((member) => member.line_user_id);
+    } catch (error) {
+      console.error(`Failed to load staff directory: ${this.csvPath}`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  StaffDirectory,
+};
@@ -0,0 +1,153 @@
+const { parseTagList } = require("../utils/csv");
+const {
+  normalizeJapanese,
+  kanaToRomaji,
+  normalizeRomaji,
+  isKanaOnly,
+  isLatin,
+  similarity,
+} = require("../utils/japanese");
+
+const MATCH_THRESHOLD = 0.8;
+const CANDIDATE_THRESHOLD = 0.6;
+const NAME_PART_WEIGHT = 0.85;
+
+const indexCache = new WeakMap();
+
+function addKey(keys, value, kind, options = {}) {
+  if (!value) {
+    return;
+  }
+  keys.push({ value, kind, part: Boolean(options.part), source: options.source || "name" });
+}
+
+function addVariantKeys(keys, text, source) {
+  if (isLatin(text)) {
+    addKey(keys, normalizeRomaji(text), "romaji", { source });
+    return;
+  }
+  addKey(keys, normalizeJapanese(text), "script", { source });
+  if (isKanaOnly(text)) {
+    addKey(keys, normalizeRomaji(kanaToRomaji(text)), "romaji", { source });
+  }
+}
+
+function buildKeys(talent) {
+  const keys = [];
+
+  addVariantKeys(keys, talent.name, "name");
+
+  if (talent.reading) {
+    addVariantKeys(keys, talent.reading, "reading");
+  }
+
+  // English names are matched in both word orders ("Taro Tanaka" / "Tanaka Taro")
+  const enWords = String(talent.name_en || "").trim().split(/\s+/).filter(Boolean);
+  if (enWords.length > 0) {
+    addKey(keys, normalizeRomaji(enWords.join("")), "romaji", { source: "name_en" });
+    addKey(keys, normalizeRomaji([...enWords].reverse().join("")), "romaji", { source: "name_en" });
+    if (enWords.length > 1) {
+      for (const word of enWords) {
+        addKey(keys, normalizeRomaji(word), "romaji", { source: "name_en", part: true });
+      }
+    }
+  }
+
+  for (const alias of parseTagList(talent.aliases)) {
+    addVariantKeys(keys, alias, "alias");
+  }
+
+  return keys;
+}
+
+function getIndex(talents) {
+  let index = indexCache.get(talents);
+  if (!index) {
+    index = talents.map((talent) => ({ talent, keys: buildKeys(talent) }));
+    indexCache.set(talents, index);
+  }
+  return index;
+}
+
+function queryForms(query) {
+  if (isLatin(query)) {
+    return [{ value: normalizeRomaji(query), kind: "romaji" }];
+  }
+
+  const forms = [{ value: normalizeJapanese(query), kind: "script" }];
+  if (isKanaOnly(query)) {
+    forms.push({ value: normalizeRomaji(kanaToRomaji(query)), kind: "romaji" });
+  }
+  return forms.filter((form) => form.value);
+}
+
+function scoreKey(form, key) {
+  const query = form.value;
+  const value = key.value;
+
+  if (query === value) {
+    return key.part ? NAME_PART_WEIGHT : 1;
+  }
+
+  // Name parts only count on an exact hit; short fragments like "yu" would match everything
+  if (key.part) {
+    return value.length >= 4 ? similarity(query, value) * NAME_PART_WEIGHT : 0;
+  }
+
+  const queryLength = [...query].length;
+  const valueLength = [...value].length;
+
+  if (valueLength >= 2 && query.includes(value)) {
+    return 0.9;
+  }
+
+  if (queryLength >= 2 && value.includes(query)) {
+    return 0.6 + 0.3 * (queryLength / valueLength);
+  }
+
+  return similarity(query, value);
+}
+
+function rankTalents(query, talents, options = {}) {
+  const limit = options.limit || 3;
+  const minScore = options.minScore === undefined ? CANDIDATE_THRESHOLD : options.minScore;
+  const forms = queryForms(query);
+  if (forms.length === 0 || !Array.isArray(talents)) {
+    return [];
+  }
+
+  const ranked = [];
+  for (const entry of getIndex(talents)) {
+    let best = { score: 0, matchedOn: null };
+    for (const form of forms) {
+      for (const key of entry.keys) {
+        if (key.kind !== form.kind) {
+          continue;
+        }
+        const score = scoreKey(form, key);
+        if (score > best.score) {
+          best = { score, matchedOn: key.source };
+        }
+      }
+    }
+
+    if (best.score >= minScore) {
+      ranked.push({ talent: entry.talent, score: Number(best.score.toFixed(3)), matchedOn: best.matchedOn });
+    }
+  }
+
+  ranked.sort((a, b) => {
+    if (b.score !== a.score) {
+      return b.score - a.score;
+    }
+    return String(a.talent.talent_id).localeCompare(String(b.talent.talent_id));
+  });
+
+  return ranked.slice(0, limit);
+}
+
+module.exports = {
+  rankTalents,
+  MATCH_THRESHOLD,
+  CANDIDATE_THRESHOLD,
+};
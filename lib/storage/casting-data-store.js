@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("../utils/csv");
+
+// Columns per entity, in CSV order. Every value is kept as a trimmed string; pipe lists stay
+// joined and consumers split them. Validation lives in lib/sync/schemas.js.
+const ENTITY_FIELDS = {
+  talents: [
+    "talent_id", "name", "name_en", "reading", "aliases", "agency", "current_contracts", "ng_brands",
+    "ng_categories", "scandal_history", "risk_level", "expert_contact", "expert_department",
+    "expert_experience",
+  ],
+  contracts: [
+    "contract_id", "talent_name", "talent_name_en", "client_name", "brand", "category", "start_date",
+    "end_date", "exclusivity_type", "competitive_restrictions", "renewal_status", "assigned_manager",
+  ],
+  experts: [
+    "expert_id", "name", "name_en", "department", "specialization", "specialization_en", "talent_count",
+    "recent_deals", "contact_info",
+  ],
+};
+
+// Column that identifies a row across syncs
+const ENTITY_KEYS = {
+  talents: "talent_id",
+  contracts: "contract_id",
+  experts: "expert_id",
+};
+
+const ENTITIES = Object.keys(ENTITY_FIELDS);
+
+function normalizeRecord(entity, row) {
+  const record = {};
+  for (const field of ENTITY_FIELDS[entity]) {
+    record[field] = String(row[field] == null ? "" : row[field]).trim();
+  }
+  return record;
+}
+
+function loadCsvFile(filePath) {
+  try {
+    return parseCsv(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`Failed to load CSV: ${filePath}`, error.message);
+    return [];
+  }
+}
+
+// The talents, contracts and experts every casting feature reads. Consumers never cache rows,
+// so a reload or replace is seen by all of them at once, and the three entities always come
+// from the same load. With a repository, replaced data is saved there so restore() can bring
+// it back after a restart instead of falling back to the CSVs.
+class CastingDataStore {
+  constructor(options = {}) {
+    this.repository = options.repository || null;
+    const dataDir = options.dataDir || path.resolve(process.cwd(), "data");
+    this.paths = {
+      talents: options.talentsCsvPath || path.join(dataDir, "talents.csv"),
+      contracts: options.contractsCsvPath || path.join(dataDir, "contracts.csv"),
+      experts: options.expertsCsvPath || path.join(dataDir, "experts.csv"),
+    };
+    this.version = 0;
+    this._data = null;
+
+    if (options.talents || options.contracts || options.experts) {
+      this.replace({
+        talents: options.talents || [],
+        contracts: options.contracts || [],
+        experts: options.experts || [],
+      }, "inline");
+    }
+  }
+
+  get talents() {
+    return this.#data().talents;
+  }
+
+  get contracts() {
+    return this.#data().contracts;
+  }
+
+  get experts() {
+    return this.#data().experts;
+  }
+
+  // Metadata about the data currently served
+  describe() {
+    const data = this.#data();
+    return {
+      version: this.version,
+      versionId: data.versionId || null,
+      source: data.source,
+      loadedAt: data.loadedAt,
+      counts: Object.fromEntries(ENTITIES.map((entity) => [entity, data[entity].length])),
+    };
+  }
+
+  // Drops the current data; the next read loads all three CSVs again
+  reload() {
+    this._data = null;
+  }
+
+  // Swaps every entity in one assignment, so no reader sees new talents with old contracts.
+  // Entities missing from `data` keep their current rows.
+  replace(data, source = "replace", versionId = null) {
+    const current = this._data;
+    const next = { source, versionId, loadedAt: new Date().toISOString() };
+    for (const entity of ENTITIES) {
+      const rows = data[entity] || (current ? current[entity] : null) || this.#loadEntity(entity);
+      next[entity] = rows.map((row) => normalizeRecord(entity, row));
+    }
+    // Saved before it is served, so a failed save leaves the current data in place
+    this.#persist(next);
+    this._data = next;
+    this.version += 1;
+    return this.describe();
+  }
+
+  // Records which stored snapshot the data served right now matches
+  tag(versionId) {
+    this.#data().versionId = versionId;
+    this.#persist();
+  }
+
+  // Serves the last saved dataset, if any; returns whether one was found
+  restore() {
+    const saved = this.repository ? this.repository.getCastingData() : null;
+    if (!saved || !ENTITIES.every((entity) => Array.isArray(saved[entity]))) {
+      return false;
+    }
+    this._data = saved;
+    this.version += 1;
+    return true;
+  }
+
+  #data() {
+    if (!this._data) {
+      const loaded = { source: "csv", loadedAt: new Date().toISOString() };
+      for (const entity of ENTITIES) {
+        loaded[entity] = this.#loadEntity(entity).map((row) => normalizeRecord(entity, row));
+      }
+      this._data = loaded;
+      this.version += 1;
+    }
+    return this._data;
+  }
+
+  #persist(data = this._data) {
+    if (this.repository && data) {
+      this.repository.saveCastingData(data);
+    }
+  }
+
+  #loadEntity(entity) {
+    return loadCsvFile(this.paths[entity]);
+  }
+}
+
+module.exports = {
+  CastingDataStore,
+  ENTITY_FIELDS,
+  ENTITY_KEYS,
+  ENTITIES,
+  normalizeRecord,
+};
@@ -1,13 +1,5 @@
 const { createId } = require("../utils/id");
-
-function tryLoadKv() {
-  try {
-    const moduleRef = require("@vercel/kv");
-    return moduleRef.kv || null;
-  } catch (error) {
-    return null;
-  }
-}
+const { tryLoadKv } = require("./kv");
 
 class ConversationMemory {
   constructor(options = {}) {
@@ -67,6 +59,23 @@ class ConversationMemory {
       .slice(0, limit);
   }
 
+  // Most recent talent/brand/contract mentioned per field, for resolving "その人" style follow-ups
+  async getLastEntities(lineUserId, limit = 10) {
+    const recent = await this.getRecent(lineUserId, limit);
+    const entities = { talent: null, brand: null, contract_id: null };
+
+    for (const entry of recent) {
+      const saved = entry.entities || {};
+      for (const field of Object.keys(entities)) {
+        if (!entities[field] && saved[field]) {
+          entities[field] = saved[field];
+        }
+      }
+    }
+
+    return entities;
+  }
+
   cleanup(nowTimestamp = Date.now()) {
     if (this.kv) {
       return {
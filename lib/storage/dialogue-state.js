@@ -0,0 +1,72 @@
+const { tryLoadKv } = require("./kv");
+
+class DialogueStateStore {
+  constructor(options = {}) {
+    this.ttlSeconds = options.ttlSeconds || 10 * 60;
+    this.kv = options.kv === undefined ? tryLoadKv() : options.kv;
+    this.memory = new Map();
+  }
+
+  async get(conversationId) {
+    if (!conversationId) {
+      return null;
+    }
+
+    if (this.kv) {
+      return (await this.kv.get(this.#key(conversationId))) || null;
+    }
+
+    const entry = this.memory.get(conversationId);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(conversationId);
+      return null;
+    }
+    return entry.state;
+  }
+
+  async set(conversationId, state) {
+    if (!conversationId) {
+      return null;
+    }
+
+    const saved = {
+      ...state,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (this.kv) {
+      await this.kv.set(this.#key(conversationId), saved, { ex: this.ttlSeconds });
+      return saved;
+    }
+
+    this.memory.set(conversationId, {
+      state: saved,
+      expiresAt: Date.now() + this.ttlSeconds * 1000,
+    });
+    return saved;
+  }
+
+  async clear(conversationId) {
+    if (!conversationId) {
+      return;
+    }
+
+    if (this.kv) {
+      await this.kv.del(this.#key(conversationId));
+      return;
+    }
+
+    this.memory.delete(conversationId);
+  }
+
+  #key(conversationId) {
+    return `dialogue:${conversationId}`;
+  }
+}
+
+module.exports = {
+  DialogueStateStore,
+};
@@ -0,0 +1,45 @@
+// Remembers which LINE webhook events were already taken, across restarts and instances.
+// Backed by the same KV as ConversationMemory; `claim` relies on KV `nx` so only one
+// instance wins an event even when LINE redelivers it to a different one.
+class EventDedupeStore {
+  constructor(options = {}) {
+    this.kv = options.kv;
+    this.ttlSeconds = options.ttlSeconds || 24 * 60 * 60;
+  }
+
+  // True when this caller is the first to see the event and should process it
+  async claim(eventId) {
+    if (!eventId) {
+      return true;
+    }
+    const result = await this.kv.set(this.#key(eventId), new Date().toISOString(), {
+      nx: true,
+      ex: this.ttlSeconds,
+    });
+    return result !== null;
+  }
+
+  async has(eventId) {
+    return Boolean(eventId) && Boolean(await this.kv.get(this.#key(eventId)));
+  }
+
+  #key(eventId) {
+    return `dedupe:${eventId}`;
+  }
+}
+
+// LINE sends webhookEventId on every event; older payloads only have the message id
+function dedupeKey(event = {}) {
+  if (event.webhookEventId) {
+    return event.webhookEventId;
+  }
+  if (event.message && event.message.id) {
+    return `message:${event.message.id}`;
+  }
+  return null;
+}
+
+module.exports = {
+  EventDedupeStore,
+  dedupeKey,
+};
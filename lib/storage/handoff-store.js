@@ -0,0 +1,80 @@
+const { tryLoadKv } = require("./kv");
+
+// Per-user human handoff: while an entry exists the bot forwards the user's messages to the
+// owning manager instead of answering. Entries expire on their own after ttlSeconds.
+class HandoffStore {
+  constructor(options = {}) {
+    this.ttlSeconds = options.ttlSeconds || 4 * 60 * 60;
+    this.kv = options.kv === undefined ? tryLoadKv() : options.kv;
+    this.memory = new Map();
+    this.now = options.now || (() => Date.now());
+  }
+
+  async get(lineUserId) {
+    if (!lineUserId) {
+      return null;
+    }
+
+    if (this.kv) {
+      return (await this.kv.get(this.#key(lineUserId))) || null;
+    }
+
+    const entry = this.memory.get(lineUserId);
+    if (!entry) {
+      return null;
+    }
+    if (Date.parse(entry.expires_at) <= this.now()) {
+      this.memory.delete(lineUserId);
+      return null;
+    }
+    return entry;
+  }
+
+  // Starting again (another escalation, or a manager taking over) replaces the owner and
+  // restarts the timeout
+  async start(lineUserId, handoff = {}) {
+    if (!lineUserId) {
+      return null;
+    }
+
+    const now = this.now();
+    const saved = {
+      line_user_id: lineUserId,
+      owner_user_id: handoff.ownerUserId || "",
+      queue_id: handoff.queueId || "",
+      ticket_id: handoff.ticketId || "",
+      reason: handoff.reason || "manual",
+      started_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.ttlSeconds * 1000).toISOString(),
+    };
+
+    if (this.kv) {
+      await this.kv.set(this.#key(lineUserId), saved, { ex: this.ttlSeconds });
+      return saved;
+    }
+
+    this.memory.set(lineUserId, saved);
+    return saved;
+  }
+
+  async release(lineUserId) {
+    if (!lineUserId) {
+      return;
+    }
+
+    if (this.kv) {
+      await this.kv.del(this.#key(lineUserId));
+      return;
+    }
+
+    this.memory.delete(lineUserId);
+  }
+
+  #key(lineUserId) {
+    return `handoff:${lineUserId}`;
+  }
+}
+
+module.exports = {
+  HandoffStore,
+};
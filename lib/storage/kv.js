@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+function tryLoadKv() {
+  try {
+    const moduleRef = require("@vercel/kv");
+    return moduleRef.kv || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Local stand-in for Vercel KV (get/set/del with `ex` and `nx`), persisted to one JSON file so
+// state survives restarts and is shared by processes on the same machine. Not meant for heavy
+// write concurrency: writes are whole-file, last writer wins.
+class FileKv {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+  }
+
+  async get(key) {
+    const entry = this.#read()[key];
+    return entry ? entry.value : null;
+  }
+
+  // Mirrors @vercel/kv: resolves "OK" when written, null when `nx` is set and the key exists
+  async set(key, value, options = {}) {
+    const data = this.#read();
+    if (options.nx && data[key]) {
+      return null;
+    }
+
+    data[key] = {
+      value,
+      expiresAt: options.ex ? Date.now() + options.ex * 1000 : null,
+    };
+    this.#write(data);
+    return "OK";
+  }
+
+  async del(key) {
+    const data = this.#read();
+    if (!data[key]) {
+      return 0;
+    }
+    delete data[key];
+    this.#write(data);
+    return 1;
+  }
+
+  #read() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      return {};
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(data)) {
+      if (!entry || (entry.expiresAt && entry.expiresAt <= now)) {
+        delete data[key];
+      }
+    }
+    return data;
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a JSON document behind
+  #write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  tryLoadKv,
+  FileKv,
+};
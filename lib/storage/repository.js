@@ -1,5 +1,11 @@
+const crypto = require("crypto");
 const { createId } = require("../utils/id");
 
+const MAX_EVENT_OUTCOMES = 1000;
+const MAX_DATA_SNAPSHOTS = 20;
+// The memory driver keeps only the newest audit events; SQLite keeps them all
+const MAX_MEMORY_AUDIT_EVENTS = 1000;
+
 function tokenize(text) {
   return String(text || "")
     .toLowerCase()
@@ -16,10 +22,116 @@ function parsePriority(value) {
   return parsed;
 }
 
+// The short ticket a manager types ("Q-3F9A1C2E") comes from the unique queue_id rather than a
+// count, so restarts, separate instances and purged rows never hand out the same ticket twice
+function ticketIdFor(queueId) {
+  return `Q-${crypto.createHash("sha256").update(String(queueId)).digest("hex").slice(0, 8).toUpperCase()}`;
+}
+
 function isoNow() {
   return new Date().toISOString();
 }
 
+// A claim only succeeds from the state the claimer read; attempts tells retries apart
+function outboxClaimable(current, expected, now) {
+  return Boolean(current) &&
+    current.status !== "delivered" &&
+    current.status === expected.status &&
+    (current.attempts ?? null) === (expected.attempts ?? null) &&
+    (current.status !== "sending" || current.lease_until <= now);
+}
+
+// Shared by every storage driver so knowledge ranking does not depend on where items live
+function rankKnowledge(items, options = {}) {
+  const { text = "", profile = null, limit = 5, now = new Date() } = options;
+  const messageTokens = tokenize(text);
+  const profileTags = Array.isArray(profile && profile.interest_tags)
+    ? profile.interest_tags.map((tag) => String(tag).toLowerCase())
+    : [];
+  const profileLocation = String((profile && profile.location) || "").toLowerCase();
+
+  const scored = [];
+
+  for (const item of items) {
+    if (item.deadline_iso) {
+      const deadline = new Date(item.deadline_iso);
+      if (Number.isFinite(deadline.getTime()) && deadline < now) {
+        continue;
+      }
+    }
+
+    const textBucket = [
+      item.category,
+      item.title,
+      item.summary,
+      item.eligibility,
+      item.location,
+      Array.isArray(item.tags) ? item.tags.join(" ") : "",
+    ]
+      .join(" ")
+      .toLowerCase();
+
+    let score = 0;
+
+    for (const token of messageTokens) {
+      if (textBucket.includes(token)) {
+        score += 1;
+      }
+    }
+
+    const itemTags = Array.isArray(item.tags)
+      ? item.tags.map((tag) => String(tag).toLowerCase())
+      : [];
+    for (const tag of profileTags) {
+      if (itemTags.includes(tag)) {
+        score += 2;
+      }
+    }
+
+    if (profileLocation && String(item.location || "").toLowerCase().includes(profileLocation)) {
+      score += 1;
+    }
+
+    if (messageTokens.includes(item.category)) {
+      score += 2;
+    }
+
+    score += Math.min(item.priority, 3) * 0.35;
+
+    if (score > 0) {
+      scored.push({ ...item, _score: score });
+    }
+  }
+
+  scored.sort((a, b) => {
+    if (b._score !== a._score) {
+      return b._score - a._score;
+    }
+    const dateA = a.deadline_iso ? new Date(a.deadline_iso).getTime() : Number.MAX_SAFE_INTEGER;
+    const dateB = b.deadline_iso ? new Date(b.deadline_iso).getTime() : Number.MAX_SAFE_INTEGER;
+    if (dateA !== dateB) {
+      return dateA - dateB;
+    }
+    return String(a.item_id).localeCompare(String(b.item_id));
+  });
+
+  return scored.slice(0, limit).map((item) => {
+    const cloned = { ...item };
+    delete cloned._score;
+    return cloned;
+  });
+}
+
+// `from` / `to` bound created_at; a date-only `to` covers that whole day
+function matchesEscalation(escalation, filters = {}) {
+  const to = filters.to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? `${filters.to}T23:59:59.999Z` : filters.to;
+  return (!filters.status || escalation.status === filters.status) &&
+    (!filters.reasonCode || escalation.reason_code === filters.reasonCode) &&
+    (!filters.owner || escalation.owner === filters.owner) &&
+    (!filters.from || escalation.created_at >= filters.from) &&
+    (!to || escalation.created_at <= to);
+}
+
 class InMemoryRepository {
   constructor(options = {}) {
     this.retentionSeconds = options.retentionSeconds || 30 * 24 * 60 * 60;
@@ -29,6 +141,13 @@ class InMemoryRepository {
     this.escalations = [];
     this.conversationLogs = [];
     this.processedEvents = new Map();
+    this.auditEvents = [];
+    this.eventOutcomes = new Map();
+    this.outbox = new Map();
+    this.dataSnapshots = [];
+    this.snapshotSeq = 0;
+    this.castingData = null;
+    this.syncPlans = new Map();
   }
 
   upsertProfiles(profiles) {
@@ -92,89 +211,30 @@ class InMemoryRepository {
     return this.profiles.get(String(lineUserId || "")) || null;
   }
 
-  searchKnowledge(options = {}) {
-    const { text = "", profile = null, limit = 5, now = new Date() } = options;
-    const messageTokens = tokenize(text);
-    const profileTags = Array.isArray(profile && profile.interest_tags)
-      ? profile.interest_tags.map((tag) => String(tag).toLowerCase())
-      : [];
-    const profileLocation = String((profile && profile.location) || "").toLowerCase();
-
-    const scored = [];
-
-    for (const item of this.knowledge.values()) {
-      if (item.deadline_iso) {
-        const deadline = new Date(item.deadline_iso);
-        if (Number.isFinite(deadline.getTime()) && deadline < now) {
-          continue;
-        }
-      }
-
-      const textBucket = [
-        item.category,
-        item.title,
-        item.summary,
-        item.eligibility,
-        item.location,
-        Array.isArray(item.tags) ? item.tags.join(" ") : "",
-      ]
-        .join(" ")
-        .toLowerCase();
-
-      let score = 0;
-
-      for (const token of messageTokens) {
-        if (textBucket.includes(token)) {
-          score += 1;
-        }
-      }
-
-      const itemTags = Array.isArray(item.tags)
-        ? item.tags.map((tag) => String(tag).toLowerCase())
-        : [];
-      for (const tag of profileTags) {
-        if (itemTags.includes(tag)) {
-          score += 2;
-        }
-      }
-
-      if (profileLocation && String(item.location || "").toLowerCase().includes(profileLocation)) {
-        score += 1;
-      }
-
-      if (messageTokens.includes(item.category)) {
-        score += 2;
-      }
-
-      score += Math.min(item.priority, 3) * 0.35;
+  listProfiles() {
+    return Array.from(this.profiles.values());
+  }
 
-      if (score > 0) {
-        scored.push({ ...item, _score: score });
-      }
-    }
+  listKnowledge() {
+    return Array.from(this.knowledge.values());
+  }
 
-    scored.sort((a, b) => {
-      if (b._score !== a._score) {
-        return b._score - a._score;
-      }
-      const dateA = a.deadline_iso ? new Date(a.deadline_iso).getTime() : Number.MAX_SAFE_INTEGER;
-      const dateB = b.deadline_iso ? new Date(b.deadline_iso).getTime() : Number.MAX_SAFE_INTEGER;
-      if (dateA !== dateB) {
-        return dateA - dateB;
-      }
-      return String(a.item_id).localeCompare(String(b.item_id));
-    });
+  // Rollback restores knowledge wholesale, so items added after the snapshot go away
+  replaceKnowledge(items) {
+    this.knowledge = new Map();
+    return this.upsertKnowledge(items);
+  }
 
-    return scored.slice(0, limit).map((item) => {
-      const cloned = { ...item };
-      delete cloned._score;
-      return cloned;
-    });
+  searchKnowledge(options = {}) {
+    return rankKnowledge(this.knowledge.values(), options);
   }
 
+  // ticket_id is the short "Q-3F9A1C2E" form managers type when replying from LINE
   addEscalation(item) {
+    const queueId = item.queue_id || createId("esc");
     const escalation = {
-      queue_id: item.queue_id || createId("esc"),
+      queue_id: queueId,
+      ticket_id: item.ticket_id || ticketIdFor(queueId),
       created_at: item.created_at || isoNow(),
       status: item.status || "open",
       owner: item.owner || "manager",
@@ -185,8 +245,21 @@ class InMemoryRepository {
     return escalation;
   }
 
-  listEscalations() {
-    return [...this.escalations];
+  listEscalations(filters = {}) {
+    return this.escalations.filter((escalation) => matchesEscalation(escalation, filters));
+  }
+
+  getEscalation(queueId) {
+    return this.escalations.find((escalation) => escalation.queue_id === queueId) || null;
+  }
+
+  updateEscalation(queueId, changes) {
+    const index = this.escalations.findIndex((escalation) => escalation.queue_id === queueId);
+    if (index === -1) {
+      return null;
+    }
+    this.escalations[index] = { ...this.escalations[index], ...changes };
+    return this.escalations[index];
   }
 
   addConversation(log) {
@@ -206,6 +279,85 @@ class InMemoryRepository {
     return saved;
   }
 
+  addAuditEvent(event) {
+    const saved = {
+      audit_id: event.audit_id || createId("audit"),
+      created_at: event.created_at || isoNow(),
+      ...event,
+    };
+    this.auditEvents.push(saved);
+    if (this.auditEvents.length > MAX_MEMORY_AUDIT_EVENTS) {
+      this.auditEvents = this.auditEvents.slice(-MAX_MEMORY_AUDIT_EVENTS);
+    }
+    return saved;
+  }
+
+  // Writes here are synchronous and in-process; callers validate before writing, so there is
+  // nothing to roll back
+  transaction(work) {
+    return work();
+  }
+
+  listAuditEvents(filters = {}) {
+    return this.auditEvents.filter((event) =>
+      (!filters.type || event.type === filters.type) &&
+      (!filters.lineUserId || event.line_user_id === filters.lineUserId)
+    );
+  }
+
+  // Versions are numbered v1, v2, ... and only the newest MAX_DATA_SNAPSHOTS are kept
+  addDataSnapshot(snapshot) {
+    this.snapshotSeq += 1;
+    const saved = {
+      version_id: `v${this.snapshotSeq}`,
+      created_at: isoNow(),
+      ...snapshot,
+    };
+    this.dataSnapshots.push(saved);
+    this.dataSnapshots = this.dataSnapshots.slice(-MAX_DATA_SNAPSHOTS);
+    return saved;
+  }
+
+  getDataSnapshot(versionId) {
+    return this.dataSnapshots.find((snapshot) => snapshot.version_id === versionId) || null;
+  }
+
+  // Newest first, without the data itself
+  listDataSnapshots() {
+    return this.dataSnapshots
+      .map(({ data, ...meta }) => meta)
+      .reverse();
+  }
+
+  // The casting dataset the bot currently serves, restored at startup
+  saveCastingData(data) {
+    this.castingData = data;
+    return data;
+  }
+
+  getCastingData() {
+    return this.castingData;
+  }
+
+  // Dry-run plans wait here until applied; expired ones are dropped on the next save
+  saveSyncPlan(plan) {
+    const now = isoNow();
+    for (const [planId, stored] of this.syncPlans.entries()) {
+      if (stored.expiresAt <= now) {
+        this.syncPlans.delete(planId);
+      }
+    }
+    this.syncPlans.set(plan.planId, plan);
+    return plan;
+  }
+
+  // Removes the plan and returns it, or null when unknown or expired; a plan applies only once
+  takeSyncPlan(planId) {
+    const plan = this.syncPlans.get(planId) || null;
+    this.syncPlans.delete(planId);
+    return plan && plan.expiresAt > isoNow() ? plan : null;
+  }
+
   getRecentConversations(lineUserId, limit = 5) {
     this.cleanupExpired();
 
@@ -215,6 +367,56 @@ class InMemoryRepository {
       .slice(0, limit);
   }
 
+  // One entry per webhook event, overwritten if the event is processed again
+  recordEventOutcome(outcome) {
+    const key = outcome.eventId || createId("evt");
+    const stored = { ...outcome, eventId: key };
+    this.eventOutcomes.delete(key);
+    this.eventOutcomes.set(key, stored);
+    // Maps keep insertion order, so the first key is the oldest outcome
+    if (this.eventOutcomes.size > MAX_EVENT_OUTCOMES) {
+      this.eventOutcomes.delete(this.eventOutcomes.keys().next().value);
+    }
+    return stored;
+  }
+
+  getEventOutcome(eventId) {
+    return this.eventOutcomes.get(eventId) || null;
+  }
+
+  listEventOutcomes({ status, limit = 100 } = {}) {
+    return Array.from(this.eventOutcomes.values())
+      .filter((outcome) => !status || outcome.status === status)
+      .slice(-limit);
+  }
+
+  // Outbox messages are saved whole on every state change (pending, delivered, dead)
+  saveOutboxMessage(message) {
+    const stored = { ...message };
+    this.outbox.set(stored.message_id, stored);
+    return stored;
+  }
+
+  getOutboxMessage(messageId) {
+    return this.outbox.get(messageId) || null;
+  }
+
+  // Moves the message to "sending" with a lease, unless it changed since `message` was read,
+  // was delivered, or is already being sent under a lease that has not run out
+  claimOutboxMessage(message, { now, leaseUntil }) {
+    const current = this.outbox.get(message.message_id);
+    if (!outboxClaimable(current, message, now)) {
+      return null;
+    }
+    return this.saveOutboxMessage({ ...current, status: "sending", lease_until: leaseUntil });
+  }
+
+  listOutboxMessages({ status, kind } = {}) {
+    return Array.from(this.outbox.values()).filter((message) =>
+      (!status || message.status === status) && (!kind || message.kind === kind)
+    );
+  }
+
   hasProcessedEvent(eventId) {
     this.cleanupExpired();
     const expiresAt = this.processedEvents.get(eventId);
@@ -252,4 +454,11 @@ class InMemoryRepository {
 
 module.exports = {
   InMemoryRepository,
+  rankKnowledge,
+  parsePriority,
+  MAX_EVENT_OUTCOMES,
+  MAX_DATA_SNAPSHOTS,
+  MAX_MEMORY_AUDIT_EVENTS,
+  matchesEscalation,
+  ticketIdFor,
 };
@@ -0,0 +1,597 @@
+const fs = require("fs");
+const path = require("path");
+const { createId } = require("../utils/id");
+const {
+  rankKnowledge,
+  parsePriority,
+  matchesEscalation,
+  ticketIdFor,
+  MAX_EVENT_OUTCOMES,
+  MAX_DATA_SNAPSHOTS,
+} = require("./repository");
+
+// Rows keep the full record as JSON in `data`; the other columns exist for lookups and cleanup.
+// Append new migrations to the end, never edit an applied one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial_schema",
+    sql: `
+      CREATE TABLE profiles (
+        line_user_id TEXT PRIMARY KEY,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE knowledge (
+        item_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE escalations (
+        queue_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX escalations_created_at ON escalations (created_at);
+      CREATE TABLE conversation_logs (
+        msg_id TEXT PRIMARY KEY,
+        line_user_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX conversation_logs_user ON conversation_logs (line_user_id, timestamp);
+      CREATE INDEX conversation_logs_expires ON conversation_logs (expires_at);
+      CREATE TABLE processed_events (
+        event_id TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: "audit_events_and_event_outcomes",
+    sql: `
+      CREATE TABLE audit_events (
+        audit_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        line_user_id TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX audit_events_type ON audit_events (type, created_at);
+      CREATE TABLE event_outcomes (
+        event_id TEXT PRIMARY KEY,
+        status TEXT,
+        seq INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 3,
+    name: "data_snapshots",
+    sql: `
+      CREATE TABLE data_snapshots (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        version_id TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        meta TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 4,
+    name: "outbox",
+    sql: `
+      CREATE TABLE outbox (
+        message_id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX outbox_status ON outbox (status, created_at);
+    `,
+  },
+  {
+    version: 5,
+    name: "casting_data",
+    sql: `
+      CREATE TABLE casting_data (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 6,
+    name: "sync_plans",
+    sql: `
+      CREATE TABLE sync_plans (
+        plan_id TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `,
+  },
+];
+
+function isoNow() {
+  return new Date().toISOString();
+}
+
+// node:sqlite ships with Node 22.5+; better-sqlite3 is the optional fallback for older runtimes.
+// Both expose exec/prepare().run/get/all, which is all this driver uses.
+function loadSqliteDriver() {
+  try {
+    const { DatabaseSync } = require("node:sqlite");
+    return { name: "node:sqlite", open: (filePath) => new DatabaseSync(filePath) };
+  } catch (error) {
+    // fall through to better-sqlite3
+  }
+  try {
+    const Database = require("better-sqlite3");
+    return { name: "better-sqlite3", open: (filePath) => new Database(filePath) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseRow(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+class SqliteRepository {
+  constructor(options = {}) {
+    this.retentionSeconds = options.retentionSeconds || 30 * 24 * 60 * 60;
+    this.dedupeTtlSeconds = options.dedupeTtlSeconds || 24 * 60 * 60;
+    this.filePath = options.filePath || ":memory:";
+
+    const driver = options.driver || loadSqliteDriver();
+    if (!driver) {
+      throw new Error("STORAGE_DRIVER=sqlite needs Node 22.5+ (node:sqlite) or the better-sqlite3 package");
+    }
+    this.driverName = driver.name;
+    this.transactionDepth = 0;
+
+    if (this.filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+    this.db = driver.open(this.filePath);
+    this.db.exec("PRAGMA journal_mode = WAL");
+    this.migrate();
+  }
+
+  // Applies pending migrations in order; returns the versions applied by this call
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+    const applied = new Set(
+      this.db.prepare("SELECT version FROM schema_migrations").all().map((row) => row.version)
+    );
+
+    const pending = MIGRATIONS.filter((migration) => !applied.has(migration.version));
+    for (const migration of pending) {
+      this.#transaction(() => {
+        this.db.exec(migration.sql);
+        this.db
+          .prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+          .run(migration.version, migration.name, isoNow());
+      });
+    }
+    return pending.map((migration) => migration.version);
+  }
+
+  schemaVersion() {
+    const row = this.db.prepare("SELECT MAX(version) AS version FROM schema_migrations").get();
+    return row && row.version ? row.version : 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  upsertProfiles(profiles) {
+    const summary = { imported: 0, updated: 0, failed: 0 };
+    const exists = this.db.prepare("SELECT 1 FROM profiles WHERE line_user_id = ?");
+    const upsert = this.db.prepare(`
+      INSERT INTO profiles (line_user_id, updated_at, data) VALUES (?, ?, ?)
+      ON CONFLICT (line_user_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+    `);
+
+    this.#transaction(() => {
+      for (const rawProfile of profiles) {
+        const profile = {
+          ...rawProfile,
+          line_user_id: String(rawProfile.line_user_id || "").trim(),
+        };
+
+        if (!profile.line_user_id) {
+          summary.failed += 1;
+          continue;
+        }
+
+        profile.updated_at = profile.updated_at || isoNow();
+
+        if (exists.get(profile.line_user_id)) {
+          summary.updated += 1;
+        } else {
+          summary.imported += 1;
+        }
+
+        upsert.run(profile.line_user_id, profile.updated_at, JSON.stringify(profile));
+      }
+    });
+
+    return summary;
+  }
+
+  upsertKnowledge(items) {
+    let summary;
+    this.#transaction(() => {
+      summary = this.#upsertKnowledgeRows(items);
+    });
+    return summary;
+  }
+
+  #upsertKnowledgeRows(items) {
+    const summary = { imported: 0, updated: 0, failed: 0 };
+    const exists = this.db.prepare("SELECT 1 FROM knowledge WHERE item_id = ?");
+    const upsert = this.db.prepare(`
+      INSERT INTO knowledge (item_id, data) VALUES (?, ?)
+      ON CONFLICT (item_id) DO UPDATE SET data = excluded.data
+    `);
+
+    for (const rawItem of items) {
+      const itemId = String(rawItem.item_id || "").trim() || createId("knowledge");
+      const item = {
+        ...rawItem,
+        item_id: itemId,
+        category: String(rawItem.category || "job").toLowerCase(),
+        priority: parsePriority(rawItem.priority),
+      };
+
+      if (!item.title) {
+        summary.failed += 1;
+        continue;
+      }
+
+      if (exists.get(itemId)) {
+        summary.updated += 1;
+      } else {
+        summary.imported += 1;
+      }
+
+      upsert.run(itemId, JSON.stringify(item));
+    }
+
+    return summary;
+  }
+
+  getProfile(lineUserId) {
+    const row = this.db
+      .prepare("SELECT data FROM profiles WHERE line_user_id = ?")
+      .get(String(lineUserId || ""));
+    return parseRow(row);
+  }
+
+  listProfiles() {
+    return this.db.prepare("SELECT data FROM profiles ORDER BY rowid").all().map(parseRow);
+  }
+
+  listKnowledge() {
+    return this.db.prepare("SELECT data FROM knowledge ORDER BY rowid").all().map(parseRow);
+  }
+
+  replaceKnowledge(items) {
+    let summary;
+    this.#transaction(() => {
+      this.db.exec("DELETE FROM knowledge");
+      summary = this.#upsertKnowledgeRows(items);
+    });
+    return summary;
+  }
+
+  searchKnowledge(options = {}) {
+    return rankKnowledge(this.listKnowledge(), options);
+  }
+
+  addEscalation(item) {
+    const queueId = item.queue_id || createId("esc");
+    const escalation = {
+      queue_id: queueId,
+      ticket_id: item.ticket_id || ticketIdFor(queueId),
+      created_at: item.created_at || isoNow(),
+      status: item.status || "open",
+      owner: item.owner || "manager",
+      closed_at: item.closed_at || "",
+      ...item,
+    };
+    this.db
+      .prepare("INSERT INTO escalations (queue_id, created_at, status, data) VALUES (?, ?, ?, ?)")
+      .run(escalation.queue_id, escalation.created_at, escalation.status, JSON.stringify(escalation));
+    return escalation;
+  }
+
+  listEscalations(filters = {}) {
+    return this.db
+      .prepare("SELECT data FROM escalations ORDER BY created_at, rowid")
+      .all()
+      .map(parseRow)
+      .filter((escalation) => matchesEscalation(escalation, filters));
+  }
+
+  getEscalation(queueId) {
+    const row = this.db.prepare("SELECT data FROM escalations WHERE queue_id = ?").get(queueId);
+    return row ? parseRow(row) : null;
+  }
+
+  updateEscalation(queueId, changes) {
+    let updated = null;
+    this.#transaction(() => {
+      const current = this.getEscalation(queueId);
+      if (!current) {
+        return;
+      }
+      updated = { ...current, ...changes };
+      this.db
+        .prepare("UPDATE escalations SET status = ?, data = ? WHERE queue_id = ?")
+        .run(updated.status, JSON.stringify(updated), queueId);
+    });
+    return updated;
+  }
+
+  addConversation(log) {
+    const now = Date.now();
+    const expiresAt = log.expires_at
+      ? new Date(log.expires_at).getTime()
+      : now + this.retentionSeconds * 1000;
+
+    const saved = {
+      msg_id: log.msg_id || createId("msg"),
+      timestamp: log.timestamp || isoNow(),
+      expires_at: new Date(expiresAt).toISOString(),
+      ...log,
+    };
+
+    this.db
+      .prepare(`
+        INSERT INTO conversation_logs (msg_id, line_user_id, timestamp, expires_at, data)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(
+        saved.msg_id,
+        String(saved.line_user_id || ""),
+        saved.timestamp,
+        new Date(saved.expires_at).getTime(),
+        JSON.stringify(saved)
+      );
+    return saved;
+  }
+
+  addAuditEvent(event) {
+    const saved = {
+      audit_id: event.audit_id || createId("audit"),
+      created_at: event.created_at || isoNow(),
+      ...event,
+    };
+    this.db
+      .prepare("INSERT INTO audit_events (audit_id, type, line_user_id, created_at, data) VALUES (?, ?, ?, ?, ?)")
+      .run(saved.audit_id, saved.type || "", saved.line_user_id || null, saved.created_at, JSON.stringify(saved));
+    return saved;
+  }
+
+  listAuditEvents(filters = {}) {
+    return this.db
+      .prepare(`
+        SELECT data FROM audit_events
+        WHERE (? IS NULL OR type = ?) AND (? IS NULL OR line_user_id = ?)
+        ORDER BY created_at, rowid
+      `)
+      .all(filters.type || null, filters.type || null, filters.lineUserId || null, filters.lineUserId || null)
+      .map(parseRow);
+  }
+
+  addDataSnapshot(snapshot) {
+    const { data, ...meta } = snapshot;
+    let saved;
+
+    this.#transaction(() => {
+      const seq = this.db.prepare("SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM data_snapshots").get().seq;
+      saved = { version_id: `v${seq}`, created_at: isoNow(), ...meta };
+      this.db
+        .prepare("INSERT INTO data_snapshots (seq, version_id, created_at, meta, data) VALUES (?, ?, ?, ?, ?)")
+        .run(seq, saved.version_id, saved.created_at, JSON.stringify(saved), JSON.stringify(data || {}));
+      this.db.prepare("DELETE FROM data_snapshots WHERE seq <= ?").run(seq - MAX_DATA_SNAPSHOTS);
+    });
+    return { ...saved, data };
+  }
+
+  getDataSnapshot(versionId) {
+    const row = this.db.prepare("SELECT meta, data FROM data_snapshots WHERE version_id = ?").get(versionId);
+    return row ? { ...JSON.parse(row.meta), data: JSON.parse(row.data) } : null;
+  }
+
+  listDataSnapshots() {
+    return this.db
+      .prepare("SELECT meta FROM data_snapshots ORDER BY seq DESC")
+      .all()
+      .map((row) => JSON.parse(row.meta));
+  }
+
+  // A single row: the casting dataset the bot currently serves
+  saveCastingData(data) {
+    this.db.prepare(`
+      INSERT INTO casting_data (id, updated_at, data) VALUES (1, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+    `).run(isoNow(), JSON.stringify(data));
+    return data;
+  }
+
+  getCastingData() {
+    const row = this.db.prepare("SELECT data FROM casting_data WHERE id = 1").get();
+    return row ? parseRow(row) : null;
+  }
+
+  saveSyncPlan(plan) {
+    this.#transaction(() => {
+      this.db.prepare("DELETE FROM sync_plans WHERE expires_at <= ?").run(isoNow());
+      this.db
+        .prepare("INSERT OR REPLACE INTO sync_plans (plan_id, expires_at, data) VALUES (?, ?, ?)")
+        .run(plan.planId, plan.expiresAt, JSON.stringify(plan));
+    });
+    return plan;
+  }
+
+  // One statement, so two instances applying the same plan cannot both get it
+  takeSyncPlan(planId) {
+    const row = this.db
+      .prepare("DELETE FROM sync_plans WHERE plan_id = ? RETURNING expires_at, data")
+      .get(String(planId || ""));
+    return row && row.expires_at > isoNow() ? parseRow(row) : null;
+  }
+
+  getRecentConversations(lineUserId, limit = 5) {
+    this.cleanupExpired();
+
+    return this.db
+      .prepare("SELECT data FROM conversation_logs WHERE line_user_id = ? ORDER BY timestamp DESC LIMIT ?")
+      .all(String(lineUserId || ""), limit)
+      .map(parseRow);
+  }
+
+  recordEventOutcome(outcome) {
+    const key = outcome.eventId || createId("evt");
+    const stored = { ...outcome, eventId: key };
+    const next = this.db.prepare("SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM event_outcomes").get().seq;
+
+    this.#transaction(() => {
+      this.db
+        .prepare(`
+          INSERT INTO event_outcomes (event_id, status, seq, data) VALUES (?, ?, ?, ?)
+          ON CONFLICT (event_id) DO UPDATE SET status = excluded.status, seq = excluded.seq, data = excluded.data
+        `)
+        .run(key, stored.status || null, next, JSON.stringify(stored));
+      this.db.prepare("DELETE FROM event_outcomes WHERE seq <= ?").run(next - MAX_EVENT_OUTCOMES);
+    });
+    return stored;
+  }
+
+  getEventOutcome(eventId) {
+    return parseRow(this.db.prepare("SELECT data FROM event_outcomes WHERE event_id = ?").get(eventId));
+  }
+
+  listEventOutcomes({ status, limit = 100 } = {}) {
+    return this.db
+      .prepare(`
+        SELECT data FROM (
+          SELECT data, seq FROM event_outcomes WHERE (? IS NULL OR status = ?) ORDER BY seq DESC LIMIT ?
+        ) ORDER BY seq
+      `)
+      .all(status || null, status || null, limit)
+      .map(parseRow);
+  }
+
+  saveOutboxMessage(message) {
+    const stored = { ...message };
+    this.db
+      .prepare(`
+        INSERT INTO outbox (message_id, kind, status, created_at, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (message_id) DO UPDATE SET status = excluded.status, data = excluded.data
+      `)
+      .run(stored.message_id, stored.kind, stored.status, stored.created_at, JSON.stringify(stored));
+    return stored;
+  }
+
+  getOutboxMessage(messageId) {
+    return parseRow(this.db.prepare("SELECT data FROM outbox WHERE message_id = ?").get(messageId));
+  }
+
+  // One conditional UPDATE, so two processes can never both claim the same message
+  claimOutboxMessage(message, { now, leaseUntil }) {
+    const row = this.db
+      .prepare(`
+        UPDATE outbox SET status = 'sending', data = json_set(data, '$.status', 'sending', '$.lease_until', ?)
+        WHERE message_id = ? AND status = ? AND status != 'delivered'
+          AND json_extract(data, '$.attempts') IS ?
+          AND (status != 'sending' OR json_extract(data, '$.lease_until') <= ?)
+        RETURNING data
+      `)
+      .get(leaseUntil, message.message_id, message.status, message.attempts ?? null, now);
+    return parseRow(row);
+  }
+
+  listOutboxMessages({ status, kind } = {}) {
+    return this.db
+      .prepare(`
+        SELECT data FROM outbox
+        WHERE (? IS NULL OR status = ?) AND (? IS NULL OR kind = ?)
+        ORDER BY created_at, rowid
+      `)
+      .all(status || null, status || null, kind || null, kind || null)
+      .map(parseRow);
+  }
+
+  hasProcessedEvent(eventId) {
+    const row = this.db.prepare("SELECT expires_at FROM processed_events WHERE event_id = ?").get(eventId);
+    return Boolean(row) && row.expires_at > Date.now();
+  }
+
+  markProcessedEvent(eventId, ttlSeconds) {
+    const ttl = ttlSeconds || this.dedupeTtlSeconds;
+    this.db
+      .prepare(`
+        INSERT INTO processed_events (event_id, expires_at) VALUES (?, ?)
+        ON CONFLICT (event_id) DO UPDATE SET expires_at = excluded.expires_at
+      `)
+      .run(eventId, Date.now() + ttl * 1000);
+  }
+
+  cleanupExpired(nowTimestamp = Date.now()) {
+    const logs = this.db.prepare("DELETE FROM conversation_logs WHERE expires_at <= ?").run(nowTimestamp);
+    const dedupe = this.db.prepare("DELETE FROM processed_events WHERE expires_at <= ?").run(nowTimestamp);
+
+    return {
+      removedLogs: Number(logs.changes),
+      removedDedupe: Number(dedupe.changes),
+    };
+  }
+
+  // Runs several repository writes as one unit (used by data rollbacks)
+  transaction(work) {
+    return this.#transaction(work);
+  }
+
+  // Nested calls join the outer transaction, so methods that use one can run inside another
+  #transaction(work) {
+    if (this.transactionDepth > 0) {
+      return work();
+    }
+    this.transactionDepth += 1;
+    this.db.exec("BEGIN");
+    try {
+      const result = work();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    } finally {
+      this.transactionDepth -= 1;
+    }
+  }
+}
+
+module.exports = {
+  SqliteRepository,
+  loadSqliteDriver,
+  MIGRATIONS,
+};
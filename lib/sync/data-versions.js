@@ -0,0 +1,112 @@
+const { ENTITIES } = require("../storage/casting-data-store");
+const { PROFILE_SYNC_FIELDS } = require("./sync-service");
+
+// Versioned copies of everything a sync writes, so a bad sheet edit can be undone without
+// re-editing the sheet. Each successful sync stores one snapshot; the repository keeps the
+// newest MAX_DATA_SNAPSHOTS.
+class DataVersionService {
+  constructor(options = {}) {
+    this.repository = options.repository;
+    this.castingDataStore = options.castingDataStore || null;
+  }
+
+  capture(meta = {}) {
+    const data = {
+      profiles: this.repository.listProfiles(),
+      knowledge: this.repository.listKnowledge(),
+    };
+    if (this.castingDataStore) {
+      for (const entity of ENTITIES) {
+        data[entity] = this.castingDataStore[entity];
+      }
+    }
+
+    const snapshot = this.repository.addDataSnapshot({
+      source: meta.source || "",
+      plan_id: meta.planId || null,
+      kind: meta.kind || "sync",
+      counts: Object.fromEntries(Object.entries(data).map(([entity, rows]) => [entity, rows.length])),
+      data,
+    });
+    if (this.castingDataStore) {
+      this.castingDataStore.tag(snapshot.version_id);
+    }
+    return snapshot.version_id;
+  }
+
+  list() {
+    const active = this.activeVersion();
+    return this.repository.listDataSnapshots().map((snapshot) => ({
+      ...snapshot,
+      active: snapshot.version_id === active,
+    }));
+  }
+
+  activeVersion() {
+    return this.castingDataStore ? this.castingDataStore.describe().versionId : null;
+  }
+
+  // Casting data and knowledge are restored exactly; the casting data store saves the restored
+  // set, so it survives a restart. Profiles only get their synced fields back: follow state and
+  // onboarding answers stay as they are now, and users who appeared after the snapshot are kept.
+  // The snapshot is checked before anything is written, and the writes share one repository
+  // transaction (a real one on SQLite), so a failure never leaves a mix of versions.
+  rollback(versionId, options = {}) {
+    const snapshot = this.repository.getDataSnapshot(versionId);
+    if (!snapshot) {
+      const error = new Error(`Data version ${versionId} not found`);
+      error.code = "version_not_found";
+      throw error;
+    }
+
+    const previous = this.activeVersion();
+    const { data } = snapshot;
+    const casting = this.castingDataStore ? ENTITIES.filter((entity) => data[entity]) : [];
+    const malformed = [
+      ...["profiles", "knowledge"].filter((entity) => !Array.isArray(data[entity])),
+      ...casting.filter((entity) => !Array.isArray(data[entity])),
+      ...(casting.length > 0 && casting.length < ENTITIES.length ? ["casting data (partial)"] : []),
+    ];
+    if (malformed.length > 0) {
+      const error = new Error(`Data version ${versionId} cannot be restored: ${malformed.join(", ")} missing or invalid`);
+      error.code = "invalid_snapshot";
+      throw error;
+    }
+
+    const stored = new Map(this.repository.listProfiles().map((profile) => [profile.line_user_id, profile]));
+    const profiles = data.profiles.map((profile) => {
+      const synced = Object.fromEntries(PROFILE_SYNC_FIELDS.map((field) => [field, profile[field]]));
+      return { ...stored.get(profile.line_user_id), ...synced };
+    });
+
+    this.repository.transaction(() => {
+      this.repository.upsertProfiles(profiles);
+      this.repository.replaceKnowledge(data.knowledge);
+      // Last, since it also swaps what the bot serves; it only does so once its save succeeded
+      if (casting.length > 0) {
+        this.castingDataStore.replace({
+          talents: data.talents,
+          contracts: data.contracts,
+          experts: data.experts,
+        }, "rollback", versionId);
+      }
+      this.repository.addAuditEvent({
+        type: "data_rollback",
+        version_id: versionId,
+        previous_version_id: previous,
+        actor: options.actor || "",
+      });
+    });
+
+    return {
+      versionId,
+      previousVersionId: previous,
+      restoredAt: new Date().toISOString(),
+      counts: snapshot.counts,
+    };
+  }
+}
+
+module.exports = {
+  DataVersionService,
+};
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+
+// Lists compare by content; everything else as text, so 3 and "3" are the same priority
+function sameValue(before, after) {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return JSON.stringify(before || []) === JSON.stringify(after || []);
+  }
+  return String(before == null ? "" : before) === String(after == null ? "" : after);
+}
+
+// Field-level diff between what is stored and what a sync would write.
+// `removals` is false for entities that are upserted, where rows missing from the source stay.
+function diffRecords(current, next, options = {}) {
+  const { key, fields, removals = true } = options;
+  const currentByKey = new Map(current.map((row) => [row[key], row]));
+  const nextKeys = new Set();
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const record of next) {
+    const id = record[key];
+    const before = id ? currentByKey.get(id) : null;
+    nextKeys.add(id);
+
+    if (!before) {
+      diff.added.push({ key: id || null, record });
+      continue;
+    }
+
+    const changes = fields
+      .filter((field) => !sameValue(before[field], record[field]))
+      .map((field) => ({ field, before: before[field] == null ? "" : before[field], after: record[field] }));
+    if (changes.length > 0) {
+      diff.changed.push({ key: id, fields: changes });
+    } else {
+      diff.unchanged += 1;
+    }
+  }
+
+  if (removals) {
+    diff.removed = current
+      .filter((row) => !nextKeys.has(row[key]))
+      .map((row) => ({ key: row[key], record: row }));
+  }
+  return diff;
+}
+
+// Cheap identity for "has this data changed since the plan was made"
+function fingerprint(rows) {
+  return crypto.createHash("sha256").update(JSON.stringify(rows)).digest("hex");
+}
+
+module.exports = {
+  diffRecords,
+  fingerprint,
+  sameValue,
+};
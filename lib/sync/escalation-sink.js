@@ -1,5 +1,6 @@
 const fs = require("fs/promises");
 const path = require("path");
+const { parseCsv, stringifyCsv } = require("../utils/csv");
 
 const ESCALATION_HEADERS = [
   "queue_id",
@@ -11,6 +12,9 @@ const ESCALATION_HEADERS = [
   "status",
   "owner",
   "closed_at",
+  "event",
+  "updated_at",
+  "resolution",
 ];
 
 function escapeCsvValue(value) {
@@ -33,14 +37,18 @@ class EscalationSink {
     this.fetchImpl = options.fetchImpl || fetch;
   }
 
-  async record(escalationItem) {
+  // Called on creation and again on every transition (`event` is assigned, noted, resolved or
+  // closed). The CSV is an append-only log: the newest row for a queue_id is its current state.
+  async record(escalationItem, event = "created") {
+    const item = { ...escalationItem, event };
+
     if (this.queueWebhookUrl) {
-      await this.#sendWebhook(escalationItem);
+      await this.#sendWebhook(item);
       return { mode: "webhook" };
     }
 
     if (this.queueCsvPath) {
-      await this.#appendCsv(escalationItem);
+      await this.#appendCsv(item);
       return { mode: "csv" };
     }
 
@@ -66,25 +74,45 @@ class EscalationSink {
     const dir = path.dirname(this.queueCsvPath);
     await fs.mkdir(dir, { recursive: true });
 
-    let needsHeader = false;
+    const header = await this.#readHeader();
+    if (header === null) {
+      await fs.appendFile(this.queueCsvPath, `${ESCALATION_HEADERS.join(",")}\n`, "utf8");
+    } else if (header !== ESCALATION_HEADERS.join(",")) {
+      await this.#migrateCsv();
+    }
+
+    await fs.appendFile(this.queueCsvPath, toCsvLine(escalationItem), "utf8");
+  }
+
+  // First line of the CSV, or null when the file is missing or empty
+  async #readHeader() {
+    let handle;
     try {
-      const stat = await fs.stat(this.queueCsvPath);
-      if (!stat || stat.size === 0) {
-        needsHeader = true;
-      }
+      handle = await fs.open(this.queueCsvPath, "r");
     } catch (error) {
       if (error.code === "ENOENT") {
-        needsHeader = true;
-      } else {
-        throw error;
+        return null;
       }
+      throw error;
     }
-
-    if (needsHeader) {
-      await fs.appendFile(this.queueCsvPath, `${ESCALATION_HEADERS.join(",")}\n`, "utf8");
+    try {
+      const buffer = Buffer.alloc(4096);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      const text = buffer.toString("utf8", 0, bytesRead);
+      return text ? text.split(/\r?\n/)[0].trim() : null;
+    } finally {
+      await handle.close();
     }
+  }
 
-    await fs.appendFile(this.queueCsvPath, toCsvLine(escalationItem), "utf8");
+  // Files written before the header changed (e.g. the 9-column one without event, updated_at and
+  // resolution) are rewritten with the current header, so new rows line up with their columns.
+  // Written to a temp file and renamed, so a crash never leaves a half-written log.
+  async #migrateCsv() {
+    const records = parseCsv(await fs.readFile(this.queueCsvPath, "utf8"));
+    const tempPath = `${this.queueCsvPath}.migrating`;
+    await fs.writeFile(tempPath, stringifyCsv(records, ESCALATION_HEADERS), "utf8");
+    await fs.rename(tempPath, this.queueCsvPath);
   }
 }
 
@@ -0,0 +1,226 @@
+const { parseCsvRows } = require("../utils/csv");
+
+// Declared shape of every importable CSV. Column options:
+//   required  - the cell must not be empty (and the header must exist)
+//   type      - "string" (default), "date" (YYYY-MM-DD), "datetime" (ISO 8601), "number",
+//               "enum" (one of `values`) or "list" (pipe-separated, no empty items)
+//   aliases   - legacy header names accepted in place of the column name
+// `key` must be unique within a file; `checks` are row-level rules spanning several columns.
+const SCHEMAS = {
+  profiles: {
+    key: "line_user_id",
+    columns: {
+      line_user_id: { required: true, aliases: ["user_id", "lineId"] },
+      display_name: { aliases: ["name"] },
+      language_pref: { type: "enum", values: ["ja", "en"], aliases: ["language"] },
+      interest_tags: { aliases: ["tags", "interests"] },
+      location: {},
+      career_goal: { aliases: ["goal"] },
+      updated_at: { type: "datetime" },
+    },
+  },
+  knowledge: {
+    key: "item_id",
+    columns: {
+      item_id: { aliases: ["id"] },
+      category: {},
+      title: { required: true },
+      summary: { aliases: ["description"] },
+      eligibility: {},
+      location: {},
+      deadline_iso: { type: "date", aliases: ["deadline"] },
+      url: { aliases: ["link"] },
+      tags: { aliases: ["interest_tags"] },
+      priority: { type: "number" },
+    },
+  },
+  talents: {
+    key: "talent_id",
+    columns: {
+      talent_id: { required: true },
+      name: { required: true },
+      name_en: {},
+      reading: {},
+      aliases: { type: "list" },
+      agency: {},
+      current_contracts: { type: "list" },
+      ng_brands: { type: "list" },
+      ng_categories: { type: "list" },
+      scandal_history: {},
+      risk_level: { required: true, type: "enum", values: ["高", "中", "低"] },
+      expert_contact: {},
+      expert_department: {},
+      expert_experience: {},
+    },
+  },
+  contracts: {
+    key: "contract_id",
+    columns: {
+      contract_id: { required: true },
+      talent_name: { required: true },
+      talent_name_en: {},
+      client_name: { required: true },
+      brand: {},
+      category: {},
+      start_date: { required: true, type: "date" },
+      end_date: { required: true, type: "date" },
+      exclusivity_type: { type: "enum", values: ["完全独占", "カテゴリ独占", "グローバル独占", "なし"] },
+      competitive_restrictions: { type: "list" },
+      renewal_status: {},
+      assigned_manager: {},
+    },
+    checks: [
+      (record) => record.start_date && record.end_date && record.end_date < record.start_date
+        ? { column: "end_date", reason: `end_date ${record.end_date} is before start_date ${record.start_date}` }
+        : null,
+    ],
+  },
+  experts: {
+    key: "expert_id",
+    columns: {
+      expert_id: { required: true },
+      name: { required: true },
+      name_en: {},
+      department: {},
+      specialization: {},
+      specialization_en: {},
+      // Either a head count or a note such as 全社対応, so kept as text
+      talent_count: {},
+      recent_deals: {},
+      contact_info: {},
+    },
+  },
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isValidDate(value) {
+  return ISO_DATE.test(value) && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+function readCell(row, column, definition) {
+  for (const name of [column, ...(definition.aliases || [])]) {
+    if (row[name] !== undefined && row[name] !== "") {
+      return row[name];
+    }
+  }
+  return "";
+}
+
+// Reason the value breaks the column's type, or null when it is fine
+function typeError(definition, value) {
+  switch (definition.type) {
+    case "date":
+      return isValidDate(value) ? null : `"${value}" is not a YYYY-MM-DD date`;
+    case "datetime":
+      return ISO_DATETIME.test(value) && Number.isFinite(new Date(value).getTime())
+        ? null
+        : `"${value}" is not an ISO 8601 date-time`;
+    case "number":
+      return Number.isFinite(Number(value)) ? null : `"${value}" is not a number`;
+    case "enum":
+      return definition.values.includes(value)
+        ? null
+        : `"${value}" is not one of ${definition.values.join(" / ")}`;
+    case "list":
+      return value.split("|").some((item) => !item.trim())
+        ? `"${value}" has an empty item in its pipe-separated list`
+        : null;
+    default:
+      return null;
+  }
+}
+
+// Parses and validates one CSV. Rejected rows are reported once each, with the first problem
+// found; accepted rows are returned with aliases resolved to the schema's column names.
+function validateCsv(entity, text) {
+  const schema = SCHEMAS[entity];
+  const { headers, rows } = parseCsvRows(text);
+  const errors = [];
+  const records = [];
+
+  const headerNames = new Set(headers);
+  const missingColumns = Object.entries(schema.columns)
+    .filter(([column, definition]) =>
+      definition.required && ![column, ...(definition.aliases || [])].some((name) => headerNames.has(name))
+    )
+    .map(([column]) => column);
+  if (missingColumns.length > 0) {
+    return {
+      records,
+      errors: missingColumns.map((column) => ({
+        entity,
+        line: 1,
+        column,
+        value: "",
+        reason: "required column is missing from the header",
+      })),
+      total: rows.length,
+    };
+  }
+
+  const seenKeys = new Map();
+  let total = 0;
+
+  for (const { line, record: row } of rows) {
+    if (Object.values(row).every((value) => value === "")) {
+      continue;
+    }
+    total += 1;
+
+    const record = {};
+    let error = null;
+
+    for (const [column, definition] of Object.entries(schema.columns)) {
+      const value = readCell(row, column, definition);
+      record[column] = value;
+      if (error) {
+        continue;
+      }
+      if (!value) {
+        error = definition.required ? { column, value, reason: "required value is empty" } : null;
+        continue;
+      }
+      const reason = typeError(definition, value);
+      if (reason) {
+        error = { column, value, reason };
+      }
+    }
+
+    if (!error) {
+      for (const check of schema.checks || []) {
+        error = check(record);
+        if (error) {
+          error = { value: record[error.column], ...error };
+          break;
+        }
+      }
+    }
+
+    const key = record[schema.key];
+    if (!error && key && seenKeys.has(key)) {
+      error = {
+        column: schema.key,
+        value: key,
+        reason: `duplicate ${schema.key} (first seen on line ${seenKeys.get(key)})`,
+      };
+    }
+
+    if (error) {
+      errors.push({ entity, line, ...error });
+      continue;
+    }
+    if (key) {
+      seenKeys.set(key, line);
+    }
+    records.push(record);
+  }
+
+  return { records, errors, total };
+}
+
+module.exports = {
+  SCHEMAS,
+  validateCsv,
+};
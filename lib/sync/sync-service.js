@@ -1,6 +1,29 @@
 const fs = require("fs/promises");
-const { parseCsv, parseTagList } = require("../utils/csv");
+const { parseTagList } = require("../utils/csv");
 const { DEFAULT_PROFILES_CSV, DEFAULT_KNOWLEDGE_CSV } = require("./default-csv");
+const { ENTITY_FIELDS, ENTITY_KEYS, normalizeRecord } = require("../storage/casting-data-store");
+const { createId } = require("../utils/id");
+const { validateCsv } = require("./schemas");
+const { diffRecords, fingerprint } = require("./diff");
+
+// Where each casting entity is read from in csv and sheet mode
+const CASTING_SOURCES = {
+  talents: {
+    csvPathKey: "talentsCsvPath",
+    sheetUrlKey: "talentsSheetCsvUrl",
+    sheetEnv: "SHEETS_TALENTS_CSV_URL",
+  },
+  contracts: {
+    csvPathKey: "contractsCsvPath",
+    sheetUrlKey: "contractsSheetCsvUrl",
+    sheetEnv: "SHEETS_CONTRACTS_CSV_URL",
+  },
+  experts: {
+    csvPathKey: "expertsCsvPath",
+    sheetUrlKey: "expertsSheetCsvUrl",
+    sheetEnv: "SHEETS_EXPERTS_CSV_URL",
+  },
+};
 
 function toIsoDate(value) {
   if (!value) {
@@ -25,6 +48,9 @@ function normalizeProfile(row) {
   };
 }
 
+// What a sync writes on a profile; status and onboarding details belong to the bot
+const PROFILE_SYNC_FIELDS = Object.keys(normalizeProfile({})).filter((field) => field !== "updated_at");
+
 function normalizeKnowledge(row) {
   return {
     item_id: row.item_id || row.id || "",
@@ -52,36 +78,264 @@ async function readTextFromUrl(url, fetchImpl = fetch) {
   return response.text();
 }
 
+const PLAN_TTL_MS = 30 * 60 * 1000;
+const CASTING_ENTITIES = Object.keys(CASTING_SOURCES);
+
+// Fields compared per entity; profile updated_at is stamped on every sync, so it never counts
+function diffFields(entity, records) {
+  const fields = entity in CASTING_SOURCES ? ENTITY_FIELDS[entity] : Object.keys(records[0] || {});
+  return fields.filter((field) => !(entity === "profiles" && field === "updated_at"));
+}
+
+function entityKey(entity) {
+  if (entity === "profiles") {
+    return "line_user_id";
+  }
+  if (entity === "knowledge") {
+    return "item_id";
+  }
+  return ENTITY_KEYS[entity];
+}
+
+// The stored values a plan depends on. Casting entities are swapped whole, so every compared
+// field of every row counts. Profiles and knowledge are upserted, so only the compared fields
+// of the rows the plan adds or changes do: a follow, unfollow or onboarding answer elsewhere
+// does not make the plan stale.
+function planBase(entity, rows, fields, diff) {
+  const key = entityKey(entity);
+  const keys = entity in CASTING_SOURCES
+    ? null
+    : new Set([...diff.added.map((entry) => entry.key), ...diff.changed.map((change) => change.key)]);
+  return fingerprint(rows
+    .filter((row) => !keys || keys.has(row[key]))
+    .map((row) => [row[key], ...fields.map((field) => (row[field] == null ? "" : row[field]))])
+    .sort(([a], [b]) => String(a).localeCompare(String(b))));
+}
+
+function summarizeDiff(diff, validated, withRemovals) {
+  const summary = {
+    imported: diff.added.length,
+    updated: diff.changed.length,
+    failed: validated.total - validated.records.length,
+  };
+  if (withRemovals) {
+    summary.removed = diff.removed.length;
+  }
+  return summary;
+}
+
+function publicPlan(plan) {
+  const entities = {};
+  for (const [entity, part] of Object.entries(plan.entities)) {
+    entities[entity] = part.diff;
+  }
+  return {
+    planId: plan.planId,
+    source: plan.source,
+    createdAt: plan.createdAt,
+    expiresAt: plan.expiresAt,
+    entities,
+    ...plan.summary,
+  };
+}
+
 class ProfileSyncService {
   constructor(options) {
     this.config = options.config;
     this.repository = options.repository;
+    this.castingDataStore = options.castingDataStore || null;
+    this.dataVersions = options.dataVersions || null;
     this.fetchImpl = options.fetchImpl || fetch;
   }
 
-  async sync(source = "csv") {
+  // Fetches, validates and applies in one go. With `dryRun` only the plan is stored (in the
+  // repository, so any instance can apply it); the returned planId can be passed to apply() to
+  // commit exactly the previewed diff.
+  async sync(source = "csv", options = {}) {
+    const plan = await this.#plan(source);
+    if (options.dryRun) {
+      this.repository.saveSyncPlan(plan);
+      return { dryRun: true, ...publicPlan(plan) };
+    }
+    return this.#apply(plan);
+  }
+
+  async apply(planId) {
+    const plan = this.repository.takeSyncPlan(planId);
+    if (!plan) {
+      const error = new Error(`Sync plan ${planId} not found or expired; run a dry run again`);
+      error.code = "plan_not_found";
+      throw error;
+    }
+    return this.#apply(plan);
+  }
+
+  // Everything is fetched and validated before anything is written, so a failed fetch leaves
+  // the bot on its previous data
+  async #plan(source) {
     const normalizedSource = source === "sheet" ? "sheet" : "csv";
 
-    const [profilesText, knowledgeText] = await Promise.all([
+    const [profilesText, knowledgeText, casting] = await Promise.all([
       this.#loadProfiles(normalizedSource),
       this.#loadKnowledge(normalizedSource),
+      this.#loadCasting(normalizedSource),
     ]);
 
-    const profiles = parseCsv(profilesText).map(normalizeProfile);
-    const knowledgeItems = parseCsv(knowledgeText).map(normalizeKnowledge);
+    const validated = {
+      profiles: validateCsv("profiles", profilesText),
+      knowledge: validateCsv("knowledge", knowledgeText),
+      ...(casting || {}),
+    };
+    const records = {
+      profiles: validated.profiles.records.map(normalizeProfile),
+      knowledge: validated.knowledge.records.map(normalizeKnowledge),
+    };
+    for (const entity of Object.keys(casting || {})) {
+      records[entity] = validated[entity].records.map((record) => normalizeRecord(entity, record));
+    }
 
-    const profileSummary = this.repository.upsertProfiles(profiles);
-    const knowledgeSummary = this.repository.upsertKnowledge(knowledgeItems);
+    const entities = {};
+    for (const [entity, next] of Object.entries(records)) {
+      const current = this.#currentRows(entity);
+      const isCasting = entity in CASTING_SOURCES;
+      const fields = diffFields(entity, next);
+      const diff = diffRecords(current, next, {
+        key: entityKey(entity),
+        fields,
+        removals: isCasting,
+      });
+      entities[entity] = {
+        diff,
+        records: next,
+        fields,
+        base: planBase(entity, current, fields, diff),
+        summary: summarizeDiff(diff, validated[entity], isCasting),
+      };
+    }
 
+    const summaries = Object.values(entities).map((part) => part.summary);
+    const createdAt = new Date();
     return {
-      imported: profileSummary.imported + knowledgeSummary.imported,
-      updated: profileSummary.updated + knowledgeSummary.updated,
-      failed: profileSummary.failed + knowledgeSummary.failed,
-      profileSummary,
-      knowledgeSummary,
+      planId: createId("sync"),
+      source: normalizedSource,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + PLAN_TTL_MS).toISOString(),
+      entities,
+      summary: {
+        imported: summaries.reduce((total, summary) => total + summary.imported, 0),
+        updated: summaries.reduce((total, summary) => total + summary.updated, 0),
+        failed: summaries.reduce((total, summary) => total + summary.failed, 0),
+        profileSummary: entities.profiles.summary,
+        knowledgeSummary: entities.knowledge.summary,
+        talentSummary: entities.talents ? entities.talents.summary : null,
+        contractSummary: entities.contracts ? entities.contracts.summary : null,
+        expertSummary: entities.experts ? entities.experts.summary : null,
+        skipped: this.castingDataStore
+          ? CASTING_ENTITIES.filter((entity) => !entities[entity])
+            .map((entity) => ({ entity, reason: `${CASTING_SOURCES[entity].sheetEnv} is not set` }))
+          : [],
+        errors: Object.values(validated).flatMap((result) => result.errors),
+      },
     };
   }
 
+  // Commits the plan's diff. Casting entities are swapped in one step; profiles and knowledge
+  // get the added and changed rows merged over what is stored, so fields the CSV does not
+  // carry (such as onboarding answers) are kept.
+  #apply(plan) {
+    const stale = Object.entries(plan.entities)
+      .filter(([entity, part]) => planBase(entity, this.#currentRows(entity), part.fields, part.diff) !== part.base)
+      .map(([entity]) => entity);
+    if (stale.length > 0) {
+      const error = new Error(`Data changed since the plan was made (${stale.join(", ")}); run a dry run again`);
+      error.code = "plan_stale";
+      throw error;
+    }
+
+    // Entities the plan skipped keep the data served now
+    const { entities } = plan;
+    const casting = CASTING_ENTITIES.filter((entity) => entities[entity]);
+    if (casting.length > 0) {
+      this.castingDataStore.replace(
+        Object.fromEntries(casting.map((entity) => [entity, entities[entity].records])),
+        plan.source
+      );
+    }
+
+    this.repository.upsertProfiles(this.#upserts("profiles", entities.profiles));
+    this.repository.upsertKnowledge(this.#upserts("knowledge", entities.knowledge));
+
+    const versionId = this.dataVersions
+      ? this.dataVersions.capture({ source: plan.source, planId: plan.planId })
+      : null;
+
+    return {
+      planId: plan.planId,
+      applied: true,
+      versionId,
+      ...plan.summary,
+    };
+  }
+
+  #upserts(entity, part) {
+    const key = entityKey(entity);
+    const stored = new Map(this.#currentRows(entity).map((row) => [row[key], row]));
+    const changedKeys = new Set(part.diff.changed.map((change) => change.key));
+
+    return [
+      ...part.diff.added.map((entry) => entry.record),
+      ...part.records
+        .filter((record) => changedKeys.has(record[key]))
+        .map((record) => ({ ...stored.get(record[key]), ...record })),
+    ];
+  }
+
+  #currentRows(entity) {
+    if (entity === "profiles") {
+      return this.repository.listProfiles();
+    }
+    if (entity === "knowledge") {
+      return this.repository.listKnowledge();
+    }
+    return this.castingDataStore[entity];
+  }
+
+  async #loadCasting(source) {
+    if (!this.castingDataStore) {
+      return null;
+    }
+
+    const texts = await Promise.all(CASTING_ENTITIES.map((entity) => this.#loadCastingText(entity, source)));
+    const results = {};
+
+    CASTING_ENTITIES.forEach((entity, index) => {
+      if (texts[index] !== null) {
+        results[entity] = validateCsv(entity, texts[index]);
+      }
+    });
+    const entities = Object.keys(results);
+
+    // An empty or unreadable sheet would wipe the bot's data; refuse rather than apply it
+    const empty = entities.filter((entity) => results[entity].records.length === 0);
+    if (empty.length > 0) {
+      const error = new Error(`No valid ${empty.join(", ")} rows in ${source} source; casting data left unchanged`);
+      error.errors = empty.flatMap((entity) => results[entity].errors);
+      throw error;
+    }
+    return results;
+  }
+
+  // Null for a sheet that is not configured: deployments that only sync profiles and knowledge
+  // from sheets keep their casting data, and the entity is reported as skipped
+  async #loadCastingText(entity, source) {
+    const { csvPathKey, sheetUrlKey } = CASTING_SOURCES[entity];
+    if (source === "sheet") {
+      const url = this.config.sync[sheetUrlKey];
+      return url ? readTextFromUrl(url, this.fetchImpl) : null;
+    }
+    return readTextFromLocal(this.config.sync[csvPathKey]);
+  }
+
   async #loadProfiles(source) {
     if (source === "sheet") {
       const url = this.config.sync.profilesSheetCsvUrl;
@@ -123,4 +377,5 @@ module.exports = {
   ProfileSyncService,
   normalizeProfile,
   normalizeKnowledge,
+  PROFILE_SYNC_FIELDS,
 };
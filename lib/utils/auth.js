@@ -10,6 +10,20 @@ function isAuthorizedAdmin(req, config) {
   return String(provided || "") === String(expected);
 }
 
+// Query API callers authenticate with "Authorization: Bearer <QUERY_API_KEY>" or with the admin key
+// in x-admin-key (the admin key is not accepted as a bearer token); only then is the `userId`
+// they send trusted as a staff identity
+function isAuthenticatedQuery(req, config) {
+  const token = config.query.apiKey;
+  const bearer = String(getHeader(req, "authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (token && bearer && bearer[1].trim() === String(token)) {
+    return true;
+  }
+  const adminKey = config.admin.apiKey;
+  return Boolean(adminKey) && String(getHeader(req, "x-admin-key") || "") === String(adminKey);
+}
+
 module.exports = {
   isAuthorizedAdmin,
+  isAuthenticatedQuery,
 };
@@ -1,8 +1,12 @@
-function parseCsv(text) {
+// Splits CSV text into rows of cells, remembering the (1-based) line each row starts on so
+// import errors can point at the sheet row even when quoted cells span several lines
+function tokenizeCsv(text) {
   const rows = [];
   let row = [];
   let value = "";
   let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
 
   function pushValue() {
     row.push(value);
@@ -14,7 +18,7 @@ function parseCsv(text) {
       row = [];
       return;
     }
-    rows.push(row);
+    rows.push({ cells: row, line: rowLine });
     row = [];
   }
 
@@ -30,6 +34,9 @@ function parseCsv(text) {
           inQuotes = false;
         }
       } else {
+        if (char === "\n") {
+          line += 1;
+        }
         value += char;
       }
       continue;
@@ -48,6 +55,8 @@ function parseCsv(text) {
     if (char === "\n") {
       pushValue();
       pushRow();
+      line += 1;
+      rowLine = line;
       continue;
     }
 
@@ -63,18 +72,31 @@ function parseCsv(text) {
     pushRow();
   }
 
+  return rows;
+}
+
+// Records plus the line each came from: { headers, rows: [{ line, record }] }
+function parseCsvRows(text) {
+  const rows = tokenizeCsv(text);
   if (rows.length === 0) {
-    return [];
+    return { headers: [], rows: [] };
   }
 
-  const headers = rows[0].map((header) => header.trim());
-  return rows.slice(1).map((cells) => {
-    const record = {};
-    for (let i = 0; i < headers.length; i += 1) {
-      record[headers[i]] = (cells[i] || "").trim();
-    }
-    return record;
-  });
+  const headers = rows[0].cells.map((header) => header.trim());
+  return {
+    headers,
+    rows: rows.slice(1).map(({ cells, line }) => {
+      const record = {};
+      for (let i = 0; i < headers.length; i += 1) {
+        record[headers[i]] = (cells[i] || "").trim();
+      }
+      return { line, record };
+    }),
+  };
+}
+
+function parseCsv(text) {
+  return parseCsvRows(text).rows.map((row) => row.record);
 }
 
 function stringifyCsv(records, headers) {
@@ -105,6 +127,7 @@ function parseTagList(value) {
 
 module.exports = {
   parseCsv,
+  parseCsvRows,
   stringifyCsv,
   parseTagList,
 };
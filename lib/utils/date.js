@@ -0,0 +1,234 @@
+// Years are 19xx/20xx and digit runs may not continue past the date, so "03-1234-5678" is not one
+const FULL_DATE_REGEX = /(?<!\d)((?:19|20)\d{2})\s*(?:年\s*(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?|[-/.]\s*(\d{1,2})(?:\s*[-/.]\s*(\d{1,2}))?(?!\d))/g;
+const RANGE_TAIL_REGEX = /^\s*(?:〜|~|～|-|–|から|to|until)\s*(?:(\d{4})\s*(?:年\s*(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?|[-/.]\s*(\d{1,2})(?:\s*[-/.]\s*(\d{1,2}))?)|(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?|(\d{1,2})\s*[/.]\s*(\d{1,2}))/i;
+// "6月", "6月10日" or "6/10" without a year
+const MONTH_ONLY_REGEX = /(?<![\d年/.-])(?:(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?|(\d{1,2})\s*\/\s*(\d{1,2})(?![\d/]))/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Users are in Japan, so "today" and "this month" follow the Asia/Tokyo calendar (UTC+9, no DST)
+const TOKYO_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// Relative phrases, most specific first so 再来月 is not read as 来月
+const RELATIVE_PERIODS = [
+  { regex: /再来月|month after next/i, unit: "month", offset: 2 },
+  { regex: /来月|next month/i, unit: "month", offset: 1 },
+  { regex: /今月|this month/i, unit: "month", offset: 0 },
+  { regex: /再来週|week after next/i, unit: "week", offset: 2 },
+  { regex: /来週|next week/i, unit: "week", offset: 1 },
+  { regex: /今週|this week/i, unit: "week", offset: 0 },
+  { regex: /来年|next year/i, unit: "year", offset: 1 },
+  { regex: /今年|this year/i, unit: "year", offset: 0 },
+  { regex: /明日|tomorrow/i, unit: "day", offset: 1 },
+  { regex: /今日|本日|today/i, unit: "day", offset: 0 },
+];
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toIsoDateString(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (
+    !Number.isFinite(date.getTime()) ||
+    date.getUTCFullYear() !== Number(year) ||
+    date.getUTCMonth() !== Number(month) - 1 ||
+    date.getUTCDate() !== Number(day)
+  ) {
+    return "";
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+}
+
+// A date without a day covers the whole month: start of month for "from", end of month for "until"
+function toBoundary(year, month, day, edge) {
+  if (!month) {
+    return "";
+  }
+  if (day) {
+    return toIsoDateString(year, month, day);
+  }
+  return toIsoDateString(year, month, edge === "end" ? lastDayOfMonth(year, month) : 1);
+}
+
+// A Date whose UTC fields read as the wall-clock date and time in Tokyo
+function tokyoCalendar(now) {
+  return new Date(now.getTime() + TOKYO_OFFSET_MS);
+}
+
+function relativePeriod(unit, offset, now) {
+  const local = tokyoCalendar(now);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+  if (unit === "year") {
+    return { start: toIsoDateString(year + offset, 1, 1), end: toIsoDateString(year + offset, 12, 31) };
+  }
+  if (unit === "month") {
+    const first = new Date(Date.UTC(year, month - 1 + offset, 1));
+    const targetYear = first.getUTCFullYear();
+    const targetMonth = first.getUTCMonth() + 1;
+    return { start: toBoundary(targetYear, targetMonth, null, "start"), end: toBoundary(targetYear, targetMonth, null, "end") };
+  }
+  const today = toIsoDate(local);
+  if (unit === "week") {
+    // Weeks run Monday to Sunday
+    const monday = addDays(today, -((local.getUTCDay() + 6) % 7) + offset * 7);
+    return { start: monday, end: addDays(monday, 6) };
+  }
+  const day = addDays(today, offset);
+  return { start: day, end: day };
+}
+
+// "6月", "6月10日" or "6/10" without a year means the next such date, this year or next
+function extractMonthPeriod(source, now) {
+  const match = source.match(MONTH_ONLY_REGEX);
+  if (!match) {
+    return null;
+  }
+  const month = match[1] || match[3];
+  const local = tokyoCalendar(now);
+  const currentMonth = local.getUTCMonth() + 1;
+  const year = local.getUTCFullYear() + (Number(month) < currentMonth ? 1 : 0);
+  return { match, year, month, day: match[2] || match[4] };
+}
+
+// A range whose end comes before its start is a typo to ask about, not a one-day window
+function rangePeriod(start, end, text) {
+  if (end < start) {
+    return { start: null, end: null, invalid: text.trim(), reason: "end_before_start" };
+  }
+  return { start, end };
+}
+
+// Explicit dates win; otherwise relative phrases (来月, next week, ...) and bare months are
+// resolved against `now`
+function extractCampaignPeriod(text, now = new Date()) {
+  // Full-width digits and separators ("２０２５／６／１") read like their ASCII forms
+  const source = String(text || "").normalize("NFKC");
+  FULL_DATE_REGEX.lastIndex = 0;
+  const match = FULL_DATE_REGEX.exec(source);
+  if (!match) {
+    return extractImplicitPeriod(source, now);
+  }
+
+  const year = match[1];
+  const month = match[2] || match[4];
+  const day = match[3] || match[5];
+  const start = toBoundary(year, month, day, "start");
+  if (!start) {
+    // "2026年2月30日" is a date the user meant, just not a real one; callers ask again
+    return { start: null, end: null, invalid: match[0].trim() };
+  }
+
+  const tail = source.slice(match.index + match[0].length).match(RANGE_TAIL_REGEX);
+  if (tail) {
+    const endYear = tail[1] || year;
+    const endMonth = tail[2] || tail[4] || tail[6] || tail[8];
+    const endDay = tail[3] || tail[5] || tail[7] || tail[9];
+    const end = toBoundary(endYear, endMonth, endDay, "end");
+    if (end) {
+      return rangePeriod(start, end, match[0] + tail[0]);
+    }
+  }
+
+  return { start, end: toBoundary(year, month, day, "end") };
+}
+
+function extractImplicitPeriod(source, now) {
+  const monthPeriod = extractMonthPeriod(source, now);
+  if (monthPeriod) {
+    const { match, year, month, day } = monthPeriod;
+    const start = toBoundary(year, month, day, "start");
+    if (!start) {
+      return { start: null, end: null, invalid: match[0].trim() };
+    }
+    const tail = source.slice(match.index + match[0].length).match(RANGE_TAIL_REGEX);
+    if (tail) {
+      const endMonth = tail[2] || tail[4] || tail[6] || tail[8];
+      const endDay = tail[3] || tail[5] || tail[7] || tail[9];
+      // "11月〜2月" wraps into the following year
+      const endYear = tail[1] || (Number(endMonth) < Number(month) ? year + 1 : year);
+      const end = toBoundary(endYear, endMonth, endDay, "end");
+      if (end) {
+        return rangePeriod(start, end, match[0] + tail[0]);
+      }
+    }
+    return { start, end: toBoundary(year, month, day, "end") };
+  }
+
+  const relative = RELATIVE_PERIODS.find((entry) => entry.regex.test(source));
+  return relative ? relativePeriod(relative.unit, relative.offset, now) : null;
+}
+
+function toIsoDate(value) {
+  if (!value) {
+    return "";
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (!Number.isFinite(date.getTime())) {
+    return "";
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Strict: "2026-02-30" is rejected instead of rolling over into March
+function isValidDate(value) {
+  const parts = String(value || "").match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (parts) {
+    return Boolean(toIsoDateString(parts[1], parts[2], parts[3]));
+  }
+  return Boolean(toIsoDate(value));
+}
+
+// What is wrong with a period as { value, reason }, or null when it is usable. Reasons are
+// "unreadable" (not a real date) and "end_before_start".
+function invalidPeriod(period) {
+  if (!period) {
+    return null;
+  }
+  if (period.invalid) {
+    return { value: period.invalid, reason: period.reason || "unreadable" };
+  }
+  const unreadable = [period.start, period.end].find((value) => value && !isValidDate(value));
+  if (unreadable) {
+    return { value: unreadable, reason: "unreadable" };
+  }
+  if (period.start && period.end && toIsoDate(period.end) < toIsoDate(period.start)) {
+    return { value: `${period.start}〜${period.end}`, reason: "end_before_start" };
+  }
+  return null;
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  return toIsoDate(new Date(date.getTime() + days * DAY_MS));
+}
+
+// Missing bounds default to "today", so a check without dates means "active right now"
+function normalizePeriod(period, now = new Date()) {
+  const today = toIsoDate(now);
+  const start = toIsoDate(period && period.start) || today;
+  const end = toIsoDate(period && period.end) || start;
+  return end < start ? { start: end, end: start } : { start, end };
+}
+
+function periodsOverlap(a, b) {
+  const aStart = a.start || "0000-01-01";
+  const aEnd = a.end || "9999-12-31";
+  const bStart = b.start || "0000-01-01";
+  const bEnd = b.end || "9999-12-31";
+  return aStart <= bEnd && bStart <= aEnd;
+}
+
+module.exports = {
+  toIsoDateString,
+  toIsoDate,
+  isValidDate,
+  invalidPeriod,
+  addDays,
+  extractCampaignPeriod,
+  normalizePeriod,
+  periodsOverlap,
+};
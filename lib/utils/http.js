@@ -67,6 +67,16 @@ async function parseJsonBody(req) {
   }
 }
 
+function getQueryParam(req, name) {
+  if (req && req.query && req.query[name] !== undefined) {
+    const value = req.query[name];
+    return Array.isArray(value) ? value[0] : value;
+  }
+  const url = new URL((req && req.url) || "/", "http://localhost");
+  const value = url.searchParams.get(name);
+  return value === null ? undefined : value;
+}
+
 function sendJson(res, statusCode, payload) {
   res.statusCode = statusCode;
   res.setHeader("content-type", "application/json; charset=utf-8");
@@ -84,6 +94,7 @@ function sendMethodNotAllowed(res, allowed) {
 module.exports = {
   getHeader,
   getRawBody,
+  getQueryParam,
   parseJsonBody,
   sendJson,
   sendMethodNotAllowed,
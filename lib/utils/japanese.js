@@ -0,0 +1,149 @@
+const KANA_ROMAJI = {
+  あ: "a", い: "i", う: "u", え: "e", お: "o",
+  か: "ka", き: "ki", く: "ku", け: "ke", こ: "ko",
+  さ: "sa", し: "shi", す: "su", せ: "se", そ: "so",
+  た: "ta", ち: "chi", つ: "tsu", て: "te", と: "to",
+  な: "na", に: "ni", ぬ: "nu", ね: "ne", の: "no",
+  は: "ha", ひ: "hi", ふ: "fu", へ: "he", ほ: "ho",
+  ま: "ma", み: "mi", む: "mu", め: "me", も: "mo",
+  や: "ya", ゆ: "yu", よ: "yo",
+  ら: "ra", り: "ri", る: "ru", れ: "re", ろ: "ro",
+  わ: "wa", ゐ: "i", ゑ: "e", を: "o", ん: "n",
+  が: "ga", ぎ: "gi", ぐ: "gu", げ: "ge", ご: "go",
+  ざ: "za", じ: "ji", ず: "zu", ぜ: "ze", ぞ: "zo",
+  だ: "da", ぢ: "ji", づ: "zu", で: "de", ど: "do",
+  ば: "ba", び: "bi", ぶ: "bu", べ: "be", ぼ: "bo",
+  ぱ: "pa", ぴ: "pi", ぷ: "pu", ぺ: "pe", ぽ: "po",
+  ゔ: "vu",
+  ぁ: "a", ぃ: "i", ぅ: "u", ぇ: "e", ぉ: "o",
+  ゃ: "ya", ゅ: "yu", ょ: "yo", ゎ: "wa",
+};
+
+const YOON_ROMAJI = {
+  きゃ: "kya", きゅ: "kyu", きょ: "kyo",
+  しゃ: "sha", しゅ: "shu", しょ: "sho", しぇ: "she",
+  ちゃ: "cha", ちゅ: "chu", ちょ: "cho", ちぇ: "che",
+  にゃ: "nya", にゅ: "nyu", にょ: "nyo",
+  ひゃ: "hya", ひゅ: "hyu", ひょ: "hyo",
+  みゃ: "mya", みゅ: "myu", みょ: "myo",
+  りゃ: "rya", りゅ: "ryu", りょ: "ryo",
+  ぎゃ: "gya", ぎゅ: "gyu", ぎょ: "gyo",
+  じゃ: "ja", じゅ: "ju", じょ: "jo", じぇ: "je",
+  びゃ: "bya", びゅ: "byu", びょ: "byo",
+  ぴゃ: "pya", ぴゅ: "pyu", ぴょ: "pyo",
+  ふぁ: "fa", ふぃ: "fi", ふぇ: "fe", ふぉ: "fo",
+  てぃ: "ti", でぃ: "di", うぃ: "wi", うぇ: "we", うぉ: "wo",
+};
+
+const KANA_REGEX = /[ぁ-ゖァ-ヺー]/;
+const LATIN_REGEX = /[a-z]/;
+
+function toHiragana(text) {
+  return String(text || "").replace(/[ァ-ヶ]/g, (char) =>
+    String.fromCharCode(char.charCodeAt(0) - 0x60)
+  );
+}
+
+// NFKC folds half-width katakana and full-width ASCII; separators and punctuation are dropped
+function normalizeJapanese(text) {
+  return toHiragana(String(text || "").normalize("NFKC"))
+    .toLowerCase()
+    .replace(/[\s・･.,、。'"`’\-_/()（）「」]+/g, "")
+    .trim();
+}
+
+function kanaToRomaji(text) {
+  const hiragana = toHiragana(String(text || "").normalize("NFKC"));
+  let output = "";
+
+  for (let i = 0; i < hiragana.length; i += 1) {
+    const pair = hiragana.slice(i, i + 2);
+    if (YOON_ROMAJI[pair]) {
+      output += YOON_ROMAJI[pair];
+      i += 1;
+      continue;
+    }
+
+    const char = hiragana[i];
+    if (char === "っ") {
+      const next = YOON_ROMAJI[hiragana.slice(i + 1, i + 3)] || KANA_ROMAJI[hiragana[i + 1]] || "";
+      output += next.charAt(0) === "c" ? "t" : next.charAt(0);
+      continue;
+    }
+
+    if (char === "ー") {
+      output += output.slice(-1);
+      continue;
+    }
+
+    output += KANA_ROMAJI[char] || char;
+  }
+
+  return output;
+}
+
+// Collapses Hepburn spelling variants so "Shou", "Shoo" and "Sho" compare equal
+function normalizeRomaji(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/ou|oo|oh(?![aiueo])/g, "o")
+    .replace(/uu/g, "u")
+    .replace(/ee/g, "e")
+    .replace(/aa/g, "a")
+    .replace(/ii/g, "i")
+    .replace(/nn/g, "n")
+    .replace(/m(?=[bmp])/g, "n");
+}
+
+function isKanaOnly(text) {
+  const normalized = normalizeJapanese(text);
+  return Boolean(normalized) && [...normalized].every((char) => KANA_REGEX.test(char));
+}
+
+function isLatin(text) {
+  const normalized = normalizeJapanese(text);
+  return Boolean(normalized) && [...normalized].every((char) => LATIN_REGEX.test(char));
+}
+
+function editDistance(a, b) {
+  const left = [...String(a || "")];
+  const right = [...String(b || "")];
+  if (left.length === 0) {
+    return right.length;
+  }
+  if (right.length === 0) {
+    return left.length;
+  }
+
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+function similarity(a, b) {
+  const length = Math.max([...String(a || "")].length, [...String(b || "")].length);
+  if (length === 0) {
+    return 0;
+  }
+  return 1 - editDistance(a, b) / length;
+}
+
+module.exports = {
+  toHiragana,
+  normalizeJapanese,
+  kanaToRomaji,
+  normalizeRomaji,
+  isKanaOnly,
+  isLatin,
+  editDistance,
+  similarity,
+};
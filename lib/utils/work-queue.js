@@ -0,0 +1,73 @@
+// Vercel may freeze a function as soon as its response is sent; waitUntil from
+// @vercel/functions keeps it running until the given promise settles. Null elsewhere, where the
+// process outlives the response anyway.
+function loadWaitUntil() {
+  try {
+    return require("@vercel/functions").waitUntil || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// In-process queue for work that must not hold up an HTTP response.
+// Concurrency 1 by default so events from one chat are handled in arrival order.
+class WorkQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.waitUntil = options.waitUntil || null;
+    this.pending = [];
+    this.active = 0;
+    this.idleWaiters = [];
+  }
+
+  get size() {
+    return this.pending.length + this.active;
+  }
+
+  // Resolves with the task's result; failures are logged and resolve to null so one bad event
+  // never stalls the rest of the queue
+  enqueue(task, label = "task") {
+    const done = new Promise((resolve) => {
+      this.pending.push({ task, label, resolve });
+      this.#drain();
+    });
+    if (this.waitUntil) {
+      this.waitUntil(done);
+    }
+    return done;
+  }
+
+  onIdle() {
+    if (this.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  #drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.active += 1;
+
+      Promise.resolve()
+        .then(job.task)
+        .catch((error) => {
+          console.error(JSON.stringify({ tag: "work_queue_error", label: job.label, message: error.message }));
+          return null;
+        })
+        .then((result) => {
+          this.active -= 1;
+          job.resolve(result);
+          this.#drain();
+          if (this.size === 0) {
+            this.idleWaiters.splice(0).forEach((resolve) => resolve());
+          }
+        });
+    }
+  }
+}
+
+module.exports = {
+  WorkQueue,
+  loadWaitUntil,
+};
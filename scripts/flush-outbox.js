@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+const { loadConfig } = require("../lib/config");
+const { createContainer, requireSharedStorage } = require("../lib/container");
+
+async function main() {
+  const config = loadConfig(process.env);
+  requireSharedStorage(config, "outbox:flush", "POST /api/admin/outbox with { \"action\": \"flush\" }");
+  const container = createContainer({ config });
+  const result = await container.outbox.flush();
+  console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
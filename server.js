@@ -34,6 +34,11 @@ const draftSentences = require("./api/manager/draft-sentences");
 const profilesSync = require("./api/admin/profiles/sync");
 const retentionCleanup = require("./api/admin/retention-cleanup");
 const linePush = require("./api/admin/line/push");
+const dataVersions = require("./api/admin/data/versions");
+const dataRollback = require("./api/admin/data/rollback");
+const escalations = require("./api/admin/escalations");
+const escalationSla = require("./api/admin/escalations/sla");
+const outbox = require("./api/admin/outbox");
 
 // MIME types for static files
 const MIME_TYPES = {
@@ -54,6 +59,14 @@ const routes = {
     "POST /api/admin/profiles/sync": profilesSync,
     "POST /api/admin/retention-cleanup": retentionCleanup,
     "POST /api/admin/line/push": linePush,
+    "GET /api/admin/data/versions": dataVersions,
+    "POST /api/admin/data/rollback": dataRollback,
+    "GET /api/admin/escalations": escalations,
+    "POST /api/admin/escalations": escalations,
+    "GET /api/admin/escalations/sla": escalationSla,
+    "POST /api/admin/escalations/sla": escalationSla,
+    "GET /api/admin/outbox": outbox,
+    "POST /api/admin/outbox": outbox,
 };
 
 // Create a mock response object compatible with Vercel handlers
@@ -170,6 +183,14 @@ server.listen(PORT, () => {
 ║   • POST /api/admin/profiles/sync                         ║
 ║   • POST /api/admin/retention-cleanup                     ║
 ║   • POST /api/admin/line/push                             ║
+║   • GET  /api/admin/data/versions                         ║
+║   • POST /api/admin/data/rollback                         ║
+║   • GET  /api/admin/escalations                           ║
+║   • POST /api/admin/escalations                           ║
+║   • GET  /api/admin/escalations/sla                       ║
+║   • POST /api/admin/escalations/sla                       ║
+║   • GET  /api/admin/outbox                                ║
+║   • POST /api/admin/outbox                                ║
 ║                                                           ║
 ║   Press Ctrl+C to stop                                    ║
 ╚═══════════════════════════════════════════════════════════╝
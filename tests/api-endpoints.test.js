@@ -1,10 +1,23 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { createContainer } = require("../lib/container");
 const { createLineSignature } = require("../lib/line/signature");
 const { createWebhookHandler } = require("../api/line/webhook");
 const { createDraftHandler } = require("../api/manager/draft-sentences");
 const { createProfileSyncHandler } = require("../api/admin/profiles/sync");
+const { createQueryHandler } = require("../api/casting/query");
+const { createAlertsHandler } = require("../api/contracts/alerts");
+const { createDataVersionsHandler } = require("../api/admin/data/versions");
+const { createDataRollbackHandler } = require("../api/admin/data/rollback");
+const { createEscalationsHandler } = require("../api/admin/escalations");
+const { createSlaHandler } = require("../api/admin/escalations/sla");
+const { createOutboxHandler } = require("../api/admin/outbox");
+const { StaffDirectory } = require("../lib/services/staff-directory");
+const { HandoffStore } = require("../lib/storage/handoff-store");
+const { WorkQueue } = require("../lib/utils/work-queue");
 const { createMockReq, createMockRes, parseJsonBody } = require("./helpers/http");
 
 test("Signature verification rejects invalid requests", async () => {
@@ -114,3 +127,1294 @@ test("Profile sync endpoint imports CSV data", async () => {
   assert.equal(res.statusCode, 200);
   assert.ok(json.imported > 0 || json.updated > 0);
 });
+
+test("Profile sync imports talents, contracts and experts from sheets in one swap", async () => {
+  const sheets = {
+    "https://sheets.test/profiles.csv": "line_user_id,display_name\nU1001,Yuki\n",
+    "https://sheets.test/knowledge.csv": "item_id,category,title\nK001,casting,Guide\n",
+    "https://sheets.test/talents.csv": [
+      "talent_id,name,name_en,risk_level",
+      "T001,田中太郎,Taro Tanaka,低",
+      "T950,新人一郎,Ichiro Shinjin,低",
+      ",名無し,,低",
+    ].join("\n"),
+    "https://sheets.test/contracts.csv": [
+      "contract_id,talent_name,client_name,brand,category,start_date,end_date,exclusivity_type",
+      "C950,新人一郎,花王,メリット,シャンプー,2026-01-01,2027-12-31,カテゴリ独占",
+    ].join("\n"),
+    "https://sheets.test/experts.csv": "expert_id,name,department\nE001,山田花子,タレント第一部\n",
+  };
+  let failContracts = false;
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+      SHEETS_PROFILES_CSV_URL: "https://sheets.test/profiles.csv",
+      SHEETS_KNOWLEDGE_CSV_URL: "https://sheets.test/knowledge.csv",
+      SHEETS_TALENTS_CSV_URL: "https://sheets.test/talents.csv",
+      SHEETS_CONTRACTS_CSV_URL: "https://sheets.test/contracts.csv",
+      SHEETS_EXPERTS_CSV_URL: "https://sheets.test/experts.csv",
+    },
+    fetchImpl: async (url) => {
+      const ok = !(failContracts && url.endsWith("contracts.csv"));
+      return { ok, status: ok ? 200 : 500, text: async () => sheets[url] };
+    },
+  });
+  const handler = createProfileSyncHandler(() => container);
+  const runSync = async () => {
+    const res = createMockRes();
+    await handler(createMockReq({
+      method: "POST",
+      headers: { "x-admin-key": "admin-test-key" },
+      body: { source: "sheet" },
+    }), res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+
+  const before = container.castingDataStore.describe().counts;
+  const synced = await runSync();
+  assert.equal(synced.status, 200);
+  assert.deepEqual(synced.json.talentSummary, { imported: 1, updated: 1, failed: 1, removed: before.talents - 1 });
+  assert.deepEqual(synced.json.errors, [
+    { entity: "talents", line: 4, column: "talent_id", value: "", reason: "required value is empty" },
+  ]);
+  assert.equal(synced.json.contractSummary.imported, 1);
+  assert.equal(synced.json.expertSummary.updated, 1);
+  assert.equal(container.castingService.findTalent("新人一郎").talent_id, "T950");
+  assert.equal(container.contractAlertService.contracts.length, 1);
+
+  // A failing sheet aborts the whole sync and the bot keeps serving the last good data
+  sheets["https://sheets.test/talents.csv"] = "talent_id,name\nT951,別人\n";
+  failContracts = true;
+  const failed = await runSync();
+  assert.equal(failed.status, 500);
+  assert.equal(failed.json.error, "sync_failed");
+  assert.equal(container.castingService.getTalentById("T950").name, "新人一郎");
+  assert.equal(container.castingService.getTalentById("T951"), null);
+});
+
+test("Sheet sync without casting sheet URLs syncs profiles and knowledge and skips casting data", async () => {
+  const sheets = {
+    "https://sheets.test/profiles.csv": "line_user_id,display_name\nU1001,Yuki\n",
+    "https://sheets.test/knowledge.csv": "item_id,category,title\nK001,casting,Guide\n",
+    "https://sheets.test/talents.csv": "talent_id,name,risk_level\nT950,新人一郎,低\n",
+  };
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      SHEETS_PROFILES_CSV_URL: "https://sheets.test/profiles.csv",
+      SHEETS_KNOWLEDGE_CSV_URL: "https://sheets.test/knowledge.csv",
+      SHEETS_TALENTS_CSV_URL: "https://sheets.test/talents.csv",
+    },
+    fetchImpl: async (url) => ({ ok: true, status: 200, text: async () => sheets[url] }),
+  });
+  const contracts = container.castingDataStore.contracts;
+
+  const synced = await container.syncService.sync("sheet");
+  assert.equal(synced.applied, true);
+  assert.equal(container.repository.getProfile("U1001").display_name, "Yuki");
+  assert.deepEqual(synced.skipped, [
+    { entity: "contracts", reason: "SHEETS_CONTRACTS_CSV_URL is not set" },
+    { entity: "experts", reason: "SHEETS_EXPERTS_CSV_URL is not set" },
+  ]);
+  assert.equal(synced.contractSummary, null);
+  assert.equal(container.castingService.getTalentById("T950").name, "新人一郎");
+  assert.deepEqual(container.castingDataStore.contracts, contracts);
+});
+
+test("Profile sync dry run previews a field-level diff and applies exactly that plan", async () => {
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+    },
+  });
+  const handler = createProfileSyncHandler(() => container);
+  const post = async (body) => {
+    const res = createMockRes();
+    await handler(createMockReq({ method: "POST", headers: { "x-admin-key": "admin-test-key" }, body }), res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+
+  await post({ source: "csv" });
+  // Someone edits the data after the last sync; the CSV still holds the original values
+  const talents = container.castingDataStore.talents.map((talent) =>
+    talent.talent_id === "T001" ? { ...talent, ng_brands: "" } : talent
+  );
+  container.castingDataStore.replace({ talents: [...talents, { talent_id: "T999", name: "削除予定", risk_level: "低" }] });
+
+  const preview = await post({ source: "csv", dryRun: true });
+  assert.equal(preview.status, 200);
+  assert.equal(preview.json.dryRun, true);
+  assert.deepEqual(preview.json.entities.talents.changed, [
+    { key: "T001", fields: [{ field: "ng_brands", before: "", after: "アサヒビール|キリン" }] },
+  ]);
+  assert.deepEqual(preview.json.entities.talents.removed.map((entry) => entry.key), ["T999"]);
+  assert.equal(preview.json.entities.profiles.changed.length, 0);
+  // Nothing was written by the preview
+  assert.equal(container.castingService.getTalentById("T001").ng_brands, "");
+
+  const applied = await post({ planId: preview.json.planId });
+  assert.equal(applied.status, 200);
+  assert.equal(applied.json.applied, true);
+  assert.deepEqual(applied.json.talentSummary, { imported: 0, updated: 1, failed: 0, removed: 1 });
+  assert.equal(container.castingService.getTalentById("T001").ng_brands, "アサヒビール|キリン");
+  assert.equal(container.castingService.getTalentById("T999"), null);
+
+  assert.equal((await post({ planId: preview.json.planId })).status, 404);
+
+  // Plans are kept in the repository, so another instance (a cold start) can apply them, and
+  // follows, unfollows and onboarding answers in the meantime do not make them stale
+  container.castingDataStore.replace({ talents: talents.filter((talent) => talent.talent_id !== "T002") });
+  const pending = await post({ source: "csv", dryRun: true });
+  container.onboardingService.unfollow("U1001");
+  container.onboardingService.follow("U7001");
+  const otherInstance = createContainer({
+    env: { DISABLE_EXTERNAL_AI: "true", ADMIN_API_KEY: "admin-test-key" },
+    repository: container.repository,
+  });
+  const applyElsewhere = createProfileSyncHandler(() => otherInstance);
+  const res = createMockRes();
+  await applyElsewhere(createMockReq({
+    method: "POST",
+    headers: { "x-admin-key": "admin-test-key" },
+    body: { planId: pending.json.planId },
+  }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(parseJsonBody(res).talentSummary.imported, 1);
+  assert.equal(otherInstance.castingService.getTalentById("T002").talent_id, "T002");
+  assert.equal(container.repository.getProfile("U1001").status, "inactive");
+
+  // A plan made before another change is refused instead of overwriting it
+  const second = await post({ source: "csv", dryRun: true });
+  container.castingDataStore.replace({ experts: container.castingDataStore.experts.slice(1) });
+  const stale = await post({ planId: second.json.planId });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.json.error, "plan_stale");
+});
+
+test("Every sync stores a data version that admins can list and roll back to", async () => {
+  const sheets = {
+    "https://sheets.test/profiles.csv": "line_user_id,display_name\nU1001,Yuki\n",
+    "https://sheets.test/knowledge.csv": "item_id,category,title\nK001,casting,Guide\n",
+    "https://sheets.test/talents.csv": "talent_id,name,ng_brands,risk_level\nT001,田中太郎,アサヒビール,低\n",
+    "https://sheets.test/contracts.csv": [
+      "contract_id,talent_name,client_name,start_date,end_date",
+      "C001,田中太郎,アサヒ,2026-01-01,2026-12-31",
+    ].join("\n"),
+    "https://sheets.test/experts.csv": "expert_id,name\nE001,山田花子\n",
+  };
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+      SHEETS_PROFILES_CSV_URL: "https://sheets.test/profiles.csv",
+      SHEETS_KNOWLEDGE_CSV_URL: "https://sheets.test/knowledge.csv",
+      SHEETS_TALENTS_CSV_URL: "https://sheets.test/talents.csv",
+      SHEETS_CONTRACTS_CSV_URL: "https://sheets.test/contracts.csv",
+      SHEETS_EXPERTS_CSV_URL: "https://sheets.test/experts.csv",
+    },
+    fetchImpl: async (url) => ({ ok: true, status: 200, text: async () => sheets[url] }),
+  });
+  const call = async (createHandler, request) => {
+    const res = createMockRes();
+    await createHandler(() => container)(createMockReq({
+      headers: { "x-admin-key": "admin-test-key" },
+      ...request,
+    }), res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+  const sync = () => call(createProfileSyncHandler, { method: "POST", body: { source: "sheet" } });
+  const queryVersion = async () =>
+    (await call(createQueryHandler, { method: "POST", body: { query: "hello" } })).json.dataVersion;
+
+  container.onboardingService.follow("U1001");
+  assert.equal((await sync()).json.versionId, "v1");
+  assert.equal(await queryVersion(), "v1");
+
+  // A bad sheet edit drops the NG brand and adds a stray knowledge row
+  sheets["https://sheets.test/talents.csv"] = "talent_id,name,ng_brands,risk_level\nT001,田中太郎,,低\n";
+  sheets["https://sheets.test/knowledge.csv"] = "item_id,category,title\nK001,casting,Guide\nK002,casting,Draft\n";
+  assert.equal((await sync()).json.versionId, "v2");
+  assert.equal(container.castingService.getTalentById("T001").ng_brands, "");
+  container.onboardingService.unfollow("U1001");
+
+  const listed = await call(createDataVersionsHandler, { method: "GET" });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.json.activeVersion, "v2");
+  assert.deepEqual(listed.json.versions.map((version) => [version.version_id, version.active]), [
+    ["v2", true],
+    ["v1", false],
+  ]);
+  assert.equal(listed.json.versions[1].counts.talents, 1);
+  assert.equal(listed.json.versions[1].data, undefined);
+
+  const rolledBack = await call(createDataRollbackHandler, { method: "POST", body: { versionId: "v1" } });
+  assert.equal(rolledBack.status, 200);
+  assert.equal(rolledBack.json.previousVersionId, "v2");
+  assert.equal(container.castingService.getTalentById("T001").ng_brands, "アサヒビール");
+  assert.deepEqual(container.repository.listKnowledge().map((item) => item.item_id), ["K001"]);
+  assert.equal(await queryVersion(), "v1");
+  assert.equal(container.repository.listAuditEvents({ type: "data_rollback" }).length, 1);
+
+  // Only synced profile fields come back; the unfollow after v1 stands
+  const profile = container.repository.getProfile("U1001");
+  assert.deepEqual([profile.display_name, profile.status], ["Yuki", "inactive"]);
+
+  // The rolled-back casting data is what the next instance starts with
+  const restarted = createContainer({ env: { DISABLE_EXTERNAL_AI: "true" }, repository: container.repository });
+  assert.equal(restarted.castingService.getTalentById("T001").ng_brands, "アサヒビール");
+  assert.equal(restarted.castingDataStore.describe().versionId, "v1");
+
+  const missing = await call(createDataRollbackHandler, { method: "POST", body: { versionId: "v9" } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.json.error, "version_not_found");
+
+  // A snapshot missing part of the casting data is refused before anything is written
+  const partial = container.repository.addDataSnapshot({
+    source: "sheet",
+    data: { profiles: [], knowledge: [], talents: [] },
+  });
+  const refused = await call(createDataRollbackHandler, { method: "POST", body: { versionId: partial.version_id } });
+  assert.equal(refused.status, 422);
+  assert.equal(refused.json.error, "invalid_snapshot");
+  assert.deepEqual(container.repository.listKnowledge().map((item) => item.item_id), ["K001"]);
+  assert.equal(container.castingDataStore.describe().versionId, "v1");
+});
+
+test("Escalation API filters the queue and walks an item from assigned to closed", async () => {
+  const mirrored = [];
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+      ESCALATION_SHEET_WEBHOOK_URL: "https://sheets.test/escalations",
+    },
+    fetchImpl: async (url, init) => {
+      mirrored.push(JSON.parse(init.body));
+      return { ok: true, status: 200, text: async () => "" };
+    },
+  });
+  const first = container.repository.addEscalation({
+    line_user_id: "U1001",
+    reason_code: "sensitive",
+    created_at: "2026-10-01T09:00:00.000Z",
+  });
+  container.repository.addEscalation({
+    line_user_id: "U1002",
+    reason_code: "low_confidence",
+    created_at: "2026-10-10T09:00:00.000Z",
+  });
+
+  const handler = createEscalationsHandler(() => container);
+  const call = async (request) => {
+    const res = createMockRes();
+    await handler({ ...createMockReq({ headers: { "x-admin-key": "admin-test-key" }, ...request }), query: request.query }, res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+  const act = (body) => call({ method: "POST", body: { queueId: first.queue_id, actor: "S001", ...body } });
+
+  const sensitive = await call({ method: "GET", query: { reason_code: "sensitive" } });
+  assert.deepEqual(sensitive.json.escalations.map((item) => item.line_user_id), ["U1001"]);
+  const ranged = await call({ method: "GET", query: { from: "2026-10-05", to: "2026-10-10" } });
+  assert.deepEqual(ranged.json.escalations.map((item) => item.line_user_id), ["U1002"]);
+
+  const assigned = await act({ action: "assign", owner: "S002" });
+  assert.equal(assigned.status, 200);
+  assert.equal(assigned.json.escalation.status, "assigned");
+  assert.ok(assigned.json.escalation.assigned_at);
+  assert.deepEqual((await call({ method: "GET", query: { owner: "S002" } })).json.total, 1);
+
+  await act({ action: "note", text: "Checking with legal" });
+  const resolved = await act({ action: "resolve", resolution: "The contract allows it." });
+  assert.equal(resolved.json.escalation.resolution, "The contract allows it.");
+  const closed = await act({ action: "close" });
+  assert.equal(closed.json.escalation.status, "closed");
+  assert.ok(closed.json.escalation.closed_at);
+  assert.deepEqual(closed.json.escalation.notes.map((note) => [note.author, note.text]), [["S001", "Checking with legal"]]);
+  assert.deepEqual(
+    closed.json.escalation.history.map((entry) => [entry.action, entry.from, entry.to]),
+    [["assign", "open", "assigned"], ["note", "assigned", "assigned"], ["resolve", "assigned", "resolved"], ["close", "resolved", "closed"]]
+  );
+  assert.deepEqual(mirrored.map((item) => [item.event, item.status]), [
+    ["assigned", "assigned"],
+    ["noted", "assigned"],
+    ["resolved", "resolved"],
+    ["closed", "closed"],
+  ]);
+
+  // Closed is final, and bad requests are told apart from missing items
+  assert.equal((await act({ action: "assign", owner: "S003" })).status, 409);
+  assert.equal((await act({ action: "resolve" })).status, 400);
+  assert.equal((await call({ method: "POST", body: { queueId: "esc_missing", action: "close" } })).status, 404);
+});
+
+test("Escalation SLA checker reminds the owner, alerts the backup on breach and reports stats", async () => {
+  const pushes = [];
+  let now = new Date("2026-10-19T09:00:00.000Z");
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+      LINE_MANAGER_USER_ID: "U2001",
+      LINE_BACKUP_MANAGER_USER_ID: "U2009",
+      SLA_SENSITIVE_MINUTES: "30",
+      SLA_LOW_CONFIDENCE_MINUTES: "120",
+    },
+    lineClient: {
+      async pushText(to, text) {
+        pushes.push({ to, text });
+        return { ok: true };
+      },
+    },
+  });
+  container.slaService.now = () => now;
+  const { repository, slaService } = container;
+  const add = (reasonCode, createdAt) => repository.addEscalation({
+    line_user_id: "U9001",
+    reason_code: reasonCode,
+    created_at: createdAt,
+    sla_due_at: slaService.deadlineFor(reasonCode, createdAt),
+  });
+
+  const sensitive = add("sensitive", "2026-10-19T08:40:00.000Z");
+  const lowConfidence = add("low_confidence", "2026-10-19T08:00:00.000Z");
+  const handled = add("low_confidence", "2026-10-19T06:00:00.000Z");
+  repository.updateEscalation(handled.queue_id, { status: "closed", resolved_at: "2026-10-19T07:30:00.000Z" });
+  assert.equal(sensitive.sla_due_at, "2026-10-19T09:10:00.000Z");
+
+  const handler = createSlaHandler(() => container);
+  const call = async (method) => {
+    const res = createMockRes();
+    await handler({ ...createMockReq({ method, headers: { "x-admin-key": "admin-test-key" } }), query: {} }, res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+
+  // 10 minutes before the sensitive deadline only its owner is reminded, once
+  assert.deepEqual((await call("POST")).json, { checked: 2, reminded: 1, breached: 0, failed: 0 });
+  assert.equal(pushes[0].to, "U2001");
+  assert.ok(pushes[0].text.startsWith(`[SLA reminder] #${sensitive.ticket_id} is due in 10 min`));
+  assert.equal((await call("POST")).json.reminded, 0);
+
+  now = new Date("2026-10-19T09:15:00.000Z");
+  assert.deepEqual((await call("POST")).json, { checked: 2, reminded: 0, breached: 1, failed: 0 });
+  assert.equal(pushes[1].to, "U2009");
+  assert.ok(pushes[1].text.startsWith(`[SLA breached] #${sensitive.ticket_id} is 5 min past its deadline`));
+  assert.ok(repository.getEscalation(sensitive.queue_id).sla_breach_notified_at);
+  assert.equal(repository.getEscalation(lowConfidence.queue_id).sla_reminded_at, undefined);
+
+  const stats = await call("GET");
+  assert.equal(stats.status, 200);
+  assert.equal(stats.json.total, 3);
+  assert.equal(stats.json.breached, 1);
+  assert.deepEqual(stats.json.byReason.low_confidence, {
+    targetMinutes: 120,
+    total: 2,
+    pending: 1,
+    handled: 1,
+    onTime: 1,
+    breached: 0,
+    onTimeRate: 1,
+    averageHandlingMinutes: 90,
+    medianHandlingMinutes: 90,
+    p90HandlingMinutes: 90,
+  });
+  assert.equal(stats.json.byReason.sensitive.targetMinutes, 30);
+});
+
+test("Escalation sink and manager pushes retry through the outbox and dead-letter after the last attempt", async (t) => {
+  const deadLetterPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "outbox-")), "dead.jsonl");
+  t.after(() => fs.rmSync(path.dirname(deadLetterPath), { recursive: true, force: true }));
+  let sinkUp = false;
+  let pushUp = false;
+  const sheet = [];
+  const pushes = [];
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ADMIN_API_KEY: "admin-test-key",
+      LINE_MANAGER_USER_ID: "U2001",
+      ESCALATION_SHEET_WEBHOOK_URL: "https://sheets.test/escalations",
+      OUTBOX_MAX_ATTEMPTS: "2",
+      OUTBOX_RETRY_BASE_SECONDS: "60",
+      OUTBOX_DEAD_LETTER_PATH: deadLetterPath,
+    },
+    fetchImpl: async (url, init) => {
+      if (sinkUp) {
+        sheet.push(JSON.parse(init.body));
+      }
+      return { ok: sinkUp, status: sinkUp ? 200 : 503, text: async () => "unavailable" };
+    },
+    lineClient: {
+      async pushText(to, text) {
+        if (!pushUp) {
+          throw new Error("LINE API failed (500)");
+        }
+        pushes.push({ to, text });
+        return { ok: true };
+      },
+    },
+  });
+  let now = new Date("2026-10-19T09:00:00.000Z");
+  container.outbox.now = () => now;
+
+  const result = await container.assistantService.handleLineMessageEvent({
+    webhookEventId: "evt_outbox_1",
+    source: { type: "user", userId: "U9001" },
+    message: { type: "text", text: "hmm" },
+  });
+  assert.match(result.escalation.sink_error, /503/);
+  assert.deepEqual(container.outbox.list({ status: "pending" }).map((message) => message.kind), [
+    "escalation_sink",
+    "manager_notify",
+  ]);
+
+  // Nothing is retried before the backoff has elapsed
+  assert.equal((await container.outbox.flush()).attempted, 0);
+  now = new Date("2026-10-19T09:01:00.000Z");
+  pushUp = true;
+  assert.deepEqual(await container.outbox.flush(), { attempted: 2, delivered: 1, retrying: 0, dead: 1 });
+  assert.equal(pushes[0].to, "U2001");
+  const deadLetters = fs.readFileSync(deadLetterPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(deadLetters.map((message) => [message.kind, message.attempts]), [["escalation_sink", 2]]);
+
+  const handler = createOutboxHandler(() => container);
+  const call = async (request) => {
+    const res = createMockRes();
+    await handler({ ...createMockReq({ headers: { "x-admin-key": "admin-test-key" }, ...request }), query: request.query }, res);
+    return { status: res.statusCode, json: parseJsonBody(res) };
+  };
+
+  const dead = await call({ method: "GET", query: { status: "dead" } });
+  assert.equal(dead.json.total, 1);
+  assert.match(dead.json.messages[0].last_error, /503/);
+
+  sinkUp = true;
+  const messageId = dead.json.messages[0].message_id;
+  const replayed = await call({ method: "POST", body: { action: "replay", messageId } });
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.json.message.status, "delivered");
+  assert.deepEqual(sheet.map((row) => [row.queue_id, row.event]), [[result.escalation.queue_id, "created"]]);
+  assert.equal((await call({ method: "POST", body: { action: "replay", messageId } })).status, 409);
+  assert.equal((await call({ method: "POST", body: { action: "replay", messageId: "outbox_missing" } })).status, 404);
+});
+
+test("Outbox messages are claimed before delivery, so a flush and a replay never send one twice", async () => {
+  let gate = null;
+  const pushes = [];
+  const container = createContainer({
+    env: { DISABLE_EXTERNAL_AI: "true", OUTBOX_LEASE_SECONDS: "300" },
+    lineClient: {
+      async pushText(to, text) {
+        await gate;
+        pushes.push({ to, text });
+        return { ok: true };
+      },
+    },
+  });
+  let now = new Date("2026-10-19T09:00:00.000Z");
+  container.outbox.now = () => now;
+  const message = {
+    kind: "manager_notify",
+    attempts: 5,
+    created_at: "2026-10-19T08:00:00.000Z",
+    next_attempt_at: "2026-10-19T08:00:00.000Z",
+    last_error: "LINE API failed (500)",
+  };
+  container.repository.saveOutboxMessage({ ...message, message_id: "outbox_dead", status: "dead", payload: { to: "U2001", text: "dead" } });
+
+  let release;
+  gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const replaying = container.outbox.replay("outbox_dead");
+  assert.equal(container.outbox.list({ status: "sending" }).length, 1);
+  assert.deepEqual(await container.outbox.flush(), { attempted: 0, delivered: 0, retrying: 0, dead: 0 });
+  await assert.rejects(container.outbox.replay("outbox_dead"), { code: "delivery_in_progress" });
+  release();
+  const replayed = await replaying;
+  assert.equal(replayed.status, "delivered");
+  assert.equal(replayed.lease_until, undefined);
+  assert.deepEqual(pushes.map((push) => push.text), ["dead"]);
+
+  // A sender that died mid-delivery leaves a lease behind; the message is retried once it runs out
+  gate = null;
+  container.repository.saveOutboxMessage({
+    ...message,
+    message_id: "outbox_stuck",
+    status: "sending",
+    attempts: 1,
+    lease_until: "2026-10-19T09:05:00.000Z",
+    payload: { to: "U2001", text: "stuck" },
+  });
+  assert.equal((await container.outbox.flush()).attempted, 0);
+  now = new Date("2026-10-19T09:05:00.000Z");
+  assert.deepEqual(await Promise.all([container.outbox.flush(), container.outbox.flush()]), [
+    { attempted: 1, delivered: 1, retrying: 0, dead: 0 },
+    { attempted: 0, delivered: 0, retrying: 0, dead: 0 },
+  ]);
+  assert.deepEqual(pushes.map((push) => push.text), ["dead", "stuck"]);
+});
+
+// Webhook dedupe is file-backed; give every container its own file so fixed event ids never clash
+const DEDUPE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-dedupe-"));
+let dedupeFiles = 0;
+function dedupeStorePath() {
+  dedupeFiles += 1;
+  return path.join(DEDUPE_DIR, `dedupe-${dedupeFiles}.json`);
+}
+test.after(() => fs.rmSync(DEDUPE_DIR, { recursive: true, force: true }));
+
+// Harness users are managers unless a test passes its own staff directory rows
+const HARNESS_STAFF = ["U1001", "U2001", "U2002", "U2003", "U2004", "U2005", "U2006", "U3001"].map(
+  (lineUserId, index) => ({
+    line_user_id: lineUserId,
+    staff_id: `S9${String(index).padStart(2, "0")}`,
+    name: `Test Staff ${index}`,
+    department: "タレント第一部",
+    role: "manager",
+  })
+);
+
+const HARNESS_SECRET = "harness-secret";
+
+function buildWebhookHarness(options = {}) {
+  const replies = [];
+  const flexReplies = [];
+  const pushes = [];
+  const container = createContainer({
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ALLOW_UNSIGNED_WEBHOOK: "true",
+      DEDUPE_STORE_PATH: dedupeStorePath(),
+      LINE_CHANNEL_SECRET: HARNESS_SECRET,
+      ...options.env,
+    },
+    staffDirectory: new StaffDirectory({ staff: options.staff || HARNESS_STAFF }),
+    lineClient: {
+      async replyWithQuickReplies(replyToken, text) {
+        replies.push(text);
+        return { ok: true };
+      },
+      async replyFlex(replyToken, altText, contents) {
+        replies.push(altText);
+        flexReplies.push(contents);
+        return { ok: true };
+      },
+      async pushText(to, text, quickReplies = null) {
+        pushes.push({ to, text, quickReplies });
+        return { ok: true };
+      },
+    },
+  });
+
+  const handler = createWebhookHandler(() => container);
+
+  async function send(text, userId = "U1001") {
+    return dispatch({
+      type: "message",
+      source: { type: "user", userId },
+      message: { id: `m_${Math.random()}`, type: "text", text },
+    });
+  }
+
+  async function postback(data, userId = "U1001") {
+    return dispatch({
+      type: "postback",
+      source: { type: "user", userId },
+      postback: { data },
+    });
+  }
+
+  async function lifecycle(type, userId = "U1001") {
+    return dispatch({ type, source: { type: "user", userId } });
+  }
+
+  // The webhook only acknowledges; wait for the queue so tests can read the recorded outcome
+  async function dispatch(event) {
+    const webhookEventId = `evt_${Date.now()}_${Math.random()}`;
+    const payload = {
+      events: [
+        {
+          webhookEventId,
+          timestamp: Date.now(),
+          replyToken: "reply-token",
+          ...event,
+        },
+      ],
+    };
+    const rawBody = JSON.stringify(payload);
+    const res = createMockRes();
+    await handler(createMockReq({
+      method: "POST",
+      headers: { "x-line-signature": createLineSignature(rawBody, HARNESS_SECRET) },
+      body: payload,
+      rawBody,
+    }), res);
+    await container.eventQueue.onIdle();
+    return {
+      ack: parseJsonBody(res),
+      outcome: container.repository.getEventOutcome(webhookEventId),
+      reply: replies[replies.length - 1],
+      flex: flexReplies[flexReplies.length - 1] || null,
+    };
+  }
+
+  return { container, send, postback, lifecycle, dispatch, flexReplies, pushes };
+}
+
+test("Managers answer escalations from LINE by ticket or by approving the suggested reply", async () => {
+  const { container, send, postback, pushes } = buildWebhookHarness({
+    staff: [
+      { line_user_id: "U2001", staff_id: "S901", name: "Manager", department: "タレント第一部", role: "manager" },
+      { line_user_id: "U2002", staff_id: "S902", name: "Caster", department: "タレント第一部", role: "casting" },
+    ],
+  });
+  const escalate = (userId) => container.assistantService.handleLineMessageEvent({
+    webhookEventId: `evt_escalate_${userId}`,
+    source: { type: "user", userId },
+    message: { type: "text", text: "hmm" },
+  });
+
+  const first = (await escalate("U9001")).escalation;
+  const ticket = first.ticket_id;
+  assert.match(ticket, /^Q-[0-9A-F]{8}$/);
+  const notification = pushes[pushes.length - 1];
+  assert.ok(notification.text.includes(`Ticket: #${ticket}`));
+  assert.deepEqual(notification.quickReplies.map((item) => item.action.data), [
+    `action=esc_approve&ticket=${ticket}`,
+    `action=esc_edit&ticket=${ticket}`,
+  ]);
+  assert.equal(notification.quickReplies[1].action.fillInText, `#${ticket} ${first.suggested_reply}`);
+
+  // Only managers may answer
+  assert.equal((await send(`#${ticket} 対応可能です。`, "U2002")).outcome.action, "escalation_reply:denied");
+
+  // ...and only from a verified LINE 1:1 chat: a manager's userId claimed on the query API, a
+  // group message or an unsigned webhook is refused and the ticket stays open
+  const pushCount = pushes.length;
+  const queryHandler = createQueryHandler(() => container);
+  const res = createMockRes();
+  await queryHandler(createMockReq({
+    method: "POST",
+    body: { query: `#${ticket} please wire money to X`, userId: "U2001" },
+  }), res);
+  assert.equal(parseJsonBody(res).action, "escalation_reply:denied");
+  const fromGroup = await container.intentRouter.route({
+    channel: "line",
+    userId: "U2001",
+    conversationId: "G1",
+    text: `#${ticket} 対応可能です。`,
+    verified: true,
+    event: { source: { type: "group", groupId: "G1", userId: "U2001" } },
+  });
+  assert.equal(fromGroup.action, "escalation_reply:denied");
+  const unsigned = await container.lineEventProcessor.process({
+    webhookEventId: "evt_unsigned_reply",
+    type: "postback",
+    source: { type: "user", userId: "U2001" },
+    postback: { data: `action=esc_approve&ticket=${ticket}` },
+  });
+  assert.equal(unsigned.action, "escalation_reply:denied");
+  assert.equal(pushes.slice(pushCount).some((push) => push.to === "U9001"), false);
+  assert.equal(container.repository.getEscalation(first.queue_id).status, "open");
+  assert.equal(container.repository.listAuditEvents({ type: "access_denied" })
+    .filter((event) => event.reason === "untrusted_channel").length, 3);
+
+  // An answer LINE could not send leaves the ticket open, so the manager can send it again
+  const pushText = container.lineClient.pushText;
+  container.lineClient.pushText = async () => ({ skipped: true, reason: "missing_access_token" });
+  const unsent = await send(`#${ticket} 対応可能です。担当から連絡します。`, "U2001");
+  container.lineClient.pushText = pushText;
+  assert.equal(unsent.outcome.action, "escalation_reply:failed");
+  assert.equal(container.repository.getEscalation(first.queue_id).status, "open");
+
+  const answered = await send(`#${ticket} 対応可能です。担当から連絡します。`, "U2001");
+  assert.equal(answered.outcome.action, "escalation_reply");
+  assert.deepEqual(pushes[pushes.length - 1], { to: "U9001", text: "対応可能です。担当から連絡します。", quickReplies: null });
+  const closed = container.repository.getEscalation(first.queue_id);
+  assert.equal(closed.status, "closed");
+  assert.equal(closed.resolution, "対応可能です。担当から連絡します。");
+  const memory = await container.conversationMemory.getRecent("U9001", 5);
+  assert.equal(memory[0].action, "human_answered");
+  assert.equal(memory[0].assistant_text, "対応可能です。担当から連絡します。");
+
+  assert.equal((await send(`#${ticket} /release`, "U2001")).outcome.action, "escalation_release");
+  assert.equal((await send(`#${ticket} もう一度`, "U2001")).outcome.action, "escalation_reply:failed");
+
+  const second = (await escalate("U9002")).escalation;
+  const approved = await postback(`action=esc_approve&ticket=${second.ticket_id}`, "U2001");
+  assert.equal(approved.outcome.action, "escalation_reply");
+  assert.deepEqual(pushes[pushes.length - 1].to, "U9002");
+  assert.equal(pushes[pushes.length - 1].text, second.suggested_reply);
+  assert.equal(container.repository.getEscalation(second.queue_id).status, "closed");
+});
+
+test("Escalated users are handed off to a manager until released or timed out", async () => {
+  const { container, send, pushes } = buildWebhookHarness({
+    env: { LINE_MANAGER_USER_ID: "U2009" },
+    staff: [
+      { line_user_id: "U2001", staff_id: "S901", name: "Manager", department: "タレント第一部", role: "manager" },
+      { line_user_id: "U2002", staff_id: "S902", name: "Caster", department: "タレント第一部", role: "casting" },
+    ],
+  });
+  const escalated = await container.assistantService.handleLineMessageEvent({
+    webhookEventId: "evt_handoff_escalate",
+    source: { type: "user", userId: "U2002" },
+    message: { type: "text", text: "hmm" },
+  });
+  const ticket = escalated.escalation.ticket_id;
+  assert.equal(escalated.escalation.handoff.ticket_id, ticket);
+
+  // Even a casting question is forwarded rather than answered
+  const forwarded = await send("田中太郎のリスクを教えて", "U2002");
+  assert.equal(forwarded.outcome.action, "handoff");
+  assert.equal(forwarded.outcome.delivery, "none");
+  assert.ok(pushes[pushes.length - 1].text.startsWith(`[Handoff] #${ticket} Message from U2002\n田中太郎のリスクを教えて`));
+  assert.equal(pushes[pushes.length - 1].to, "U2009");
+
+  // A manager taking over becomes the one messages are forwarded to
+  assert.equal((await send(`#${ticket} /handoff`, "U2001")).outcome.action, "escalation_handoff");
+  await send("まだですか？", "U2002");
+  assert.equal(pushes[pushes.length - 1].to, "U2001");
+
+  // Follow-up answers are delivered while the handoff lasts, even after the ticket closed
+  await send(`#${ticket} 確認中です。`, "U2001");
+  assert.equal((await send(`#${ticket} 本日中にご連絡します。`, "U2001")).outcome.action, "escalation_reply");
+  assert.deepEqual(pushes[pushes.length - 1], { to: "U2002", text: "本日中にご連絡します。", quickReplies: null });
+
+  await send(`#${ticket} /release`, "U2001");
+  const answered = await send("田中太郎のリスクを教えて", "U2002");
+  assert.equal(answered.outcome.action, "scandal_risk_check");
+  assert.deepEqual(
+    container.repository.listAuditEvents().filter((event) => event.type.startsWith("handoff_")).map((event) => event.type),
+    ["handoff_started", "handoff_released"]
+  );
+});
+
+test("Escalation starts no handoff without a manager, and an unsent forward is a failure", async () => {
+  const { container, send } = buildWebhookHarness({
+    staff: [{ line_user_id: "U2002", staff_id: "S902", name: "Caster", department: "タレント第一部", role: "casting" }],
+  });
+  const escalated = await container.assistantService.handleLineMessageEvent({
+    webhookEventId: "evt_no_manager",
+    source: { type: "user", userId: "U2002" },
+    message: { type: "text", text: "hmm" },
+  });
+  assert.equal(escalated.action, "escalate");
+  assert.equal(escalated.escalation.handoff, undefined);
+  assert.equal(await container.handoffStore.get("U2002"), null);
+  // The bot keeps answering instead of forwarding into nowhere
+  assert.equal((await send("田中太郎のリスクを教えて", "U2002")).outcome.action, "scandal_risk_check");
+
+  // LINE skips a push it cannot send (here: no access token); the outbox keeps retrying it
+  const skipping = createContainer({
+    env: { DISABLE_EXTERNAL_AI: "true", LINE_MANAGER_USER_ID: "U2009" },
+  });
+  await skipping.handoffStore.start("U2002", { ownerUserId: "U2009", ticketId: "Q-1" });
+  const forwarded = await skipping.assistantService.handleLineMessageEvent({
+    webhookEventId: "evt_forward_skipped",
+    source: { type: "user", userId: "U2002" },
+    message: { type: "text", text: "まだですか？" },
+  });
+  assert.equal(forwarded.action, "handoff");
+  assert.match(forwarded.handoff.forward_error, /not sent: missing_access_token/);
+  const [message] = skipping.outbox.list({ kind: "manager_notify" });
+  assert.equal(message.status, "pending");
+  assert.equal(message.attempts, 1);
+});
+
+test("Handoffs expire after the configured timeout", async () => {
+  let now = Date.parse("2026-10-19T09:00:00.000Z");
+  const store = new HandoffStore({ kv: null, ttlSeconds: 60, now: () => now });
+  await store.start("U2002", { ownerUserId: "U2001", ticketId: "Q-1" });
+  now += 59 * 1000;
+  assert.equal((await store.get("U2002")).owner_user_id, "U2001");
+  now += 1000;
+  assert.equal(await store.get("U2002"), null);
+});
+
+test("Webhook asks for a missing brand and completes the NG check on the next message", async () => {
+  const { send } = buildWebhookHarness();
+
+  const first = await send("田中太郎は使える？");
+  assert.equal(first.outcome.action, "talent_ng_check:awaiting_brand");
+  assert.match(first.reply, /ブランド・カテゴリ/);
+
+  const second = await send("ビールに使える？");
+  assert.equal(second.outcome.action, "talent_ng_check");
+  assert.match(second.reply, /田中太郎/);
+  assert.match(second.reply, /起用できません/);
+});
+
+test("Webhook asks for a missing talent and resumes when the user names one", async () => {
+  const { send } = buildWebhookHarness();
+
+  const first = await send("ビールに使える？");
+  assert.equal(first.outcome.action, "talent_ng_check:awaiting_talent");
+
+  const second = await send("田中太郎");
+  assert.equal(second.outcome.action, "talent_ng_check");
+  assert.match(second.reply, /田中太郎/);
+});
+
+test("Webhook resolves follow-up references to the last talent discussed", async () => {
+  const { container, send } = buildWebhookHarness();
+
+  await send("田中太郎のリスクを教えて", "U2001");
+  const followUp = await send("what about their contracts?", "U2001");
+  assert.equal(followUp.outcome.action, "contract_status");
+  assert.match(followUp.reply, /田中太郎/);
+  assert.match(followUp.reply, /サントリー/);
+
+  const jpFollowUp = await send("その人のリスクは？", "U2001");
+  assert.equal(jpFollowUp.outcome.action, "scandal_risk_check");
+  assert.match(jpFollowUp.reply, /田中太郎/);
+
+  const entities = await container.conversationMemory.getLastEntities("U2001");
+  assert.equal(entities.talent, "田中太郎");
+});
+
+test("Webhook offers did-you-mean quick replies and completes after a candidate is tapped", async () => {
+  const { send } = buildWebhookHarness();
+
+  const first = await send("田中太朗のリスクを教えて", "U2002");
+  assert.equal(first.outcome.action, "scandal_risk_check:awaiting_talent");
+  assert.match(first.reply, /もしかして.*田中太郎/);
+
+  const second = await send("田中太郎", "U2002");
+  assert.equal(second.outcome.action, "scandal_risk_check");
+  assert.match(second.reply, /リスク評価/);
+});
+
+test("Webhook conflict check asks for the proposed brand and explains fired rules", async () => {
+  const { send } = buildWebhookHarness();
+
+  const first = await send("田中太郎の競合チェック", "U2003");
+  assert.equal(first.outcome.action, "conflict_check:awaiting_brand");
+
+  const second = await send("日産ノートで2025年6月〜8月", "U2003");
+  assert.equal(second.outcome.action, "conflict_check");
+  assert.match(second.reply, /トヨタ/);
+  assert.match(second.reply, /Category exclusivity with トヨタ covers 国産自動車/);
+  assert.doesNotMatch(second.reply, /サントリー/);
+});
+
+test("Query API and LINE webhook share the same intent router", async () => {
+  const { container, send } = buildWebhookHarness({ env: { QUERY_API_KEY: "query-test-key" } });
+  const queryHandler = createQueryHandler(() => container);
+
+  async function query(body, token = "query-test-key") {
+    const res = createMockRes();
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    await queryHandler(createMockReq({ method: "POST", headers, body }), res);
+    return { statusCode: res.statusCode, ...parseJsonBody(res) };
+  }
+
+  const text = "田中太郎のリスクを教えて";
+  const line = await send(text, "U2004");
+  const api = await query({ query: text, userId: "U2004" });
+  assert.equal(api.action, "scandal_risk_check");
+  assert.equal(api.response, line.reply);
+
+  const greeting = await query({ query: "hello" });
+
+  // Authenticated callers are subject to the same staff directory as LINE
+  const anonymous = await query({ query: text });
+  assert.equal(anonymous.action, "scandal_risk_check:denied");
+  assert.equal(greeting.action, "greeting");
+
+  // Once a key is configured, a claimed userId without the token gets nowhere
+  const unauthenticated = await query({ query: text, userId: "U2004" }, null);
+  assert.equal(unauthenticated.statusCode, 401);
+  assert.equal(unauthenticated.error, "unauthorized");
+  assert.equal((await query({ query: text, userId: "U2004" }, "wrong-key")).statusCode, 401);
+
+  // Structured fields fill the same slots the LINE dialogue would ask for
+  const conflict = await query({
+    query: "田中太郎の競合チェック",
+    userId: "U2004",
+    brand: "スーパードライ",
+    startDate: "2025-06-01",
+    endDate: "2025-08-31",
+  });
+  assert.equal(conflict.action, "conflict_check");
+  assert.equal(conflict.result.hasConflict, true);
+  assert.deepEqual(conflict.period, { start: "2025-06-01", end: "2025-08-31" });
+});
+
+test("Query API without a key keeps anonymous access and ignores the claimed userId", async () => {
+  const { container, lifecycle } = buildWebhookHarness({ env: { LINE_MANAGER_USER_ID: "U2009" } });
+  const queryHandler = createQueryHandler(() => container);
+
+  async function query(body) {
+    const res = createMockRes();
+    await queryHandler(createMockReq({ method: "POST", body }), res);
+    return { statusCode: res.statusCode, ...parseJsonBody(res) };
+  }
+
+  // Existing callers that never sent a userId keep working
+  const anonymous = await query({ query: "田中太郎のリスクは？" });
+  assert.equal(anonymous.statusCode, 200);
+  assert.equal(anonymous.action, "scandal_risk_check");
+
+  // A body userId is not that user: it neither picks a role nor answers their onboarding
+  await lifecycle("follow", "U3001");
+  const claimed = await query({ query: "日本語", userId: "U3001" });
+  assert.doesNotMatch(claimed.action, /^onboarding/);
+  assert.equal(container.repository.getProfile("U3001").status, "onboarding");
+  assert.equal(
+    container.repository.listAuditEvents().some((event) => event.type === "access_denied" && event.channel === "api"),
+    false
+  );
+
+  // Nor can it escalate, hand off or read and write that user's conversation
+  await container.conversationMemory.add({ line_user_id: "U1001", user_text: "前回の相談", assistant_text: "回答" });
+  container.classifier.classify = async () => ({ intent: "sensitive", confidence: 0.9, is_sensitive: true, reason: "stub" });
+  const sensitive = await query({ query: "契約の件で相談があります", userId: "U1001" });
+  assert.equal(sensitive.statusCode, 200);
+  assert.equal(sensitive.action, "answer");
+  assert.deepEqual(container.repository.listEscalations(), []);
+  assert.equal(await container.assistantService.activeHandoff("U1001"), null);
+  assert.deepEqual((await container.conversationMemory.getRecent("U1001", 5)).map((entry) => entry.user_text), ["前回の相談"]);
+  delete container.classifier.classify;
+  const firstTurn = await query({ query: "田中太郎の競合チェック", userId: "U1001" });
+  assert.equal(firstTurn.action, "conflict_check:awaiting_brand");
+  assert.equal(await container.dialogueState.get("U1001"), null);
+});
+
+test("Query API asks for the campaign dates again when they cannot be read", async () => {
+  const { container, send } = buildWebhookHarness();
+  const queryHandler = createQueryHandler(() => container);
+
+  async function query(body) {
+    const res = createMockRes();
+    await queryHandler(createMockReq({ method: "POST", body }), res);
+    return parseJsonBody(res);
+  }
+
+  const invalid = await query({
+    query: "田中太郎の競合チェック",
+    userId: "U2004",
+    brand: "スーパードライ",
+    startDate: "2025-02-30",
+    endDate: "2025-08-31",
+  });
+  assert.equal(invalid.action, "conflict_check:invalid_period");
+  assert.equal(invalid.period, null);
+  assert.equal(invalid.result, null);
+  assert.match(invalid.response, /2025-02-30/);
+
+  const reversed = await query({
+    query: "田中太郎の競合チェック",
+    brand: "スーパードライ",
+    startDate: "2025-08-31",
+    endDate: "2025-06-01",
+  });
+  assert.equal(reversed.action, "conflict_check:invalid_period");
+  assert.match(reversed.response, /終了日が開始日より前/);
+
+  // A phone number in the message is not a date to re-ask about
+  const phone = await send("田中太郎の競合チェック 連絡先03-1234-5678", "U2006");
+  assert.equal(phone.outcome.action, "conflict_check:awaiting_brand");
+  await send("キャンセル", "U2006");
+
+  // The same check from text, answered with a date that does parse
+  const line = await send("田中太郎はスーパードライで2025年13月から使える？", "U2006");
+  assert.equal(line.outcome.action, "talent_ng_check:invalid_period");
+  assert.match(line.reply, /2025年13月/);
+  const answered = await send("2025年6月〜8月", "U2006");
+  assert.equal(answered.outcome.action, "talent_ng_check");
+  assert.doesNotMatch(answered.reply, /読み取れません/);
+});
+
+test("Webhook renders casting results as Flex cards with the text kept as altText", async () => {
+  const { container, send, flexReplies } = buildWebhookHarness();
+
+  const ng = await send("田中太郎はビールに使える？", "U2005");
+  assert.equal(ng.flex.type, "bubble");
+  assert.equal(ng.flex.header.backgroundColor, "#E53935");
+  assert.match(JSON.stringify(ng.flex.body), /NGブランド/);
+  const contactButton = ng.flex.footer.contents[ng.flex.footer.contents.length - 1];
+  assert.equal(contactButton.action.data, "action=contact&expert=E001");
+  assert.match(ng.reply, /起用できません/);
+
+  const contracts = await send("田中太郎の契約状況", "U2005");
+  assert.equal(contracts.flex.type, "carousel");
+
+  // Greetings have no card layout and stay plain text
+  const flexCount = flexReplies.length;
+  await send("hello", "U2005");
+  assert.equal(flexReplies.length, flexCount);
+
+  container.config.line.flexMessages = false;
+  await send("田中太郎のリスク", "U2005");
+  assert.equal(flexReplies.length, flexCount);
+});
+
+test("Webhook handles postback drill-downs from card buttons", async () => {
+  const { send, postback } = buildWebhookHarness();
+
+  const risk = await postback("action=risk&talent=T005", "U2006");
+  assert.equal(risk.outcome.action, "scandal_risk_check");
+  assert.match(risk.reply, /山本美咲/);
+  const contractsAction = risk.flex.footer.contents[0].action;
+  assert.equal(contractsAction.type, "postback");
+  assert.equal(contractsAction.data, "action=contracts&talent=T005");
+
+  const contracts = await postback(contractsAction.data, "U2006");
+  assert.equal(contracts.outcome.action, "contract_status");
+  assert.match(contracts.reply, /日清/);
+
+  // Cards keep the drill-down context, so conflicts are checked for the brand the NG check was about
+  const ng = await send("田中太郎はクラウンに使える？", "U2006");
+  const conflictsAction = ng.flex.footer.contents[0].action;
+  assert.match(conflictsAction.data, /^action=conflicts&talent=T001&brand=/);
+  const conflicts = await postback(conflictsAction.data, "U2006");
+  assert.equal(conflicts.outcome.action, "conflict_check");
+
+  const contact = await postback("action=contact&expert=E001", "U2006");
+  assert.equal(contact.outcome.action, "expert_contact");
+  assert.equal(contact.flex.footer.contents[0].action.uri, "mailto:yamada@hakuhodo.co.jp");
+
+  const stale = await postback("action=risk&talent=T999", "U2006");
+  assert.equal(stale.outcome.action, "postback_unknown");
+
+  const dashboard = await postback("action=dashboard", "U2006");
+  assert.equal(dashboard.outcome.action, "dashboard");
+});
+
+test("Follow starts onboarding and unfollow stops alert pushes", async () => {
+  const { container, send, postback, lifecycle } = buildWebhookHarness();
+
+  const follow = await lifecycle("follow", "U3001");
+  assert.equal(follow.outcome.action, "onboarding:language");
+  assert.equal(container.repository.getProfile("U3001").status, "onboarding");
+
+  const language = await postback("action=onboarding&field=language&value=en", "U3001");
+  assert.equal(language.outcome.action, "onboarding:department");
+  assert.match(language.reply, /Which department/);
+
+  const department = await send("スポーツ部", "U3001");
+  assert.equal(department.outcome.action, "onboarding:role");
+
+  const role = await postback("action=onboarding&field=role&value=casting", "U3001");
+  assert.equal(role.outcome.action, "onboarding:completed");
+  assert.match(role.reply, /Hakuhodo Casting Assistant/);
+
+  const profile = container.repository.getProfile("U3001");
+  assert.equal(profile.status, "active");
+  assert.equal(profile.language_pref, "en");
+  assert.equal(profile.department, "スポーツ部");
+  assert.equal(profile.role, "casting");
+
+  await lifecycle("unfollow", "U3001");
+  assert.equal(container.repository.getProfile("U3001").status, "inactive");
+
+  const alertsHandler = createAlertsHandler(() => container);
+  const res = createMockRes();
+  await alertsHandler(createMockReq({ method: "POST", body: { targetUsers: ["U3001", "U1001"] } }), res);
+  const pushResults = parseJsonBody(res).pushResults;
+  assert.deepEqual(pushResults.map((r) => r.status), ["skipped", "sent"]);
+
+  const refollow = await lifecycle("follow", "U3001");
+  assert.equal(refollow.outcome.action, "follow:welcome_back");
+  assert.equal(container.repository.getProfile("U3001").status, "active");
+});
+
+test("Staff directory gates commands and redacts scandal history by role", async () => {
+  const { container, send } = buildWebhookHarness({
+    staff: [
+      { line_user_id: "U4001", staff_id: "S401", name: "営業担当", department: "タレント第二部", role: "account" },
+      { line_user_id: "U4002", staff_id: "S402", name: "リスク担当", department: "リスク管理部", role: "account" },
+    ],
+  });
+
+  const stranger = await send("リスクチェック", "U4999");
+  assert.equal(stranger.outcome.action, "risk_list:denied");
+  assert.match(stranger.reply, /登録済みのキャスティング担当者専用/);
+  assert.doesNotMatch(stranger.reply, /週刊誌/);
+
+  const account = await send("リスクチェック", "U4001");
+  assert.equal(account.outcome.action, "risk_list:denied");
+  assert.match(account.reply, /権限がありません/);
+
+  // Account staff still get the risk level, but not the scandal details
+  const accountRisk = await send("高橋誠のリスク", "U4001");
+  assert.equal(accountRisk.outcome.action, "scandal_risk_check");
+  assert.match(accountRisk.reply, /閲覧権限なし/);
+  assert.doesNotMatch(accountRisk.reply, /週刊誌/);
+
+  const riskTeam = await send("高橋誠のリスク", "U4002");
+  assert.match(riskTeam.reply, /週刊誌/);
+
+  // whoami answers everyone with their own userId, before any classification or access check
+  for (const userId of ["U4999", "U4001"]) {
+    const whoami = await send("whoami", userId);
+    assert.equal(whoami.outcome.action, "answer");
+    assert.match(whoami.reply, new RegExp(userId));
+  }
+
+  const denials = container.repository.listAuditEvents({ type: "access_denied" });
+  assert.deepEqual(
+    denials.map((event) => [event.line_user_id, event.reason]),
+    [["U4999", "unknown_user"], ["U4001", "insufficient_role"]]
+  );
+});
+
+test("Group chats answer only when addressed and share context across members", async () => {
+  const { container, dispatch } = buildWebhookHarness();
+  const groupMessage = (userId, text, mention) => dispatch({
+    type: "message",
+    source: { type: "group", groupId: "G1", userId },
+    message: { id: `m_${Math.random()}`, type: "text", text, ...(mention ? { mention } : {}) },
+  });
+
+  const chatter = await groupMessage("U2001", "田中太郎は使えるかな");
+  assert.equal(chatter.outcome.status, "ignored");
+  assert.equal(chatter.outcome.action, "group_not_addressed");
+  assert.equal(chatter.reply, undefined);
+
+  const mentioned = await groupMessage("U2001", "@Casting Bot 田中太郎は使える？", {
+    mentionees: [{ index: 0, length: 12, type: "user", isSelf: true }],
+  });
+  assert.equal(mentioned.outcome.action, "talent_ng_check:awaiting_brand");
+
+  // Another member answers the pending question; the dialogue belongs to the group
+  const prefixed = await groupMessage("U2002", "/cast ビールに使える？");
+  assert.equal(prefixed.outcome.action, "talent_ng_check");
+  assert.match(prefixed.reply, /田中太郎/);
+
+  const audit = container.repository.listAuditEvents({ type: "group_query" });
+  assert.deepEqual(
+    audit.map((event) => [event.conversation_id, event.line_user_id, event.action]),
+    [
+      ["group:G1", "U2001", "talent_ng_check:awaiting_brand"],
+      ["group:G1", "U2002", "talent_ng_check"],
+    ]
+  );
+});
+
+test("Webhook acknowledges before processing and pushes when the reply token is stale", async () => {
+  const sent = [];
+  const keptAlive = [];
+  const container = createContainer({
+    // Stands in for @vercel/functions' waitUntil, which keeps the function running after the ack
+    eventQueue: new WorkQueue({ waitUntil: (promise) => keptAlive.push(promise) }),
+    env: {
+      DISABLE_EXTERNAL_AI: "true",
+      ALLOW_UNSIGNED_WEBHOOK: "true",
+      LINE_FLEX_MESSAGES: "false",
+      DEDUPE_STORE_PATH: dedupeStorePath(),
+    },
+    staffDirectory: new StaffDirectory({ staff: HARNESS_STAFF }),
+    lineClient: {
+      async replyWithQuickReplies(replyToken, text) {
+        if (replyToken === "used-token") {
+          const error = new Error("LINE API failed (400): Invalid reply token");
+          error.status = 400;
+          throw error;
+        }
+        if (replyToken === "bad-message-token") {
+          const error = new Error("LINE API failed (400): The request body has 1 error(s)");
+          error.status = 400;
+          throw error;
+        }
+        sent.push(["reply", replyToken, text]);
+        return { ok: true };
+      },
+      async pushText(to, text) {
+        sent.push(["push", to, text]);
+        return { ok: true };
+      },
+    },
+  });
+  const handler = createWebhookHandler(() => container);
+  const message = (webhookEventId, replyToken, timestamp) => ({
+    webhookEventId,
+    type: "message",
+    timestamp,
+    replyToken,
+    source: { type: "user", userId: "U2001" },
+    message: { id: webhookEventId, type: "text", text: "ヘルプ" },
+  });
+
+  const res = createMockRes();
+  await handler(createMockReq({
+    method: "POST",
+    body: {
+      events: [
+        message("evt_fresh", "fresh-token", Date.now()),
+        message("evt_stale", "stale-token", Date.now() - 5 * 60 * 1000),
+        message("evt_used", "used-token", Date.now()),
+        message("evt_bad", "bad-message-token", Date.now()),
+        { webhookEventId: "evt_sticker", type: "message", message: { type: "sticker" } },
+      ],
+    },
+  }), res);
+
+  const ack = parseJsonBody(res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(ack.queued, 4);
+  assert.equal(ack.ignored, 1);
+  assert.equal(sent.length, 0);
+  assert.equal(keptAlive.length, 4);
+
+  await Promise.all(keptAlive);
+  assert.deepEqual(sent.map(([kind, target]) => [kind, target]), [
+    ["reply", "fresh-token"],
+    ["push", "U2001"],
+    ["push", "U2001"],
+  ]);
+  assert.equal(container.repository.getEventOutcome("evt_fresh").delivery, "reply");
+  assert.equal(container.repository.getEventOutcome("evt_stale").delivery, "push");
+  assert.equal(container.repository.getEventOutcome("evt_used").action, "greeting");
+  // Any other 400 is a real failure and is not sent again as a push
+  assert.equal(container.repository.getEventOutcome("evt_bad").delivery, "failed");
+});
+
+test("Webhook drops redelivered events across instances sharing the dedupe store", async () => {
+  const storePath = dedupeStorePath();
+  const replies = [];
+  const buildInstance = () => {
+    const container = createContainer({
+      env: {
+        DISABLE_EXTERNAL_AI: "true",
+        ALLOW_UNSIGNED_WEBHOOK: "true",
+        LINE_FLEX_MESSAGES: "false",
+        DEDUPE_STORE_PATH: storePath,
+      },
+      staffDirectory: new StaffDirectory({ staff: HARNESS_STAFF }),
+      lineClient: {
+        async replyWithQuickReplies(replyToken, text) {
+          replies.push(text);
+          return { ok: true };
+        },
+        async pushText() {
+          return { ok: true };
+        },
+      },
+    });
+    return { container, handler: createWebhookHandler(() => container) };
+  };
+  const deliver = async ({ container, handler }, event) => {
+    await handler(createMockReq({ method: "POST", body: { events: [event] } }), createMockRes());
+    await container.eventQueue.onIdle();
+    return container.repository.getEventOutcome(event.webhookEventId);
+  };
+
+  const follow = { webhookEventId: "evt_follow", type: "follow", replyToken: "t1", source: { type: "user", userId: "U2005" } };
+  const first = await deliver(buildInstance(), follow);
+  assert.equal(first.status, "processed");
+  assert.equal(replies.length, 1);
+
+  // A cold-started instance gets LINE's redelivery of the same event
+  const redelivered = await deliver(buildInstance(), {
+    ...follow,
+    replyToken: "t2",
+    deliveryContext: { isRedelivery: true },
+  });
+  assert.equal(redelivered.status, "duplicate");
+  assert.equal(redelivered.redelivery, true);
+  assert.equal(replies.length, 1);
+});
@@ -1,6 +1,18 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
-const { createContainer } = require("../lib/container");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createContainer, createRepository, requireSharedStorage } = require("../lib/container");
+const { loadConfig } = require("../lib/config");
+const { InMemoryRepository, ticketIdFor, MAX_MEMORY_AUDIT_EVENTS } = require("../lib/storage/repository");
+const { SqliteRepository, loadSqliteDriver } = require("../lib/storage/sqlite-repository");
+const { validateCsv } = require("../lib/sync/schemas");
+const { EscalationSink, ESCALATION_HEADERS } = require("../lib/sync/escalation-sink");
+const { parseCsv } = require("../lib/utils/csv");
+const { extractCampaignPeriod, invalidPeriod } = require("../lib/utils/date");
+const { CastingDataStore } = require("../lib/storage/casting-data-store");
+const { DataVersionService } = require("../lib/sync/data-versions");
 
 function buildTestContainer() {
   const container = createContainer({
@@ -171,6 +183,11 @@ test("Sensitive inquiry escalates without suggested advice", async () => {
   assert.equal(result.action, "escalate");
   assert.ok(result.escalation);
   assert.equal(result.escalation.suggested_reply, "");
+  // Sensitive escalations get the shorter SLA
+  assert.equal(
+    Date.parse(result.escalation.sla_due_at) - Date.parse(result.escalation.created_at),
+    container.config.sla.targetMinutes.sensitive * 60 * 1000
+  );
 });
 
 test("Duplicate webhook event is idempotent", async () => {
@@ -213,3 +230,449 @@ test("Retention cleanup removes expired conversation logs", async () => {
   const cleanup = container.retentionService.cleanup(new Date("2026-02-06T00:00:00.000Z").getTime());
   assert.equal(cleanup.removedLogs, 1);
 });
+
+test("Casting service matches readings, romaji word order and aliases", async () => {
+  const container = buildTestContainer();
+  const castingService = container.castingService;
+
+  assert.equal(castingService.findTalent("たなかたろう").name, "田中太郎");
+  assert.equal(castingService.findTalent("ﾀﾅｶﾀﾛｳ").name, "田中太郎");
+  assert.equal(castingService.findTalent("Tanaka Taro").name, "田中太郎");
+  assert.equal(castingService.findTalent("ガッキー").name, "新垣結衣");
+});
+
+test("Casting service suggests ranked candidates for misspelled talent names", async () => {
+  const container = buildTestContainer();
+  const result = container.castingService.getScandalRisk("田中太朗");
+
+  assert.equal(result.found, false);
+  assert.equal(result.candidates[0], "田中太郎");
+  assert.match(container.castingService.formatRiskResponse(result), /もしかして.*田中太郎/);
+});
+
+test("Availability only counts contracts overlapping the campaign window", async () => {
+  const container = buildTestContainer();
+  const castingService = container.castingService;
+
+  const blocked = castingService.checkTalentAvailability("山本美咲", null, "即席麺", {
+    start: "2026-04-01",
+    end: "2026-05-31",
+  });
+  assert.equal(blocked.available, false);
+  assert.equal(blocked.availableFrom, "2026-10-02");
+  assert.match(blocked.reason, /Available from 2026-10-02 after 日清 exclusivity ends/);
+
+  const later = castingService.checkTalentAvailability("山本美咲", null, "即席麺", {
+    start: "2026-11-01",
+    end: "2026-12-31",
+  });
+  assert.equal(later.available, true);
+});
+
+test("Relative period phrases like 来月 are extracted into the period slot", async () => {
+  const now = new Date("2026-10-19T03:00:00Z");
+  assert.deepEqual(extractCampaignPeriod("来月ビールに使える？", now), { start: "2026-11-01", end: "2026-11-30" });
+  assert.deepEqual(extractCampaignPeriod("再来月の起用", now), { start: "2026-12-01", end: "2026-12-31" });
+  assert.deepEqual(extractCampaignPeriod("来週から使える？", now), { start: "2026-10-26", end: "2026-11-01" });
+  assert.deepEqual(extractCampaignPeriod("11月から2月まで", now), { start: "2026-11-01", end: "2027-02-28" });
+  assert.deepEqual(extractCampaignPeriod("2027年3月", now), { start: "2027-03-01", end: "2027-03-31" });
+  assert.equal(extractCampaignPeriod("3ヶ月くらい", now), null);
+
+  // 01:00 on 1 November in Tokyo is still 31 October in UTC; the Tokyo date is the one that counts
+  const tokyoMorning = new Date("2026-10-31T16:00:00Z");
+  assert.deepEqual(extractCampaignPeriod("今日", tokyoMorning), { start: "2026-11-01", end: "2026-11-01" });
+  assert.deepEqual(extractCampaignPeriod("明日", tokyoMorning), { start: "2026-11-02", end: "2026-11-02" });
+  assert.deepEqual(extractCampaignPeriod("今週", tokyoMorning), { start: "2026-10-26", end: "2026-11-01" });
+  assert.deepEqual(extractCampaignPeriod("来月", tokyoMorning), { start: "2026-12-01", end: "2026-12-31" });
+  assert.deepEqual(extractCampaignPeriod("10月", tokyoMorning), { start: "2027-10-01", end: "2027-10-31" });
+
+  const container = buildTestContainer();
+  container.intentRouter.now = () => tokyoMorning;
+  const outcome = await container.intentRouter.route({
+    channel: "api",
+    userId: "U1001",
+    text: "山本美咲は来月即席麺に使える？",
+  });
+  assert.deepEqual(outcome.slots.period, { start: "2026-12-01", end: "2026-12-31" });
+});
+
+test("Campaign periods read month/day ranges and full-width digits, skip phone numbers and reject reversed ranges", () => {
+  const now = new Date("2026-03-10T03:00:00Z");
+  assert.deepEqual(extractCampaignPeriod("6/1〜6/30で使える？", now), { start: "2026-06-01", end: "2026-06-30" });
+  assert.deepEqual(extractCampaignPeriod("３月", now), { start: "2026-03-01", end: "2026-03-31" });
+  assert.deepEqual(extractCampaignPeriod("２０２５/６/１から", now), { start: "2025-06-01", end: "2025-06-01" });
+  assert.deepEqual(extractCampaignPeriod("２０２５年６月～８月", now), { start: "2025-06-01", end: "2025-08-31" });
+  assert.equal(extractCampaignPeriod("担当は03-1234-5678です", now), null);
+  assert.equal(invalidPeriod(extractCampaignPeriod("担当は03-1234-5678です", now)), null);
+
+  const reversed = extractCampaignPeriod("2025/8/31〜2025/6/1", now);
+  assert.deepEqual(invalidPeriod(reversed), { value: "2025/8/31〜2025/6/1", reason: "end_before_start" });
+  assert.equal(invalidPeriod(extractCampaignPeriod("6/30〜6/1", now)).reason, "end_before_start");
+  assert.deepEqual(invalidPeriod({ start: "2025-08-31", end: "2025-06-01" }), {
+    value: "2025-08-31〜2025-06-01",
+    reason: "end_before_start",
+  });
+});
+
+test("Brand registry resolves brands to company, category and competitors", async () => {
+  const container = buildTestContainer();
+  const registry = container.brandRegistry;
+  const premiumMalts = registry.resolve("ザ・プレミアム・モルツ");
+
+  assert.equal(premiumMalts.client, "サントリー");
+  assert.deepEqual(registry.categoryLineage(premiumMalts.category), ["ビール", "酒類"]);
+  assert.equal(registry.areCompetitors(premiumMalts, registry.resolve("スーパードライ")), true);
+  assert.equal(registry.areCompetitors(premiumMalts, registry.resolve("クラウン")), false);
+});
+
+test("NG checks follow the brand graph instead of substring matching", async () => {
+  const container = buildTestContainer();
+  const castingService = container.castingService;
+
+  const beer = castingService.checkTalentAvailability("田中太郎", "ザ・プレミアム・モルツ", null);
+  assert.equal(beer.available, false);
+  assert.deepEqual(beer.categoryHits, ["酒類"]);
+
+  // 松本健 is NG for competing alcohol brands, not for his own client Sapporo
+  const rival = castingService.checkTalentAvailability("松本健", "スーパードライ", null);
+  assert.equal(rival.available, false);
+  const ownClient = castingService.checkTalentAvailability("松本健", "黒ラベル", null);
+  assert.equal(ownClient.available, true);
+});
+
+test("Conflict engine only fires rules that apply to the proposed brand", async () => {
+  const container = buildTestContainer();
+  const castingService = container.castingService;
+  const period = { start: "2025-06-01", end: "2025-08-31" };
+
+  const rival = castingService.checkContractConflicts("田中太郎", { brand: "スーパードライ" }, period);
+  assert.equal(rival.hasConflict, true);
+  assert.deepEqual(
+    rival.rules.map((r) => `${r.contract.contract_id}:${r.rule}`),
+    ["C001:full_exclusivity", "C001:competitive_restriction"]
+  );
+
+  const imported = castingService.checkContractConflicts("田中太郎", { brand: "IONIQ 5" }, period);
+  assert.deepEqual(imported.rules.map((r) => r.rule), ["competitor_exclusivity"]);
+
+  const ownClient = castingService.checkContractConflicts("田中太郎", { brand: "ザ・プレミアム・モルツ" }, period);
+  assert.equal(ownClient.hasConflict, false);
+
+  const unrelated = castingService.checkContractConflicts("田中太郎", { category: "化粧品" }, period);
+  assert.equal(unrelated.hasConflict, false);
+});
+
+// The same contract runs against every driver; SQLite is skipped where no driver is installed
+function exerciseRepository(repository) {
+  assert.deepEqual(
+    repository.upsertProfiles([{ line_user_id: "U1001", location: "Tokyo" }, { line_user_id: "" }]),
+    { imported: 1, updated: 0, failed: 1 }
+  );
+  assert.equal(repository.upsertProfiles([{ line_user_id: "U1001", location: "Osaka" }]).updated, 1);
+  assert.equal(repository.getProfile("U1001").location, "Osaka");
+
+  repository.upsertKnowledge([
+    { item_id: "K1", category: "casting", title: "Casting guide", tags: ["casting"], priority: 1 },
+    { item_id: "K2", category: "legal", title: "Contract rules", tags: ["contract"], priority: 3 },
+  ]);
+  assert.deepEqual(repository.searchKnowledge({ text: "casting guide" }).map((item) => item.item_id), ["K1", "K2"]);
+
+  const escalation = repository.addEscalation({ line_user_id: "U1001", reason_code: "low_confidence" });
+  assert.equal(escalation.status, "open");
+  // Tickets come from the queue_id, so another instance or a restart never repeats one
+  assert.equal(escalation.ticket_id, ticketIdFor(escalation.queue_id));
+  assert.notEqual(new InMemoryRepository().addEscalation({ line_user_id: "U1001" }).ticket_id, escalation.ticket_id);
+  assert.deepEqual(repository.listEscalations().map((item) => item.queue_id), [escalation.queue_id]);
+  repository.updateEscalation(escalation.queue_id, { status: "assigned", owner: "S001" });
+  assert.equal(repository.getEscalation(escalation.queue_id).owner, "S001");
+  assert.deepEqual(repository.listEscalations({ status: "open" }), []);
+  assert.equal(repository.listEscalations({ owner: "S001", reasonCode: "low_confidence" }).length, 1);
+  assert.equal(repository.updateEscalation("esc_missing", { status: "closed" }), null);
+
+  repository.markProcessedEvent("evt_1", 60);
+  assert.equal(repository.hasProcessedEvent("evt_1"), true);
+  assert.equal(repository.hasProcessedEvent("evt_2"), false);
+  repository.addConversation({ line_user_id: "U1001", user_text: "old", expires_at: "2020-01-01T00:00:00.000Z" });
+  repository.addConversation({ line_user_id: "U1001", user_text: "new" });
+
+  const cleanup = repository.cleanupExpired(Date.now() + 120 * 1000);
+  assert.deepEqual(cleanup, { removedLogs: 1, removedDedupe: 1 });
+  assert.deepEqual(repository.getRecentConversations("U1001").map((log) => log.user_text), ["new"]);
+
+  repository.addAuditEvent({ type: "access_denied", line_user_id: "U4999" });
+  assert.equal(repository.listAuditEvents({ type: "access_denied" }).length, 1);
+  repository.recordEventOutcome({ eventId: "evt_1", status: "processed" });
+  assert.equal(repository.getEventOutcome("evt_1").status, "processed");
+
+  const snapshot = repository.addDataSnapshot({ source: "csv", data: { knowledge: repository.listKnowledge() } });
+  assert.equal(snapshot.version_id, "v1");
+  repository.replaceKnowledge([{ item_id: "K3", title: "Replacement" }]);
+  assert.deepEqual(repository.listKnowledge().map((item) => item.item_id), ["K3"]);
+  assert.equal(repository.addDataSnapshot({ source: "sheet", data: {} }).version_id, "v2");
+  assert.deepEqual(repository.listDataSnapshots().map((item) => [item.version_id, item.source, item.data]), [
+    ["v2", "sheet", undefined],
+    ["v1", "csv", undefined],
+  ]);
+  assert.deepEqual(repository.getDataSnapshot("v1").data.knowledge.map((item) => item.item_id), ["K1", "K2"]);
+  assert.equal(repository.getDataSnapshot("v9"), null);
+
+  const message = { message_id: "outbox_1", kind: "manager_notify", status: "pending", created_at: "2026-10-19T09:00:00.000Z" };
+  repository.saveOutboxMessage(message);
+  repository.saveOutboxMessage({ ...message, status: "dead", attempts: 5 });
+  assert.equal(repository.getOutboxMessage("outbox_1").attempts, 5);
+  assert.deepEqual(repository.listOutboxMessages({ status: "dead", kind: "manager_notify" }).map((item) => item.message_id), [
+    "outbox_1",
+  ]);
+  assert.deepEqual(repository.listOutboxMessages({ status: "pending" }), []);
+
+  // Claims only succeed from the state that was read, and not while another lease is running
+  const dead = repository.getOutboxMessage("outbox_1");
+  const lease = { now: "2026-10-19T09:00:00.000Z", leaseUntil: "2026-10-19T09:05:00.000Z" };
+  assert.equal(repository.claimOutboxMessage(dead, lease).lease_until, "2026-10-19T09:05:00.000Z");
+  assert.equal(repository.getOutboxMessage("outbox_1").status, "sending");
+  assert.equal(repository.claimOutboxMessage(dead, lease), null);
+  const sending = repository.getOutboxMessage("outbox_1");
+  assert.equal(repository.claimOutboxMessage(sending, lease), null);
+  const expired = { now: "2026-10-19T09:05:00.000Z", leaseUntil: "2026-10-19T09:10:00.000Z" };
+  assert.equal(repository.claimOutboxMessage(sending, expired).lease_until, "2026-10-19T09:10:00.000Z");
+  repository.saveOutboxMessage({ ...message, status: "delivered", attempts: 1 });
+  assert.equal(repository.claimOutboxMessage(repository.getOutboxMessage("outbox_1"), expired), null);
+
+  assert.equal(repository.getCastingData(), null);
+  repository.saveCastingData({ source: "sheet", versionId: "v1", talents: [{ talent_id: "T1" }], contracts: [], experts: [] });
+  repository.saveCastingData({ source: "sheet", versionId: "v2", talents: [{ talent_id: "T2" }], contracts: [], experts: [] });
+  assert.equal(repository.getCastingData().versionId, "v2");
+
+  const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+  repository.saveSyncPlan({ planId: "sync_1", expiresAt, entities: { talents: { records: [{ talent_id: "T1" }] } } });
+  repository.saveSyncPlan({ planId: "sync_old", expiresAt: "2020-01-01T00:00:00.000Z", entities: {} });
+  assert.equal(repository.takeSyncPlan("sync_old"), null);
+  assert.deepEqual(repository.takeSyncPlan("sync_1").entities.talents.records, [{ talent_id: "T1" }]);
+  assert.equal(repository.takeSyncPlan("sync_1"), null);
+}
+
+test("In-memory repository implements the storage contract", () => {
+  exerciseRepository(new InMemoryRepository());
+});
+
+test("In-memory repository keeps only the newest audit events", () => {
+  const repository = new InMemoryRepository();
+  for (let index = 0; index <= MAX_MEMORY_AUDIT_EVENTS; index += 1) {
+    repository.addAuditEvent({ type: "group_query", text: String(index) });
+  }
+  const events = repository.listAuditEvents();
+  assert.equal(events.length, MAX_MEMORY_AUDIT_EVENTS);
+  assert.equal(events[0].text, "1");
+});
+
+test("SQLite repository implements the storage contract and persists across restarts", {
+  skip: loadSqliteDriver() ? false : "no SQLite driver (needs Node 22.5+ or better-sqlite3)",
+}, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "repository-"));
+  const filePath = path.join(dir, "assistant.sqlite");
+
+  try {
+    const first = createRepository(loadConfig({ STORAGE_DRIVER: "sqlite", SQLITE_PATH: filePath }));
+    assert.ok(first instanceof SqliteRepository);
+    exerciseRepository(first);
+    first.close();
+
+    const reopened = new SqliteRepository({ filePath });
+    assert.deepEqual(reopened.migrate(), []);
+    assert.equal(reopened.schemaVersion(), 6);
+    assert.equal(reopened.getProfile("U1001").location, "Osaka");
+    assert.deepEqual(reopened.getCastingData().talents, [{ talent_id: "T2" }]);
+    assert.equal(reopened.listEscalations().length, 1);
+    reopened.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("SQLite rollback writes nothing when one of its writes fails", {
+  skip: loadSqliteDriver() ? false : "no SQLite driver (needs Node 22.5+ or better-sqlite3)",
+}, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "repository-"));
+  const repository = new SqliteRepository({ filePath: path.join(dir, "assistant.sqlite") });
+
+  try {
+    const castingDataStore = new CastingDataStore({
+      repository,
+      talents: [{ talent_id: "T1" }],
+      contracts: [],
+      experts: [],
+    });
+    const versions = new DataVersionService({ repository, castingDataStore });
+    repository.upsertProfiles([{ line_user_id: "U1001", display_name: "Yuki" }]);
+    repository.replaceKnowledge([{ item_id: "K001", title: "Guide" }]);
+    const v1 = versions.capture({ source: "sheet" });
+
+    repository.upsertProfiles([{ line_user_id: "U1001", display_name: "Yuki T" }]);
+    repository.replaceKnowledge([{ item_id: "K001", title: "Guide" }, { item_id: "K002", title: "Draft" }]);
+    castingDataStore.replace({ talents: [{ talent_id: "T2" }] }, "sheet");
+    versions.capture({ source: "sheet" });
+
+    repository.saveCastingData = () => {
+      throw new Error("disk full");
+    };
+    assert.throws(() => versions.rollback(v1), /disk full/);
+    assert.equal(repository.getProfile("U1001").display_name, "Yuki T");
+    assert.deepEqual(repository.listKnowledge().map((item) => item.item_id), ["K001", "K002"]);
+    assert.deepEqual(castingDataStore.talents.map((talent) => talent.talent_id), ["T2"]);
+    assert.equal(repository.listAuditEvents({ type: "data_rollback" }).length, 0);
+    repository.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("Unknown storage drivers are rejected at startup", () => {
+  assert.throws(() => createRepository(loadConfig({ STORAGE_DRIVER: "postgres" })), /Unknown STORAGE_DRIVER/);
+});
+
+test("Scheduled scripts refuse the memory driver, which they cannot share with the server", () => {
+  assert.throws(
+    () => requireSharedStorage(loadConfig({}), "sla:check", "POST /api/admin/escalations/sla"),
+    /sla:check needs STORAGE_DRIVER=sqlite.*POST \/api\/admin\/escalations\/sla/
+  );
+  assert.doesNotThrow(() => requireSharedStorage(loadConfig({ STORAGE_DRIVER: "sqlite" }), "sla:check", ""));
+});
+
+test("Casting data store reads configured CSV paths and one reload reaches every service", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "casting-data-"));
+  const talentsCsvPath = path.join(dir, "talents.csv");
+  const contractsCsvPath = path.join(dir, "contracts.csv");
+  const contractHeader = "contract_id,talent_name,talent_name_en,client_name,brand,category,start_date,end_date," +
+    "exclusivity_type,competitive_restrictions,renewal_status,assigned_manager";
+
+  try {
+    fs.writeFileSync(talentsCsvPath, [
+      "talent_id,name,name_en,reading,aliases,agency,current_contracts,ng_brands,ng_categories,scandal_history,risk_level",
+      'T901,試験花子,Hanako Shiken,しけんはなこ,,"Agency, Inc.",なし,なし,なし,"2023年, 週刊誌報道",高',
+    ].join("\n"));
+    fs.writeFileSync(contractsCsvPath, `${contractHeader}\n`);
+
+    const container = createContainer({
+      env: {
+        DISABLE_EXTERNAL_AI: "true",
+        TALENTS_CSV_PATH: talentsCsvPath,
+        CONTRACTS_CSV_PATH: contractsCsvPath,
+      },
+    });
+    const { castingService, contractAlertService, castingDataStore } = container;
+
+    // Quoted commas stay inside their column
+    const talent = castingService.getTalentById("T901");
+    assert.equal(talent.agency, "Agency, Inc.");
+    assert.equal(talent.scandal_history, "2023年, 週刊誌報道");
+    assert.equal(talent.risk_level, "高");
+    assert.equal(contractAlertService.generateAlerts().length, 0);
+
+    fs.writeFileSync(contractsCsvPath, [
+      contractHeader,
+      "C901,試験花子,Hanako Shiken,花王,メリット,シャンプー,2026-01-01,2027-12-31,カテゴリ独占,なし,継続予定,山田花子",
+    ].join("\n"));
+    castingService.reloadData();
+
+    assert.equal(castingService.getActiveContracts(talent, { start: "2026-06-01", end: "2026-06-30" }).length, 1);
+    assert.deepEqual(
+      contractAlertService.generateAlerts().map((alert) => [alert.type, alert.talent]),
+      [["high_risk_talent", "試験花子"]]
+    );
+    assert.equal(castingDataStore.describe().counts.contracts, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("Replaced casting data is restored from the repository by the next container", () => {
+  const repository = new InMemoryRepository();
+  const first = createContainer({ env: { DISABLE_EXTERNAL_AI: "true" }, repository });
+  const csvTalents = first.castingDataStore.talents.length;
+  first.castingDataStore.replace({
+    talents: [{ talent_id: "T950", name: "同期太郎", risk_level: "低" }],
+  }, "sheet");
+  first.castingDataStore.tag("v7");
+
+  // A cold start builds a fresh container over the same storage
+  const second = createContainer({ env: { DISABLE_EXTERNAL_AI: "true" }, repository });
+  assert.deepEqual(second.castingDataStore.talents.map((talent) => talent.name), ["同期太郎"]);
+  assert.equal(second.castingDataStore.contracts.length, first.castingDataStore.contracts.length);
+  assert.equal(second.castingService.getTalentById("T950").name, "同期太郎");
+  assert.deepEqual(
+    [second.castingDataStore.describe().source, second.castingDataStore.describe().versionId],
+    ["sheet", "v7"]
+  );
+
+  // Nothing saved yet: the CSVs seed the data
+  const fresh = createContainer({ env: { DISABLE_EXTERNAL_AI: "true" }, repository: new InMemoryRepository() });
+  assert.equal(fresh.castingDataStore.talents.length, csvTalents);
+});
+
+test("Escalation CSV written with an older header is migrated before new rows are appended", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escalation-sink-"));
+  const queueCsvPath = path.join(dir, "escalations.csv");
+
+  try {
+    fs.writeFileSync(queueCsvPath, [
+      "queue_id,created_at,line_user_id,message_text,reason_code,suggested_reply,status,owner,closed_at",
+      'q_old,2026-01-05T00:00:00.000Z,U1001,"契約, 確認",sensitive,,open,,',
+    ].join("\n") + "\n");
+
+    const sink = new EscalationSink({ queueCsvPath });
+    await sink.record({ queue_id: "q_old", status: "resolved", resolution: "回答済み" }, "resolved");
+    await sink.record({ queue_id: "q_new", status: "open", line_user_id: "U1002" });
+
+    const text = fs.readFileSync(queueCsvPath, "utf8");
+    assert.equal(text.split("\n")[0], ESCALATION_HEADERS.join(","));
+    const rows = parseCsv(text);
+    assert.deepEqual(rows.map((row) => [row.queue_id, row.status, row.event, row.resolution]), [
+      ["q_old", "open", "", ""],
+      ["q_old", "resolved", "resolved", "回答済み"],
+      ["q_new", "open", "created", ""],
+    ]);
+    assert.equal(rows[0].message_text, "契約, 確認");
+    assert.deepEqual(fs.readdirSync(dir), ["escalations.csv"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("CSV schemas reject bad rows with line, column and reason", () => {
+  const talents = validateCsv("talents", [
+    "talent_id,name,risk_level,ng_brands",
+    "T001,田中太郎,低,アサヒビール|キリン",
+    "T002,佐藤健太,不明,なし",
+    "T003,,低,なし",
+    "",
+    "T004,鈴木一郎,中,サントリー||キリン",
+    "T001,田中太郎,低,なし",
+  ].join("\n"));
+  assert.deepEqual(talents.records.map((record) => record.talent_id), ["T001"]);
+  assert.deepEqual(
+    talents.errors.map(({ line, column, reason }) => [line, column, reason]),
+    [
+      [3, "risk_level", '"不明" is not one of 高 / 中 / 低'],
+      [4, "name", "required value is empty"],
+      [6, "ng_brands", '"サントリー||キリン" has an empty item in its pipe-separated list'],
+      [7, "talent_id", "duplicate talent_id (first seen on line 2)"],
+    ]
+  );
+
+  const contracts = validateCsv("contracts", [
+    "contract_id,talent_name,client_name,start_date,end_date,exclusivity_type",
+    'C001,田中太郎,"Suntory, Ltd.",2025-01-01,2026-03-15,完全独占',
+    "C002,田中太郎,トヨタ,2025/06/01,2026-06-01,カテゴリ独占",
+    "C003,田中太郎,キリン,2026-01-01,2025-12-31,準独占",
+    "C004,田中太郎,花王,2026-01-01,2025-12-31,カテゴリ独占",
+  ].join("\n"));
+  assert.equal(contracts.records[0].client_name, "Suntory, Ltd.");
+  assert.deepEqual(
+    contracts.errors.map(({ line, column }) => [line, column]),
+    [[3, "start_date"], [4, "exclusivity_type"], [5, "end_date"]]
+  );
+
+  const missingHeader = validateCsv("experts", "expert_id,department\nE001,法務部\n");
+  assert.deepEqual(missingHeader.errors.map(({ line, column }) => [line, column]), [[1, "name"]]);
+  assert.equal(missingHeader.records.length, 0);
+});